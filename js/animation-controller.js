@@ -116,6 +116,8 @@ export class AnimationController {
         const cameraData = this.keyframeManager.interpolateAt(this.currentTime);
         this.cesiumManager.setCameraPosition(cameraData);
         this.cesiumManager.setFOV(cameraData.fov);
+        this.cesiumManager.setSceneTime(cameraData.sceneTime);
+        this.cesiumManager.setEnvironment(cameraData);
     }
 
     seekTo(time) {
@@ -159,6 +161,10 @@ playFromStart() {
         return this.currentTime;
     }
 
+    getDuration() {
+        return this.duration;
+    }
+
     getCurrentFrame() {
         return Math.floor(this.currentTime * this.fps);
     }
@@ -2,6 +2,18 @@
 import CesiumManager from './cesium-manager.js';
 import { KeyframeManager } from './keyframe-manager.js';
 import TimelineEditor from './timeline-editor.js';
+import GraphEditor from './graph-editor.js';
+import TerrainSampler from './terrain-sampler.js';
+import PoiManager from './poi-manager.js';
+import PoiLayer from './poi-layer.js';
+import PoiPanel from './poi-panel.js';
+import LayerManager from './layer-manager.js';
+import LayerRenderer from './layer-renderer.js';
+import LayerPanel from './layer-panel.js';
+import ModelManager from './model-manager.js';
+import ModelRenderer from './model-renderer.js';
+import ModelPanel from './model-panel.js';
+import MapSourcePanel from './map-source-panel.js';
 import AnimationController from './animation-controller.js';
 import PropertyPanel from './property-panel.js';
 import VideoExporter from './video-exporter.js';
@@ -25,6 +37,7 @@ class App {
 
             // Initialize timeline
             this.timelineEditor = new TimelineEditor('timeline-canvas', this.keyframeManager, 10);
+            this.graphEditor = new GraphEditor('graph-canvas', this.keyframeManager, this.timelineEditor);
 
             // Initialize animation controller
             this.animationController = new AnimationController(
@@ -40,12 +53,67 @@ class App {
                 this.animationController
             );
 
+            // Points of interest share the keyframe undo history
+            this.poiManager = new PoiManager(this.keyframeManager.history);
+            this.poiLayer = new PoiLayer(
+                this.cesiumManager.getViewer(),
+                this.poiManager,
+                this.animationController
+            );
+            this.poiPanel = new PoiPanel(
+                this.poiManager,
+                this.cesiumManager,
+                this.animationController
+            );
+
+            // GeoJSON/KML/CZML overlays, also in the shared undo history
+            this.layerManager = new LayerManager(this.keyframeManager.history);
+            this.layerRenderer = new LayerRenderer(
+                this.cesiumManager,
+                this.layerManager,
+                this.animationController
+            );
+            this.layerPanel = new LayerPanel(
+                this.layerManager,
+                this.cesiumManager,
+                this.animationController
+            );
+
+            // A route's moving marker can be the look-at target
+            this.keyframeManager.setRouteTargetResolver((id, time) => this.layerManager.routeTargetAt(id, time));
+
+            // glTF models, also in the shared undo history; the camera can ride along with one
+            this.modelManager = new ModelManager(this.keyframeManager.history);
+            this.modelRenderer = new ModelRenderer(
+                this.cesiumManager,
+                this.modelManager,
+                this.animationController
+            );
+            this.modelPanel = new ModelPanel(
+                this.modelManager,
+                this.cesiumManager,
+                this.animationController
+            );
+            this.keyframeManager.setModelPositionResolver((id, time) => this.modelManager.modelPositionAt(id, time));
+
+            // Sample terrain under the path for terrain avoidance
+            this.terrainSampler = new TerrainSampler(this.cesiumManager.getViewer(), this.keyframeManager);
+
+            // Imagery and terrain follow the project settings
+            this.mapSourcePanel = new MapSourcePanel(this.keyframeManager);
+            this.cesiumManager.setMapSources(this.keyframeManager.getSettings());
+            this.keyframeManager.on('settingsChanged', (settings) => this.cesiumManager.setMapSources(settings));
+
             // Initialize video exporter
             this.videoExporter = new VideoExporter(
                 this.cesiumManager,
                 this.animationController,
                 this.keyframeManager
             );
+            this.videoExporter.setTerrainSampler(this.terrainSampler);
+            this.videoExporter.setPoiManager(this.poiManager);
+            this.videoExporter.setLayers(this.layerManager, this.layerRenderer);
+            this.videoExporter.setModels(this.modelManager, this.modelRenderer);
 
             // Initialize path visualizer (New Feature)
             import('./path-visualizer.js').then(module => {
@@ -246,6 +314,149 @@ setupFullscreenPreview() {
             this.animationController.setDuration(duration);
         });
 
+        // Path curve mode (project setting)
+        const selectCurveMode = document.getElementById('select-curve-mode');
+        selectCurveMode.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ curveMode: e.target.value });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+
+        // Timeline view: keyframe rows or property curves
+        const selectGraphProperty = document.getElementById('select-graph-property');
+        document.getElementById('select-timeline-view').addEventListener('change', (e) => {
+            const showGraph = e.target.value === 'graph';
+            document.getElementById('timeline-canvas').style.display = showGraph ? 'none' : 'block';
+            selectGraphProperty.style.display = showGraph ? '' : 'none';
+            this.graphEditor.setVisible(showGraph);
+            if (!showGraph) {
+                this.timelineEditor.render();
+            }
+        });
+        selectGraphProperty.addEventListener('change', (e) => {
+            this.graphEditor.setProperty(e.target.value);
+        });
+
+        // Stretch the selected keyframes around the playhead
+        document.getElementById('btn-retime-scale').addEventListener('click', () => {
+            const percent = parseFloat(document.getElementById('input-retime-scale').value);
+            const selected = this.keyframeManager.getSelectedKeyframes();
+            if (!(percent > 0) || selected.length === 0) return;
+
+            this.keyframeManager.scaleKeyframes(selected, percent / 100, this.animationController.getCurrentTime());
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+
+        // Speed mode (project setting)
+        const selectSpeedMode = document.getElementById('select-speed-mode');
+        selectSpeedMode.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ speedMode: e.target.value });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+
+        // Terrain avoidance (project setting)
+        const inputTerrainAvoidance = document.getElementById('input-terrain-avoidance');
+        const inputTerrainClearance = document.getElementById('input-terrain-clearance');
+        inputTerrainAvoidance.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ terrainAvoidance: e.target.checked });
+        });
+        inputTerrainClearance.addEventListener('change', (e) => {
+            const clearance = Math.max(0, parseFloat(e.target.value) || 0);
+            this.keyframeManager.setSettings({ terrainClearance: clearance });
+        });
+
+        // Scene date/time at 0 s (project setting, entered as UTC)
+        const inputSceneDateTime = document.getElementById('input-scene-datetime');
+        inputSceneDateTime.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.keyframeManager.setSettings({ dateTime: `${e.target.value.slice(0, 16)}:00Z` });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+
+        // Look-at target following a route marker (project setting)
+        const selectTargetRoute = document.getElementById('select-target-route');
+        const updateTargetRouteOptions = () => {
+            const targetRoute = this.keyframeManager.getSettings().targetRoute;
+            selectTargetRoute.innerHTML = '<option value="">キーの値</option>';
+            this.layerManager.getAllLayers()
+                .filter(layer => layer.type === 'route')
+                .forEach(layer => {
+                    const option = document.createElement('option');
+                    option.value = layer.id;
+                    option.textContent = `ルート: ${layer.name || layer.id}`;
+                    selectTargetRoute.appendChild(option);
+                });
+            selectTargetRoute.value = targetRoute === null ? '' : targetRoute;
+        };
+        updateTargetRouteOptions();
+        selectTargetRoute.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ targetRoute: e.target.value ? parseInt(e.target.value) : null });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+        this.layerManager.on('layersChanged', () => {
+            updateTargetRouteOptions();
+            if (this.keyframeManager.getSettings().targetRoute !== null) {
+                // The graph caches curves that follow the route
+                this.graphEditor.invalidate();
+                if (!this.animationController.getIsPlaying()) {
+                    this.animationController.seekTo(this.animationController.getCurrentTime());
+                }
+            }
+        });
+
+        // Camera riding along with a model (project setting)
+        const selectAttachedModel = document.getElementById('select-attached-model');
+        const updateAttachedModelOptions = () => {
+            const attachedModel = this.keyframeManager.getSettings().attachedModel;
+            selectAttachedModel.innerHTML = '<option value="">なし</option>';
+            this.modelManager.getAllModels().forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name || `モデル ${model.id}`;
+                selectAttachedModel.appendChild(option);
+            });
+            selectAttachedModel.value = attachedModel === null ? '' : attachedModel;
+        };
+        updateAttachedModelOptions();
+        selectAttachedModel.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ attachedModel: e.target.value ? parseInt(e.target.value) : null });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+        this.modelManager.on('modelsChanged', () => {
+            updateAttachedModelOptions();
+            if (this.keyframeManager.getSettings().attachedModel !== null) {
+                if (this.pathVisualizer) this.pathVisualizer.updatePath();
+                this.graphEditor.invalidate();
+                if (!this.animationController.getIsPlaying()) {
+                    this.animationController.seekTo(this.animationController.getCurrentTime());
+                }
+            }
+        });
+
+        // Newly sampled terrain can move the camera
+        this.keyframeManager.on('terrainChanged', () => {
+            if (!this.animationController.getIsPlaying()) {
+                this.animationController.seekTo(this.animationController.getCurrentTime());
+            }
+        });
+
+        // Orientation interpolation mode (project setting)
+        const selectOrientationMode = document.getElementById('select-orientation-mode');
+        selectOrientationMode.addEventListener('change', (e) => {
+            this.keyframeManager.setSettings({ orientationMode: e.target.value });
+            this.animationController.seekTo(this.animationController.getCurrentTime());
+        });
+
+        this.keyframeManager.on('settingsChanged', (settings) => {
+            selectCurveMode.value = settings.curveMode;
+            selectSpeedMode.value = settings.speedMode;
+            inputTerrainAvoidance.checked = settings.terrainAvoidance;
+            inputTerrainClearance.value = settings.terrainClearance;
+            selectOrientationMode.value = settings.orientationMode;
+            inputSceneDateTime.value = settings.dateTime.slice(0, 16);
+            updateTargetRouteOptions();
+            updateAttachedModelOptions();
+        });
+
         // Progress slider
         const progressSlider = document.getElementById('progress-slider');
         progressSlider.addEventListener('input', (e) => {
@@ -294,7 +505,11 @@ setupFullscreenPreview() {
                 timestamp: Date.now(),
                 duration: this.animationController.duration,
                 fps: this.animationController.fps,
-                keyframes: this.keyframeManager.getAllKeyframes()
+                settings: this.keyframeManager.getSettings(),
+                keyframes: this.keyframeManager.getAllKeyframes(),
+                pois: this.poiManager.toJSON(),
+                layers: this.layerManager.toJSON(),
+                models: this.modelManager.toJSON()
             };
 
             const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -320,8 +535,17 @@ setupFullscreenPreview() {
                 try {
                     const data = JSON.parse(event.target.result);
 
-                    if (data.keyframes) {
-                        this.keyframeManager.importFromJSON(data);
+                    // Keyframes, points of interest, layers and models load as one undo step
+                    this.keyframeManager.history.beginTransaction('読み込み');
+                    try {
+                        if (data.keyframes) {
+                            this.keyframeManager.importFromJSON(data);
+                        }
+                        this.poiManager.importFromJSON(data.pois || []);
+                        this.layerManager.importFromJSON(data.layers || []);
+                        this.modelManager.importFromJSON(data.models || []);
+                    } finally {
+                        this.keyframeManager.history.endTransaction();
                     }
                     if (data.duration) {
                         this.animationController.setDuration(data.duration);
@@ -398,14 +622,49 @@ setupFullscreenPreview() {
             this.keyframeManager.addKeyframe(kf3);
             this.keyframeManager.addKeyframe(kf4);
 
+            // The demo is the starting point, not an undoable edit
+            this.keyframeManager.history.clear();
+
             console.log('Demo keyframes added');
         });
     }
 
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ignore if input focused
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            // Ignore if a form field or editable element is focused
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+            // Undo / Redo
+            if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+                e.preventDefault();
+                if (e.code === 'KeyY' || e.shiftKey) {
+                    this.keyframeManager.redo();
+                } else {
+                    this.keyframeManager.undo();
+                }
+                this.animationController.seekTo(this.animationController.getCurrentTime());
+                return;
+            }
+
+            // Selection clipboard
+            if (e.ctrlKey || e.metaKey) {
+                switch (e.code) {
+                    case 'KeyC':
+                        e.preventDefault();
+                        this.keyframeManager.copySelection();
+                        return;
+                    case 'KeyV':
+                        e.preventDefault();
+                        this.keyframeManager.pasteAt(this.animationController.getCurrentTime());
+                        this.animationController.seekTo(this.animationController.getCurrentTime());
+                        return;
+                    case 'KeyA':
+                        e.preventDefault();
+                        this.keyframeManager.setSelection(this.keyframeManager.getAllKeyframes());
+                        this.timelineEditor.render();
+                        return;
+                }
+            }
 
             switch (e.code) {
                 case 'Space':
@@ -440,6 +699,13 @@ setupFullscreenPreview() {
                     e.preventDefault();
                     this.animationController.stepForward();
                     break;
+
+                case 'Delete':
+                case 'Backspace':
+                    e.preventDefault();
+                    this.keyframeManager.deleteSelection();
+                    this.animationController.seekTo(this.animationController.getCurrentTime());
+                    break;
             }
         });
     }
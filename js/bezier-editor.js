@@ -0,0 +1,168 @@
+// Bezier Curve Editor - Drag the two control points of a cubic-bezier easing
+export class BezierEditor {
+    constructor(canvasId, onChange) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.onChange = onChange;
+
+        // Control points as [x1, y1, x2, y2] (CSS cubic-bezier order)
+        this.handles = [0.42, 0, 0.58, 1];
+        this.draggedHandle = null;
+
+        // The value axis leaves room for overshoot above 1 and below 0
+        this.padding = 12;
+        this.minY = -0.5;
+        this.maxY = 1.5;
+
+        this.colors = {
+            background: '#141824',
+            grid: 'rgba(255, 255, 255, 0.08)',
+            linear: 'rgba(255, 255, 255, 0.2)',
+            curve: '#4a9eff',
+            handleLine: 'rgba(154, 160, 166, 0.6)',
+            handle: '#7b61ff'
+        };
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        // Pointer events cover both mouse and touch (iPad)
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.style.touchAction = 'none';
+    }
+
+    setHandles(handles) {
+        this.handles = [...handles];
+        this.render();
+    }
+
+    getHandles() {
+        return [...this.handles];
+    }
+
+    onPointerDown(e) {
+        const { x, y } = this.getPointerPosition(e);
+
+        // Pick the nearest handle within reach
+        let nearest = null;
+        let nearestDistance = 14;
+        [0, 1].forEach(index => {
+            const hx = this.toCanvasX(this.handles[index * 2]);
+            const hy = this.toCanvasY(this.handles[index * 2 + 1]);
+            const distance = Math.hypot(x - hx, y - hy);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+
+        if (nearest !== null) {
+            this.draggedHandle = nearest;
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+    }
+
+    onPointerMove(e) {
+        if (this.draggedHandle === null) return;
+
+        const { x, y } = this.getPointerPosition(e);
+        const valueX = Math.max(0, Math.min(1, this.fromCanvasX(x))); // Time must stay monotonic
+        const valueY = Math.max(this.minY, Math.min(this.maxY, this.fromCanvasY(y)));
+
+        this.handles[this.draggedHandle * 2] = Math.round(valueX * 100) / 100;
+        this.handles[this.draggedHandle * 2 + 1] = Math.round(valueY * 100) / 100;
+        this.render();
+    }
+
+    onPointerUp(e) {
+        if (this.draggedHandle === null) return;
+
+        this.draggedHandle = null;
+        if (this.onChange) {
+            this.onChange(this.getHandles());
+        }
+    }
+
+    getPointerPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    toCanvasX(value) {
+        return this.padding + value * (this.canvas.width - this.padding * 2);
+    }
+
+    fromCanvasX(x) {
+        return (x - this.padding) / (this.canvas.width - this.padding * 2);
+    }
+
+    toCanvasY(value) {
+        const range = this.maxY - this.minY;
+        return this.canvas.height - this.padding - (value - this.minY) / range * (this.canvas.height - this.padding * 2);
+    }
+
+    fromCanvasY(y) {
+        const range = this.maxY - this.minY;
+        return this.minY + (this.canvas.height - this.padding - y) / (this.canvas.height - this.padding * 2) * range;
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const [x1, y1, x2, y2] = this.handles;
+
+        // Clear canvas
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Unit square (start and end of the segment)
+        ctx.strokeStyle = this.colors.grid;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.toCanvasX(0), this.toCanvasY(1), this.toCanvasX(1) - this.toCanvasX(0), this.toCanvasY(0) - this.toCanvasY(1));
+
+        // Linear reference
+        ctx.strokeStyle = this.colors.linear;
+        ctx.beginPath();
+        ctx.moveTo(this.toCanvasX(0), this.toCanvasY(0));
+        ctx.lineTo(this.toCanvasX(1), this.toCanvasY(1));
+        ctx.stroke();
+
+        // Handle lines
+        ctx.strokeStyle = this.colors.handleLine;
+        ctx.beginPath();
+        ctx.moveTo(this.toCanvasX(0), this.toCanvasY(0));
+        ctx.lineTo(this.toCanvasX(x1), this.toCanvasY(y1));
+        ctx.moveTo(this.toCanvasX(1), this.toCanvasY(1));
+        ctx.lineTo(this.toCanvasX(x2), this.toCanvasY(y2));
+        ctx.stroke();
+
+        // Curve
+        ctx.strokeStyle = this.colors.curve;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.toCanvasX(0), this.toCanvasY(0));
+        ctx.bezierCurveTo(
+            this.toCanvasX(x1), this.toCanvasY(y1),
+            this.toCanvasX(x2), this.toCanvasY(y2),
+            this.toCanvasX(1), this.toCanvasY(1)
+        );
+        ctx.stroke();
+
+        // Handles
+        ctx.fillStyle = this.colors.handle;
+        [[x1, y1], [x2, y2]].forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(this.toCanvasX(x), this.toCanvasY(y), 6, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
+
+export default BezierEditor;
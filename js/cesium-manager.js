@@ -1,3 +1,5 @@
+import Interpolation from './interpolation.js';
+
 // CesiumJS Manager
 export class CesiumManager {
     constructor(containerId, cesiumToken) {
@@ -5,6 +7,12 @@ export class CesiumManager {
         this.viewer = null;
         this.cesiumToken = cesiumToken;
         this.isCapturing = false;
+
+        // Imagery and terrain sources (see setMapSources); loads run one after another
+        this.baseLayer = null;
+        this.imageryKey = null;
+        this.terrainKey = null;
+        this.mapSourcesPending = Promise.resolve();
     }
 
     // Initialize Cesium viewer
@@ -14,15 +22,12 @@ export class CesiumManager {
             Cesium.Ion.defaultAccessToken = this.cesiumToken;
         }
 
-        // Create viewer
+        // Create viewer. Imagery and terrain come from the project (setMapSources),
+        // so the viewer starts on the bare ellipsoid.
         this.viewer = new Cesium.Viewer(this.containerId, {
-            terrainProvider: await Cesium.createWorldTerrainAsync(),
-            terrainProvider: await Cesium.createWorldTerrainAsync(),
-            // Use OpenStreetMap as a safe fallback that works without Ion token
-            imageryProvider: new Cesium.OpenStreetMapImageryProvider({
-                url: 'https://a.tile.openstreetmap.org/'
-            }),
-            baseLayerPicker: true, // Allow user to change to Bing Maps/Sentinel if they have valid token
+            terrainProvider: new Cesium.EllipsoidTerrainProvider(),
+            baseLayer: false,
+            baseLayerPicker: false,
             geocoder: false,
             homeButton: false,
             sceneModePicker: false,
@@ -34,7 +39,12 @@ export class CesiumManager {
             infoBox: false,
             selectionIndicator: false,
             shadows: true,
-            shouldAnimate: false
+            shouldAnimate: false,
+            // Alpha render mode needs an alpha channel, and frames are read back after rendering
+            contextOptions: {
+                webgl: { alpha: true, preserveDrawingBuffer: true }
+            },
+            automaticallyTrackDataSourceClocks: false // The project clock drives time, not CZML files
         });
 
         // Enable camera controls (マウスで地球を操作可能に)
@@ -49,6 +59,12 @@ export class CesiumManager {
         // Enable depth test for terrain
         this.viewer.scene.globe.depthTestAgainstTerrain = true;
 
+        // Brightness stage driven by the brightness track (bloom is built in)
+        this.brightnessStage = this.viewer.scene.postProcessStages.add(
+            Cesium.PostProcessStageLibrary.createBrightnessStage()
+        );
+        this.brightnessStage.enabled = false;
+
         // Add aspect ratio mask for video preview
         this.addAspectMask();
 
@@ -69,10 +85,21 @@ export class CesiumManager {
     setCameraPosition(data) {
         if (!this.viewer) return;
 
-        const { latitude, longitude, height, heading, pitch, roll } = data;
+        const { latitude, longitude, height, heading, pitch, roll, orientation } = data;
+        const destination = Cesium.Cartesian3.fromDegrees(longitude, latitude, height);
+
+        // Quaternion orientation (local ENU) is applied as direction/up vectors,
+        // which stays exact when looking straight down
+        if (orientation) {
+            this.viewer.camera.setView({
+                destination: destination,
+                orientation: this.enuQuaternionToDirectionUp(destination, orientation)
+            });
+            return;
+        }
 
         this.viewer.camera.setView({
-            destination: Cesium.Cartesian3.fromDegrees(longitude, latitude, height),
+            destination: destination,
             orientation: {
                 heading: Cesium.Math.toRadians(heading),
                 pitch: Cesium.Math.toRadians(pitch),
@@ -81,6 +108,20 @@ export class CesiumManager {
         });
     }
 
+    // Convert an ENU orientation quaternion to world direction/up vectors
+    enuQuaternionToDirectionUp(position, q) {
+        const enu = Cesium.Transforms.eastNorthUpToFixedFrame(position);
+        const { forward, up } = Interpolation.quaternionToAxes(q);
+
+        const direction = Cesium.Matrix4.multiplyByPointAsVector(enu, new Cesium.Cartesian3(forward.x, forward.y, forward.z), new Cesium.Cartesian3());
+        const worldUp = Cesium.Matrix4.multiplyByPointAsVector(enu, new Cesium.Cartesian3(up.x, up.y, up.z), new Cesium.Cartesian3());
+
+        return {
+            direction: Cesium.Cartesian3.normalize(direction, direction),
+            up: Cesium.Cartesian3.normalize(worldUp, worldUp)
+        };
+    }
+
     // Get current camera position
     getCameraPosition() {
         if (!this.viewer) return null;
@@ -102,12 +143,264 @@ export class CesiumManager {
         };
     }
 
+    // Point on the globe at the center of the view (null if looking at space)
+    pickScreenCenter() {
+        if (!this.viewer) return null;
+
+        const canvas = this.viewer.scene.canvas;
+        return this.pickGlobe(new Cesium.Cartesian2(canvas.clientWidth / 2, canvas.clientHeight / 2));
+    }
+
+    // Point on the globe under a screen position (null if looking at space)
+    pickGlobe(screenPosition) {
+        if (!this.viewer) return null;
+
+        const ray = this.viewer.camera.getPickRay(screenPosition);
+        const position = ray && this.viewer.scene.globe.pick(ray, this.viewer.scene);
+        if (!position) return null;
+
+        const cartographic = Cesium.Cartographic.fromCartesian(position);
+        return {
+            latitude: Cesium.Math.toDegrees(cartographic.latitude),
+            longitude: Cesium.Math.toDegrees(cartographic.longitude),
+            height: cartographic.height
+        };
+    }
+
+    // Terrain height at a point from the loaded tiles (null if not loaded yet)
+    getGroundHeight(latitude, longitude) {
+        if (!this.viewer) return null;
+
+        const height = this.viewer.scene.globe.getHeight(Cesium.Cartographic.fromDegrees(longitude, latitude));
+        return height === undefined ? null : height;
+    }
+
     // Set field of view
     setFOV(fov) {
         if (!this.viewer) return;
         this.viewer.camera.frustum.fov = Cesium.Math.toRadians(fov);
     }
 
+    // Set the scene clock (drives the sun and lighting); time is ms since epoch
+    setSceneTime(time) {
+        if (!this.viewer) return;
+        this.viewer.clock.currentTime = Cesium.JulianDate.fromDate(new Date(time));
+    }
+
+    // Apply the environment track values (fog, atmosphere, bloom, brightness, shadows)
+    setEnvironment(data) {
+        if (!this.viewer) return;
+        const scene = this.viewer.scene;
+
+        const fogDensity = Math.max(0, data.fogDensity) * 1e-4;
+        scene.fog.enabled = fogDensity > 0;
+        scene.fog.density = fogDensity;
+
+        // Shift the sky and the globe's ground atmosphere together
+        const clampShift = (value) => Math.max(-1, Math.min(1, value));
+        const hue = clampShift(data.atmosphereHue);
+        const saturation = clampShift(data.atmosphereSaturation);
+        const brightness = clampShift(data.atmosphereBrightness);
+        if (scene.skyAtmosphere) {
+            scene.skyAtmosphere.hueShift = hue;
+            scene.skyAtmosphere.saturationShift = saturation;
+            scene.skyAtmosphere.brightnessShift = brightness;
+        }
+        scene.globe.atmosphereHueShift = hue;
+        scene.globe.atmosphereSaturationShift = saturation;
+        scene.globe.atmosphereBrightnessShift = brightness;
+
+        // Bloom strength widens and brightens the glow
+        const bloom = Math.max(0, Math.min(1, data.bloom));
+        const bloomStage = scene.postProcessStages.bloom;
+        bloomStage.enabled = bloom > 0;
+        bloomStage.uniforms.sigma = 1 + bloom * 3;
+        bloomStage.uniforms.brightness = -0.5 + bloom * 0.5;
+
+        const imageBrightness = Math.max(0, data.brightness);
+        this.brightnessStage.enabled = imageBrightness !== 1;
+        this.brightnessStage.uniforms.brightness = imageBrightness;
+
+        this.viewer.shadows = data.shadows >= 0.5;
+    }
+
+    // Load a data layer (see LayerManager) and add it to the viewer
+    async addDataLayer(layer) {
+        if (!this.viewer) return null;
+
+        let dataSource;
+        if (layer.type === 'czml') {
+            dataSource = await Cesium.CzmlDataSource.load(JSON.parse(layer.data));
+        } else if (layer.type === 'kml') {
+            const kml = new DOMParser().parseFromString(layer.data, 'application/xml');
+            dataSource = await Cesium.KmlDataSource.load(kml, {
+                camera: this.viewer.scene.camera,
+                canvas: this.viewer.scene.canvas,
+                clampToGround: layer.clampToGround
+            });
+        } else {
+            const stroke = Cesium.Color.fromCssColorString(layer.stroke);
+            dataSource = await Cesium.GeoJsonDataSource.load(JSON.parse(layer.data), {
+                stroke: stroke,
+                fill: Cesium.Color.fromCssColorString(layer.fill).withAlpha(layer.fillOpacity),
+                strokeWidth: layer.strokeWidth,
+                markerColor: stroke,
+                clampToGround: layer.clampToGround
+            });
+        }
+
+        await this.viewer.dataSources.add(dataSource);
+        return dataSource;
+    }
+
+    removeDataLayer(dataSource) {
+        if (!this.viewer) return;
+        this.viewer.dataSources.remove(dataSource, true);
+    }
+
+    // Alpha render mode for compositing: no sky, stars, sun or moon, and a
+    // see-through background behind the globe
+    setTransparentBackground(enabled) {
+        if (!this.viewer) return;
+
+        const scene = this.viewer.scene;
+        scene.skyBox.show = !enabled;
+        scene.skyAtmosphere.show = !enabled;
+        scene.sun.show = !enabled;
+        scene.moon.show = !enabled;
+        scene.backgroundColor = enabled ? Cesium.Color.TRANSPARENT : Cesium.Color.BLACK;
+        this.viewer.container.style.background = enabled ? 'transparent' : '';
+    }
+
+    // Switch imagery and terrain to the project's sources (settings.imagery and
+    // settings.terrain, see DEFAULT_SETTINGS). Unchanged sources are kept loaded;
+    // one that fell back is tried again next time.
+    setMapSources(settings) {
+        const imagery = settings.imagery;
+        const terrain = settings.terrain;
+        this.mapSourcesPending = this.mapSourcesPending.then(async () => {
+            if (!this.viewer) return;
+
+            const imageryKey = JSON.stringify(imagery);
+            if (imageryKey !== this.imageryKey) {
+                this.imageryKey = await this.setImagery(imagery) ? imageryKey : null;
+            }
+            const terrainKey = JSON.stringify(terrain);
+            if (terrainKey !== this.terrainKey) {
+                this.terrainKey = await this.setTerrain(terrain) ? terrainKey : null;
+            }
+        });
+        return this.mapSourcesPending;
+    }
+
+    // Resolves once the requested imagery and terrain are in place (used before export)
+    whenMapSourcesReady() {
+        return this.mapSourcesPending;
+    }
+
+    // Returns false if the imagery couldn't be loaded
+    async setImagery(source) {
+        const imageryLayers = this.viewer.imageryLayers;
+        if (this.baseLayer) {
+            imageryLayers.remove(this.baseLayer);
+            this.baseLayer = null;
+        }
+
+        try {
+            const provider = await this.createImageryProvider(source);
+            this.baseLayer = new Cesium.ImageryLayer(provider);
+            imageryLayers.add(this.baseLayer, 0);
+            return true;
+        } catch (error) {
+            console.warn(`Imagery "${source.type}" unavailable, showing the bare globe:`, error);
+            return false;
+        }
+    }
+
+    async createImageryProvider(source) {
+        switch (source.type) {
+            case 'ion':
+                return Cesium.IonImageryProvider.fromAssetId(source.assetId);
+            case 'xyz':
+                return new Cesium.UrlTemplateImageryProvider({ url: source.url });
+            case 'wmts':
+                return new Cesium.WebMapTileServiceImageryProvider({
+                    url: source.url,
+                    layer: source.layer,
+                    style: 'default',
+                    tileMatrixSetID: source.tileMatrixSetID
+                });
+            case 'local':
+                // Folder of {z}/{x}/{y} tiles under server/tiles/imagery
+                return new Cesium.UrlTemplateImageryProvider({
+                    url: `/tiles/imagery/${encodeURIComponent(source.url)}/{z}/{x}/{y}.${source.format || 'png'}`
+                });
+            default:
+                return new Cesium.OpenStreetMapImageryProvider({
+                    url: 'https://a.tile.openstreetmap.org/'
+                });
+        }
+    }
+
+    // Terrain that can't be loaded (e.g. world terrain offline) falls back to the
+    // flat ellipsoid and returns false
+    async setTerrain(source) {
+        try {
+            this.viewer.terrainProvider = await this.createTerrainProvider(source);
+            return true;
+        } catch (error) {
+            console.warn(`Terrain "${source.type}" unavailable, using flat terrain:`, error);
+            this.viewer.terrainProvider = new Cesium.EllipsoidTerrainProvider();
+            return false;
+        }
+    }
+
+    async createTerrainProvider(source) {
+        switch (source.type) {
+            case 'ellipsoid':
+                return new Cesium.EllipsoidTerrainProvider();
+            case 'ion':
+                return Cesium.CesiumTerrainProvider.fromIonAssetId(source.assetId);
+            case 'url':
+                return Cesium.CesiumTerrainProvider.fromUrl(source.url);
+            case 'local':
+                // Quantized-mesh tileset (with layer.json) under server/tiles/terrain
+                return Cesium.CesiumTerrainProvider.fromUrl(`/tiles/terrain/${encodeURIComponent(source.url)}`);
+            default:
+                return Cesium.createWorldTerrainAsync();
+        }
+    }
+
+    // Load a glTF model (see ModelManager) into the scene
+    async addModel(model) {
+        if (!this.viewer) return null;
+
+        const primitive = await Cesium.Model.fromGltfAsync({
+            url: model.url,
+            scale: model.scale,
+            minimumPixelSize: model.minimumPixelSize
+        });
+        this.viewer.scene.primitives.add(primitive);
+        return primitive;
+    }
+
+    removeModel(primitive) {
+        if (!this.viewer) return;
+        this.viewer.scene.primitives.remove(primitive);
+    }
+
+    // Place a model. heading is a compass bearing (0 = north); Cesium's
+    // model heading 0 faces east, hence the 90° turn.
+    setModelPose(primitive, pose, headingOffset = 0) {
+        const position = Cesium.Cartesian3.fromDegrees(pose.longitude, pose.latitude, pose.height);
+        const hpr = new Cesium.HeadingPitchRoll(
+            Cesium.Math.toRadians(pose.heading + headingOffset - 90),
+            Cesium.Math.toRadians(pose.pitch),
+            Cesium.Math.toRadians(pose.roll)
+        );
+        primitive.modelMatrix = Cesium.Transforms.headingPitchRollToFixedFrame(position, hpr);
+    }
+
     // Capture current frame as image
     captureFrame() {
         if (!this.viewer) return null;
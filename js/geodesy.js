@@ -0,0 +1,130 @@
+// Geodesy helpers (degrees in, degrees out): routes on a spherical Earth, ENU offsets on WGS84
+const EARTH_RADIUS = 6371008.8; // Mean radius in meters
+
+// WGS84 ellipsoid (matches Cesium's Cartesian3.fromDegrees)
+const WGS84_A = 6378137.0;
+const WGS84_E2 = 6.69437999014e-3;
+
+// Extra height of a fly-to arc per meter of ground distance
+const FLY_TO_ARC_RATIO = 0.4;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+export const Geodesy = {
+    EARTH_RADIUS,
+
+    // Unit vector for a latitude/longitude
+    toVector(latitude, longitude) {
+        const lat = toRadians(latitude);
+        const lon = toRadians(longitude);
+        return {
+            x: Math.cos(lat) * Math.cos(lon),
+            y: Math.cos(lat) * Math.sin(lon),
+            z: Math.sin(lat)
+        };
+    },
+
+    fromVector(v) {
+        const length = Math.hypot(v.x, v.y, v.z);
+        return {
+            latitude: toDegrees(Math.asin(Math.max(-1, Math.min(1, v.z / length)))),
+            longitude: toDegrees(Math.atan2(v.y, v.x))
+        };
+    },
+
+    // Central angle between two points in radians
+    centralAngle(lat1, lon1, lat2, lon2) {
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    // Great-circle (haversine) ground distance in meters
+    distance(lat1, lon1, lat2, lon2) {
+        return EARTH_RADIUS * this.centralAngle(lat1, lon1, lat2, lon2);
+    },
+
+    // Point at fraction t along the great circle from point 1 to point 2
+    greatCircle(lat1, lon1, lat2, lon2, t) {
+        const angle = this.centralAngle(lat1, lon1, lat2, lon2);
+        if (angle < 1e-12) {
+            return { latitude: lat1, longitude: lon1 };
+        }
+
+        const a = this.toVector(lat1, lon1);
+        const b = this.toVector(lat2, lon2);
+        const sinAngle = Math.sin(angle);
+        const wa = Math.sin((1 - t) * angle) / sinAngle;
+        const wb = Math.sin(t * angle) / sinAngle;
+
+        return this.fromVector({
+            x: wa * a.x + wb * b.x,
+            y: wa * a.y + wb * b.y,
+            z: wa * a.z + wb * b.z
+        });
+    },
+
+    // Point at a distance (meters) and bearing (degrees from north) from a start point
+    destination(latitude, longitude, bearing, distance) {
+        const lat = toRadians(latitude);
+        const lon = toRadians(longitude);
+        const brg = toRadians(bearing);
+        const angle = distance / EARTH_RADIUS;
+
+        const lat2 = Math.asin(Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(brg));
+        const lon2 = lon + Math.atan2(
+            Math.sin(brg) * Math.sin(angle) * Math.cos(lat),
+            Math.cos(angle) - Math.sin(lat) * Math.sin(lat2)
+        );
+
+        return {
+            latitude: toDegrees(lat2),
+            longitude: toDegrees(Math.atan2(Math.sin(lon2), Math.cos(lon2)))
+        };
+    },
+
+    // Earth-fixed (ECEF) position on the WGS84 ellipsoid in meters
+    toCartesian(latitude, longitude, height) {
+        const lat = toRadians(latitude);
+        const lon = toRadians(longitude);
+        const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * Math.sin(lat) ** 2);
+        return {
+            x: (n + height) * Math.cos(lat) * Math.cos(lon),
+            y: (n + height) * Math.cos(lat) * Math.sin(lon),
+            z: (n * (1 - WGS84_E2) + height) * Math.sin(lat)
+        };
+    },
+
+    // Offset from one point to another in the East-North-Up frame of the first
+    enuOffset(lat1, lon1, height1, lat2, lon2, height2) {
+        const from = this.toCartesian(lat1, lon1, height1);
+        const to = this.toCartesian(lat2, lon2, height2);
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dz = to.z - from.z;
+
+        const lat = toRadians(lat1);
+        const lon = toRadians(lon1);
+        return {
+            east: -Math.sin(lon) * dx + Math.cos(lon) * dy,
+            north: -Math.sin(lat) * Math.cos(lon) * dx - Math.sin(lat) * Math.sin(lon) * dy + Math.cos(lat) * dz,
+            up: Math.cos(lat) * Math.cos(lon) * dx + Math.cos(lat) * Math.sin(lon) * dy + Math.sin(lat) * dz
+        };
+    },
+
+    // Height along a fly-to arc: blends the end heights and lifts the middle
+    // of the flight in proportion to the ground distance (like camera.flyTo).
+    // The lift never exceeds that proportion, so short hops stay nearly flat.
+    flyToHeight(height1, height2, distance, t) {
+        const baseHeight = height1 + (height2 - height1) * t;
+        const arc = distance * FLY_TO_ARC_RATIO;
+        const peak = Math.max(height1, height2, arc);
+        const lift = Math.min(arc, Math.max(0, peak - (height1 + height2) / 2));
+        return baseHeight + lift * Math.sin(Math.PI * t);
+    }
+};
+
+export default Geodesy;
@@ -0,0 +1,533 @@
+import { TRACKS, TRACK_NAMES } from './keyframe-manager.js';
+import Interpolation from './interpolation.js';
+import Geodesy from './geodesy.js';
+
+// Plottable properties: every keyed value plus the derived camera speed
+const GRAPH_PROPERTIES = {
+    latitude: { label: '緯度', track: 'position', color: '#4a9eff' },
+    longitude: { label: '経度', track: 'position', color: '#5ac8fa' },
+    height: { label: '高度', track: 'position', color: '#00d084' },
+    heading: { label: 'Heading', track: 'heading', color: '#ff9f43' },
+    pitch: { label: 'Pitch', track: 'pitch', color: '#ff6b6b' },
+    roll: { label: 'Roll', track: 'roll', color: '#f368e0' },
+    fov: { label: 'FOV', track: 'fov', color: '#feca57' },
+    targetLatitude: { label: 'ターゲット緯度', track: 'target', color: '#a29bfe' },
+    targetLongitude: { label: 'ターゲット経度', track: 'target', color: '#81ecec' },
+    targetHeight: { label: 'ターゲット高度', track: 'target', color: '#55efc4' },
+    clockHours: { label: '時刻 (時間)', track: 'clock', color: '#fd79a8' },
+    fogDensity: { label: 'フォグ密度 (×1e-4)', track: 'fog', color: '#b2bec3' },
+    atmosphereHue: { label: '大気 色相', track: 'atmosphere', color: '#e17055' },
+    atmosphereSaturation: { label: '大気 彩度', track: 'atmosphere', color: '#fdcb6e' },
+    atmosphereBrightness: { label: '大気 明度', track: 'atmosphere', color: '#74b9ff' },
+    bloom: { label: 'ブルーム', track: 'bloom', color: '#ffeaa7' },
+    brightness: { label: '明るさ', track: 'brightness', color: '#dfe6e9' },
+    shadows: { label: '影', track: 'shadows', color: '#636e72' },
+    speed: { label: '速度 (m/s)', track: null, color: '#ffffff' }
+};
+
+// Graph Editor - Interpolated property curves over time, sharing the timeline's view
+export class GraphEditor {
+    constructor(canvasId, keyframeManager, timelineEditor) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.keyframeManager = keyframeManager;
+        this.timelineEditor = timelineEditor;
+
+        // 'all' overlays every keyed property, each scaled to its own range
+        this.property = 'all';
+        this.visible = false;
+        this.sampleSpacing = 2; // Pixels between curve samples
+
+        // Curves from the last sampling, used for drawing, hit testing and dragging.
+        // They are only resampled after an edit or a view change; moving the
+        // playhead redraws it over the saved plot image.
+        this.curves = [];
+        this.curvesStale = true;
+        this.plotImage = null;
+        this.dragged = null; // { keyframe, prop, range, offset }
+        this.hovered = null;
+        this.scrubbing = false;
+
+        this.colors = {
+            background: '#141824',
+            grid: 'rgba(255, 255, 255, 0.05)',
+            axis: '#9aa0a6',
+            playhead: '#4a9eff',
+            keyframeOutline: 'rgba(255, 255, 255, 0.8)',
+            keyframeSelected: '#7b61ff'
+        };
+
+        this.setupCanvas();
+        this.bindEvents();
+
+        this.keyframeManager.on('keyframesChanged', () => this.invalidate());
+        this.keyframeManager.on('keyframeSelected', () => this.render());
+        this.keyframeManager.on('settingsChanged', () => this.invalidate());
+        this.keyframeManager.on('terrainChanged', () => this.invalidate());
+        this.timelineEditor.on('viewChanged', () => this.invalidate());
+        this.timelineEditor.on('playheadChanged', () => this.renderPlayhead());
+    }
+
+    // Resample the curves on the next render
+    invalidate() {
+        this.curvesStale = true;
+        this.render();
+    }
+
+    setupCanvas() {
+        const resizeCanvas = () => {
+            const rect = this.canvas.parentElement.getBoundingClientRect();
+            this.canvas.width = rect.width;
+            this.canvas.height = rect.height;
+            this.invalidate();
+        };
+
+        this.resizeCanvas = resizeCanvas;
+        window.addEventListener('resize', resizeCanvas);
+    }
+
+    bindEvents() {
+        // Pointer events cover both mouse and touch (iPad)
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        this.canvas.style.touchAction = 'none';
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.canvas.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            this.resizeCanvas();
+        }
+    }
+
+    setProperty(property) {
+        this.property = property;
+        this.invalidate();
+    }
+
+    // Time axis follows the timeline's zoom and pan
+    getLeft() {
+        return this.timelineEditor.getTrackLeft();
+    }
+
+    getPlotWidth() {
+        return this.canvas.width - this.getLeft() - 20;
+    }
+
+    timeToX(time) {
+        const { viewStart, viewDuration } = this.timelineEditor;
+        return this.getLeft() + (time - viewStart) / viewDuration * this.getPlotWidth();
+    }
+
+    xToTime(x) {
+        const { viewStart, viewDuration } = this.timelineEditor;
+        return viewStart + (x - this.getLeft()) / this.getPlotWidth() * viewDuration;
+    }
+
+    getPlotTop() {
+        return 34;
+    }
+
+    getPlotBottom() {
+        return this.canvas.height - 12;
+    }
+
+    valueToY(value, range) {
+        const top = this.getPlotTop();
+        const bottom = this.getPlotBottom();
+        return bottom - (value - range.min) / (range.max - range.min) * (bottom - top);
+    }
+
+    yToValue(y, range) {
+        const top = this.getPlotTop();
+        const bottom = this.getPlotBottom();
+        return range.min + (bottom - y) / (bottom - top) * (range.max - range.min);
+    }
+
+    getPointerPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // Properties shown for the current selection
+    getPlottedProperties() {
+        if (this.property !== 'all') return [this.property];
+
+        // Only tracks that have keyframes, so unused defaults don't clutter the view
+        const keyedTracks = TRACK_NAMES.filter(track => this.keyframeManager.getTrackKeyframes(track).length > 0);
+        return Object.keys(GRAPH_PROPERTIES).filter(prop => {
+            const track = GRAPH_PROPERTIES[prop].track;
+            return track ? keyedTracks.includes(track) : keyedTracks.includes('position');
+        });
+    }
+
+    // Sample the interpolated camera across the visible range
+    sampleCurves() {
+        const left = this.getLeft();
+        const right = left + this.getPlotWidth();
+        const duration = this.timelineEditor.duration;
+
+        const samples = [];
+        for (let x = left; x <= right + 0.5; x += this.sampleSpacing) {
+            const time = Math.max(0, Math.min(duration, this.xToTime(x)));
+            samples.push({ time, x, data: this.keyframeManager.interpolateAt(time) });
+        }
+
+        return this.getPlottedProperties().map(prop => {
+            const values = prop === 'speed' ? this.getSpeeds(samples) : this.getValues(samples, prop);
+            const points = samples.map((sample, i) => ({ x: sample.x, time: sample.time, value: values[i] }));
+            const keyframes = this.getKeyframePoints(prop, points);
+            return { prop, points, keyframes, range: this.getRange(prop, points, keyframes) };
+        });
+    }
+
+    // Angles and longitudes, which wrap at ±180°
+    isCircular(prop) {
+        const { angle, wraps = [] } = TRACKS[GRAPH_PROPERTIES[prop].track];
+        return angle || wraps.includes(prop);
+    }
+
+    // Property values; angles are unwrapped so the curve doesn't jump at ±180°
+    getValues(samples, prop) {
+        const values = samples.map(sample => sample.data[prop]);
+        if (!this.isCircular(prop)) return values;
+
+        for (let i = 1; i < values.length; i++) {
+            if (Number.isFinite(values[i - 1]) && Number.isFinite(values[i])) {
+                values[i] = values[i - 1] + Interpolation.angleDifference(values[i - 1], values[i]);
+            }
+        }
+        return values;
+    }
+
+    // Camera speed in m/s from consecutive sample positions
+    getSpeeds(samples) {
+        const positions = samples.map(({ data }) => Geodesy.toCartesian(data.latitude, data.longitude, data.height));
+        return samples.map((sample, i) => {
+            const a = i > 0 ? i - 1 : i;
+            const b = i > 0 ? i : Math.min(i + 1, samples.length - 1);
+            const dt = samples[b].time - samples[a].time;
+            if (dt <= 0) return 0;
+            const p = positions[a];
+            const q = positions[b];
+            return Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z) / dt;
+        });
+    }
+
+    // Keyframe markers sit on the curve at their time
+    getKeyframePoints(prop, points) {
+        const track = GRAPH_PROPERTIES[prop].track;
+        if (!track || points.length === 0) return [];
+
+        const { viewStart, viewDuration } = this.timelineEditor;
+        return this.keyframeManager.getTrackKeyframes(track)
+            .filter(kf => kf.time >= viewStart && kf.time <= viewStart + viewDuration)
+            .map(kf => {
+                const x = this.timeToX(kf.time);
+                const nearest = points[Math.max(0, Math.min(points.length - 1, Math.round((x - points[0].x) / this.sampleSpacing)))];
+                let value = this.keyframeManager.interpolateAt(kf.time)[prop];
+                if (this.isCircular(prop) && Number.isFinite(nearest.value)) {
+                    value = nearest.value + Interpolation.angleDifference(nearest.value, value);
+                }
+                return { keyframe: kf, x, value };
+            });
+    }
+
+    getRange(prop, points, keyframes) {
+        const values = [...points, ...keyframes].map(point => point.value).filter(Number.isFinite);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (!Number.isFinite(min)) return { min: 0, max: 1 };
+
+        // Keep flat curves readable and leave room above and below
+        if (max - min < 1e-6) {
+            const half = Math.max(Math.abs(min) * 0.01, prop === 'latitude' || prop === 'longitude' ? 1e-4 : 1);
+            min -= half;
+            max += half;
+        }
+        const padding = (max - min) * 0.1;
+        return { min: min - padding, max: max + padding };
+    }
+
+    // Nearest keyframe marker within reach
+    hitTest(x, y) {
+        let hit = null;
+        let nearestDistance = 10;
+        this.curves.forEach(curve => {
+            curve.keyframes.forEach(point => {
+                const distance = Math.hypot(x - point.x, y - this.valueToY(point.value, curve.range));
+                if (distance < nearestDistance) {
+                    hit = { keyframe: point.keyframe, curve };
+                    nearestDistance = distance;
+                }
+            });
+        });
+        return hit;
+    }
+
+    onPointerDown(e) {
+        const { x, y } = this.getPointerPosition(e);
+        const hit = this.hitTest(x, y);
+
+        if (hit) {
+            // Freeze the value range while dragging so the curve doesn't rescale under the pointer.
+            // offset maps plotted values back to stored ones (terrain-relative heights, unwrapped angles).
+            const prop = hit.curve.prop;
+            const point = hit.curve.keyframes.find(p => p.keyframe === hit.keyframe);
+            this.dragged = { keyframe: hit.keyframe, prop, range: hit.curve.range, offset: point.value - hit.keyframe[prop] };
+            this.keyframeManager.history.beginTransaction('値の編集');
+            this.keyframeManager.selectKeyframe(hit.keyframe);
+        } else {
+            this.timelineEditor.setCurrentTime(this.timelineEditor.snapTime(this.xToTime(x)));
+            this.scrubbing = true;
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    onPointerMove(e) {
+        const { x, y } = this.getPointerPosition(e);
+
+        if (this.dragged) {
+            const { keyframe, prop, range, offset } = this.dragged;
+            this.keyframeManager.updateKeyframe(keyframe, { [prop]: this.clampValue(prop, this.yToValue(y, range) - offset) });
+
+            // Re-seek so the camera previews the edit
+            this.timelineEditor.setCurrentTime(this.timelineEditor.getCurrentTime());
+            return;
+        }
+
+        if (this.scrubbing) {
+            this.timelineEditor.setCurrentTime(this.timelineEditor.snapTime(this.xToTime(x)));
+            return;
+        }
+
+        const hit = this.hitTest(x, y);
+        const hovered = hit ? hit.keyframe : null;
+        this.canvas.style.cursor = hit ? 'ns-resize' : 'default';
+        if (hovered !== this.hovered) {
+            this.hovered = hovered;
+            this.render();
+        }
+    }
+
+    onPointerUp(e) {
+        if (this.dragged) {
+            this.keyframeManager.history.endTransaction();
+        }
+        this.dragged = null;
+        this.scrubbing = false;
+    }
+
+    // Zoom and pan the shared time axis
+    onWheel(e) {
+        e.preventDefault();
+        const { x } = this.getPointerPosition(e);
+        const timeline = this.timelineEditor;
+
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            const delta = e.shiftKey ? e.deltaY || e.deltaX : e.deltaX;
+            timeline.setView(timeline.viewStart + delta / timeline.getPixelsPerSecond(), timeline.viewDuration);
+            return;
+        }
+        timeline.zoomAt(x, Math.exp(e.deltaY * 0.002));
+    }
+
+    clampValue(prop, value) {
+        switch (prop) {
+            case 'latitude':
+            case 'targetLatitude':
+                return Math.max(-90, Math.min(90, value));
+            case 'longitude':
+            case 'targetLongitude':
+            case 'heading':
+            case 'pitch':
+            case 'roll':
+                return Interpolation.normalizeAngle(value);
+            case 'fov':
+                return Math.max(10, Math.min(120, value));
+            case 'atmosphereHue':
+            case 'atmosphereSaturation':
+            case 'atmosphereBrightness':
+                return Math.max(-1, Math.min(1, value));
+            case 'bloom':
+                return Math.max(0, Math.min(1, value));
+            case 'fogDensity':
+            case 'brightness':
+                return Math.max(0, value);
+            case 'shadows':
+                return value >= 0.5 ? 1 : 0;
+            default:
+                return value;
+        }
+    }
+
+    render() {
+        if (!this.visible) return;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        if (this.curvesStale) {
+            this.curves = this.sampleCurves();
+            this.curvesStale = false;
+        }
+
+        this.drawTimeGrid();
+        if (this.curves.length === 1) {
+            this.drawValueAxis(this.curves[0]);
+        }
+        this.curves.forEach(curve => this.drawCurve(curve));
+        this.drawLegend();
+
+        this.plotImage = ctx.getImageData(0, 0, width, height);
+        this.drawPlayhead();
+    }
+
+    // Move the playhead over the plot from the last render (during playback)
+    renderPlayhead() {
+        if (!this.visible) return;
+        if (this.curvesStale || !this.plotImage || this.plotImage.width !== this.canvas.width) {
+            this.render();
+            return;
+        }
+
+        this.ctx.putImageData(this.plotImage, 0, 0);
+        this.drawPlayhead();
+    }
+
+    drawTimeGrid() {
+        const ctx = this.ctx;
+        const timeline = this.timelineEditor;
+        const step = timeline.getTickInterval(70);
+
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 1;
+
+        timeline.forEachTick(step, (time) => {
+            const x = this.timeToX(time);
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(x, 30);
+            ctx.lineTo(x, this.getPlotBottom());
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(timeline.formatRulerTime(time, step), x, 15);
+        });
+    }
+
+    // Value labels for a single plotted property
+    drawValueAxis(curve) {
+        const ctx = this.ctx;
+        const { min, max } = curve.range;
+        const step = this.getNiceStep((max - min) / 5);
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+            const y = this.valueToY(value, curve.range);
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(this.getLeft(), y);
+            ctx.lineTo(this.getLeft() + this.getPlotWidth(), y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.axis;
+            const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+            ctx.fillText(value.toFixed(decimals), this.getLeft() - 8, y);
+        }
+
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // 1, 2 or 5 times a power of ten
+    getNiceStep(rough) {
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const fraction = rough / power;
+        if (fraction < 1.5) return power;
+        if (fraction < 3.5) return 2 * power;
+        if (fraction < 7.5) return 5 * power;
+        return 10 * power;
+    }
+
+    drawCurve(curve) {
+        const ctx = this.ctx;
+        const color = GRAPH_PROPERTIES[curve.prop].color;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        curve.points.forEach(point => {
+            // Gaps where the property is unset (the look-at target outside its keys)
+            if (!Number.isFinite(point.value)) {
+                drawing = false;
+                return;
+            }
+            const y = this.valueToY(point.value, curve.range);
+            if (drawing) ctx.lineTo(point.x, y);
+            else ctx.moveTo(point.x, y);
+            drawing = true;
+        });
+        ctx.stroke();
+
+        // Keyframe markers
+        curve.keyframes.forEach(point => {
+            const selected = this.keyframeManager.isSelected(point.keyframe);
+            const radius = point.keyframe === this.hovered ? 6 : 4.5;
+
+            ctx.fillStyle = selected ? this.colors.keyframeSelected : color;
+            ctx.beginPath();
+            ctx.arc(point.x, this.valueToY(point.value, curve.range), radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = this.colors.keyframeOutline;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    }
+
+    // Color key for the overlaid curves (a single property is named by the selector)
+    drawLegend() {
+        if (this.curves.length < 2) return;
+
+        const ctx = this.ctx;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        // Stacked in the label column
+        this.curves.forEach((curve, i) => {
+            const y = this.getPlotTop() + 6 + i * 14;
+            ctx.fillStyle = GRAPH_PROPERTIES[curve.prop].color;
+            ctx.fillRect(6, y - 3, 6, 6);
+            ctx.fillText(GRAPH_PROPERTIES[curve.prop].label, 16, y);
+        });
+
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    drawPlayhead() {
+        const ctx = this.ctx;
+        const x = this.timeToX(this.timelineEditor.getCurrentTime());
+
+        ctx.strokeStyle = this.colors.playhead;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, 30);
+        ctx.lineTo(x, this.canvas.height);
+        ctx.stroke();
+    }
+}
+
+export default GraphEditor;
@@ -0,0 +1,129 @@
+// History Manager - Command-based undo/redo stack
+// A command is { label, undo(), redo() }. Commands recorded inside a
+// transaction are merged into one undo step (e.g. a whole timeline drag).
+export class HistoryManager {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = null;
+        this.transactionDepth = 0;
+        this.isApplying = false; // True while a command is being undone/redone
+
+        this.listeners = {
+            'historyChanged': []
+        };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // Record a command that has already been applied
+    record(command) {
+        if (this.isApplying) return;
+
+        if (this.transaction) {
+            this.transaction.commands.push(command);
+            return;
+        }
+
+        this.push(command);
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emit('historyChanged', this.getState());
+    }
+
+    // Group the following commands into one undo step (may be nested)
+    beginTransaction(label) {
+        if (this.transactionDepth === 0) {
+            this.transaction = { label, commands: [] };
+        }
+        this.transactionDepth++;
+    }
+
+    endTransaction() {
+        if (this.transactionDepth === 0) return;
+
+        this.transactionDepth--;
+        if (this.transactionDepth > 0) return;
+
+        const { label, commands } = this.transaction;
+        this.transaction = null;
+        if (commands.length === 0) return;
+
+        this.push({
+            label,
+            undo: () => [...commands].reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.emit('historyChanged', this.getState());
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        this.emit('historyChanged', this.getState());
+        return true;
+    }
+
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+            redoLabel: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+        };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('historyChanged', this.getState());
+    }
+}
+
+export default HistoryManager;
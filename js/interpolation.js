@@ -22,6 +22,17 @@ export const Interpolation = {
             : 1 - Math.pow(-2 * t + 2, 3) / 2;
     },
 
+    // Ease in from zero velocity, leaving at the speed of a linear blend (for
+    // the first segment of a spline, so it joins the next one without a jolt)
+    splineEaseIn(t) {
+        return t * t * (2 - t);
+    },
+
+    // Arrive with zero velocity, entering at the speed of a linear blend
+    splineEaseOut(t) {
+        return 1 - this.splineEaseIn(1 - t);
+    },
+
     // Cubic Bezier (customizable curve)
     bezier(t, p1 = 0.42, p2 = 0, p3 = 0.58, p4 = 1) {
         // Simplified cubic bezier calculation
@@ -40,24 +51,42 @@ export const Interpolation = {
         let t2 = t;
         for (let i = 0; i < 8; i++) {
             const x = sampleCurveX(t2) - t;
-            if (Math.abs(x) < 0.001) break;
+            if (Math.abs(x) < 0.001) return sampleCurveY(t2);
             const d = (3 * ax * t2 + 2 * bx) * t2 + cx;
             if (Math.abs(d) < 0.000001) break;
             t2 -= x / d;
         }
 
+        // Fall back to bisection for flat handles where Newton stalls
+        let lo = 0;
+        let hi = 1;
+        t2 = t;
+        for (let i = 0; i < 20; i++) {
+            const x = sampleCurveX(t2);
+            if (Math.abs(x - t) < 0.0001) break;
+            if (x < t) lo = t2; else hi = t2;
+            t2 = (lo + hi) / 2;
+        }
+
         return sampleCurveY(t2);
     },
 
+    // Apply an easing function by name. handles are the [x1, y1, x2, y2]
+    // control points for 'bezier'; without them the default curve is used.
+    ease(t, type = 'linear', handles = null) {
+        if (type === 'bezier' && handles) return this.bezier(t, ...handles);
+        return this[type] ? this[type](t) : this.linear(t);
+    },
+
     // Interpolate between two values
     interpolate(a, b, t, type = 'linear') {
-        const easedT = this[type] ? this[type](t) : this.linear(t);
+        const easedT = this.ease(t, type);
         return a + (b - a) * easedT;
     },
 
     // Interpolate between two 3D positions (Cartesian3)
     interpolateCartesian3(start, end, t, type = 'linear') {
-        const easedT = this[type] ? this[type](t) : this.linear(t);
+        const easedT = this.ease(t, type);
         return {
             x: start.x + (end.x - start.x) * easedT,
             y: start.y + (end.y - start.y) * easedT,
@@ -65,37 +94,77 @@ export const Interpolation = {
         };
     },
 
+    // Normalize angle to -180 to 180
+    normalizeAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    },
+
+    // Shortest signed difference from one angle to another
+    angleDifference(start, end) {
+        let diff = this.normalizeAngle(end) - this.normalizeAngle(start);
+        if (diff > 180) diff -= 360;
+        if (diff < -180) diff += 360;
+        return diff;
+    },
+
     // Interpolate angles (handles wrapping around 360 degrees)
     interpolateAngle(start, end, t, type = 'linear') {
-        const easedT = this[type] ? this[type](t) : this.linear(t);
+        const easedT = this.ease(t, type);
 
-        // Normalize angles to -180 to 180
-        const normalizeAngle = (angle) => {
-            while (angle > 180) angle -= 360;
-            while (angle < -180) angle += 360;
-            return angle;
-        };
+        // Find shortest path
+        const diff = this.angleDifference(start, end);
 
-        start = normalizeAngle(start);
-        end = normalizeAngle(end);
+        return this.normalizeAngle(this.normalizeAngle(start) + diff * easedT);
+    },
 
-        // Find shortest path
-        let diff = end - start;
-        if (diff > 180) diff -= 360;
-        if (diff < -180) diff += 360;
+    // Kochanek-Bartels (TCB) spline segment from p1 to p2 at parameter t.
+    // p0/p3 are the neighbouring values, k1/k2 carry the tension, continuity
+    // and bias of the keys at p1/p2, and spans holds the time spans
+    // [p0->p1, p1->p2, p2->p3] used to correct tangents for uneven spacing.
+    kochanekBartels(p0, p1, p2, p3, t, k1, k2, spans) {
+        const [span0, span1, span2] = spans;
+
+        // Outgoing tangent at p1
+        const a = (1 - k1.tension) * (1 + k1.continuity) * (1 + k1.bias) / 2;
+        const b = (1 - k1.tension) * (1 - k1.continuity) * (1 - k1.bias) / 2;
+        let m1 = a * (p1 - p0) + b * (p2 - p1);
+
+        // Incoming tangent at p2
+        const c = (1 - k2.tension) * (1 - k2.continuity) * (1 + k2.bias) / 2;
+        const d = (1 - k2.tension) * (1 + k2.continuity) * (1 - k2.bias) / 2;
+        let m2 = c * (p2 - p1) + d * (p3 - p2);
 
-        return normalizeAngle(start + diff * easedT);
+        // Keep velocity continuous across keys with different time spans
+        if (span0 + span1 > 0) m1 *= 2 * span1 / (span0 + span1);
+        if (span1 + span2 > 0) m2 *= 2 * span1 / (span1 + span2);
+
+        // Cubic Hermite basis
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * p1
+            + (t3 - 2 * t2 + t) * m1
+            + (-2 * t3 + 3 * t2) * p2
+            + (t3 - t2) * m2;
     },
 
     // Spherical linear interpolation (for smooth camera rotation)
     slerp(start, end, t, type = 'linear') {
-        const easedT = this[type] ? this[type](t) : this.linear(t);
+        const easedT = this.ease(t, type);
 
         // Convert to quaternions for smooth rotation
-        const dot = start.x * end.x + start.y * end.y + start.z * end.z + start.w * end.w;
-        const theta = Math.acos(Math.max(-1, Math.min(1, dot)));
+        let dot = start.x * end.x + start.y * end.y + start.z * end.z + start.w * end.w;
+
+        // q and -q are the same rotation: flip to take the shorter arc
+        if (dot < 0) {
+            end = { x: -end.x, y: -end.y, z: -end.z, w: -end.w };
+            dot = -dot;
+        }
 
-        if (theta === 0) return start;
+        const theta = Math.acos(Math.min(1, dot));
+
+        if (theta < 1e-6) return { ...start };
 
         const sinTheta = Math.sin(theta);
         const wa = Math.sin((1 - easedT) * theta) / sinTheta;
@@ -107,6 +176,109 @@ export const Interpolation = {
             z: wa * start.z + wb * end.z,
             w: wa * start.w + wb * end.w
         };
+    },
+
+    // Camera orientation as a quaternion in the local East-North-Up frame.
+    // The rotation maps camera axes (x right, y forward, z up) onto
+    // (east, north, up); heading/pitch/roll are in degrees, as in Cesium.
+    hprToQuaternion(heading, pitch, roll) {
+        const { right, forward, up } = this.hprToAxes(heading, pitch, roll);
+
+        // Rotation matrix columns are the camera axes
+        const m00 = right.x, m01 = forward.x, m02 = up.x;
+        const m10 = right.y, m11 = forward.y, m12 = up.y;
+        const m20 = right.z, m21 = forward.z, m22 = up.z;
+
+        const trace = m00 + m11 + m22;
+        let x, y, z, w;
+        if (trace > 0) {
+            const s = Math.sqrt(trace + 1) * 2;
+            w = s / 4;
+            x = (m21 - m12) / s;
+            y = (m02 - m20) / s;
+            z = (m10 - m01) / s;
+        } else if (m00 > m11 && m00 > m22) {
+            const s = Math.sqrt(1 + m00 - m11 - m22) * 2;
+            w = (m21 - m12) / s;
+            x = s / 4;
+            y = (m01 + m10) / s;
+            z = (m02 + m20) / s;
+        } else if (m11 > m22) {
+            const s = Math.sqrt(1 + m11 - m00 - m22) * 2;
+            w = (m02 - m20) / s;
+            x = (m01 + m10) / s;
+            y = s / 4;
+            z = (m12 + m21) / s;
+        } else {
+            const s = Math.sqrt(1 + m22 - m00 - m11) * 2;
+            w = (m10 - m01) / s;
+            x = (m02 + m20) / s;
+            y = (m12 + m21) / s;
+            z = s / 4;
+        }
+        return { x, y, z, w };
+    },
+
+    // Camera axes in ENU for heading/pitch/roll (degrees)
+    hprToAxes(heading, pitch, roll) {
+        const h = heading * Math.PI / 180;
+        const p = pitch * Math.PI / 180;
+        const r = roll * Math.PI / 180;
+
+        const forward = { x: Math.sin(h) * Math.cos(p), y: Math.cos(h) * Math.cos(p), z: Math.sin(p) };
+        const levelUp = { x: -Math.sin(h) * Math.sin(p), y: -Math.cos(h) * Math.sin(p), z: Math.cos(p) };
+        const levelRight = { x: Math.cos(h), y: -Math.sin(h), z: 0 };
+
+        // Roll turns up and right around the forward axis
+        const up = {
+            x: levelUp.x * Math.cos(r) + levelRight.x * Math.sin(r),
+            y: levelUp.y * Math.cos(r) + levelRight.y * Math.sin(r),
+            z: levelUp.z * Math.cos(r) + levelRight.z * Math.sin(r)
+        };
+        const right = {
+            x: levelRight.x * Math.cos(r) - levelUp.x * Math.sin(r),
+            y: levelRight.y * Math.cos(r) - levelUp.y * Math.sin(r),
+            z: levelRight.z * Math.cos(r) - levelUp.z * Math.sin(r)
+        };
+        return { right, forward, up };
+    },
+
+    // Camera axes in ENU for a quaternion from hprToQuaternion
+    quaternionToAxes(q) {
+        const { x, y, z, w } = q;
+        return {
+            right: { x: 1 - 2 * (y * y + z * z), y: 2 * (x * y + z * w), z: 2 * (x * z - y * w) },
+            forward: { x: 2 * (x * y - z * w), y: 1 - 2 * (x * x + z * z), z: 2 * (y * z + x * w) },
+            up: { x: 2 * (x * z + y * w), y: 2 * (y * z - x * w), z: 1 - 2 * (x * x + y * y) }
+        };
+    },
+
+    // Heading/pitch/roll (degrees) for a quaternion from hprToQuaternion
+    quaternionToHpr(q) {
+        const { forward, up } = this.quaternionToAxes(q);
+        const pitch = Math.asin(Math.max(-1, Math.min(1, forward.z)));
+        const toDegrees = (radians) => radians * 180 / Math.PI;
+
+        // Looking straight up or down: heading comes from the up vector
+        if (Math.cos(pitch) < 1e-6) {
+            const sign = forward.z < 0 ? 1 : -1;
+            return {
+                heading: toDegrees(Math.atan2(sign * up.x, sign * up.y)),
+                pitch: toDegrees(pitch),
+                roll: 0
+            };
+        }
+
+        const heading = Math.atan2(forward.x, forward.y);
+        const level = this.hprToAxes(toDegrees(heading), toDegrees(pitch), 0);
+        const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+        const roll = Math.atan2(dot(up, level.right), dot(up, level.up));
+
+        return {
+            heading: toDegrees(heading),
+            pitch: toDegrees(pitch),
+            roll: toDegrees(roll)
+        };
     }
 };
 
@@ -1,9 +1,111 @@
 import Interpolation from './interpolation.js';
+import Geodesy from './geodesy.js';
+import HistoryManager from './history-manager.js';
+
+// Animatable tracks. Each track owns the keyframe properties that are always
+// keyed together, so e.g. FOV can be timed independently of position.
+// angle tracks and the wraps properties blend the short way round ±180°.
+export const TRACKS = {
+    position: { label: '位置', properties: ['latitude', 'longitude', 'height'], wraps: ['longitude'] },
+    heading: { label: 'Heading', properties: ['heading'], angle: true },
+    pitch: { label: 'Pitch', properties: ['pitch'], angle: true },
+    roll: { label: 'Roll', properties: ['roll'], angle: true },
+    fov: { label: 'FOV', properties: ['fov'] },
+    target: { label: 'ターゲット', properties: ['targetLatitude', 'targetLongitude', 'targetHeight'], wraps: ['targetLongitude'] },
+    clock: { label: '時刻', properties: ['clockHours'] },
+    fog: { label: 'フォグ', properties: ['fogDensity'] },
+    atmosphere: { label: '大気', properties: ['atmosphereHue', 'atmosphereSaturation', 'atmosphereBrightness'] },
+    bloom: { label: 'ブルーム', properties: ['bloom'] },
+    brightness: { label: '明るさ', properties: ['brightness'] },
+    shadows: { label: '影', properties: ['shadows'], step: true } // Held until the next key
+};
+
+export const TRACK_NAMES = Object.keys(TRACKS);
+
+// Tracks keyed by default (the full camera; the look-at target and clock are opt-in)
+export const CAMERA_TRACKS = ['position', 'heading', 'pitch', 'roll', 'fov'];
+
+// Tracks that make up the camera orientation
+export const ORIENTATION_TRACKS = ['heading', 'pitch', 'roll'];
+
+// Camera values used for tracks that have no keyframes
+export const DEFAULT_CAMERA = {
+    latitude: 35.6762,
+    longitude: 139.6503,
+    height: 10000,
+    heading: 0,
+    pitch: -45,
+    roll: 0,
+    fov: 60
+};
+
+// Scene effect values used for environment tracks that have no keyframes.
+// fogDensity is in units of 1e-4; the atmosphere shifts range -1 to 1;
+// bloom is a 0-1 strength (0 = off); brightness 1 leaves the image as is;
+// shadows is 1 (on) or 0 (off).
+export const DEFAULT_ENVIRONMENT = {
+    fogDensity: 2,
+    atmosphereHue: 0,
+    atmosphereSaturation: 0,
+    atmosphereBrightness: 0,
+    bloom: 0,
+    brightness: 1,
+    shadows: 1
+};
+
+// Per-keyframe segment options and their defaults.
+// tension/continuity/bias shape the spline through the keyframe (Kochanek-Bartels).
+// bezierHandles are the cubic-bezier control points [x1, y1, x2, y2] used by
+// the 'bezier' interpolation type for the segment that starts at the keyframe.
+// travelMode is the route of that segment: 'linear' (lat/lon blend),
+// 'greatCircle' or 'flyTo' (great circle with a height arc).
+// constantSpeed re-times the segment so the camera moves at an even speed,
+// with the easing applied to the distance travelled instead.
+// altitudeMode says what height means: 'absolute' (above the ellipsoid) or
+// 'relativeToGround' (above the terrain under the camera).
+export const KEYFRAME_OPTIONS = {
+    tension: 0,
+    continuity: 0,
+    bias: 0,
+    bezierHandles: [0.42, 0, 0.58, 1],
+    travelMode: 'linear',
+    constantSpeed: false,
+    altitudeMode: 'absolute'
+};
+
+// Keyframes per orbit generated by generateOrbit (15° apart)
+const ORBIT_SEGMENTS = 24;
+
+// Samples per position segment for arc-length tables
+const ARC_LENGTH_SAMPLES = 64;
+
+// Share of the whole path spent accelerating (and decelerating) in constant speed mode
+const SPEED_RAMP = 0.1;
+
+// Project-wide interpolation settings
+export const DEFAULT_SETTINGS = {
+    curveMode: 'linear', // 'linear' (segment by segment) or 'spline' (through all keyframes)
+    orientationMode: 'euler', // 'euler' (per-angle) or 'quaternion' (slerp in the local ENU frame)
+    speedMode: 'keyframe', // 'keyframe' (position keys hit their times) or 'constant' (even speed over the whole path)
+    terrainAvoidance: false, // Keep the camera above sampled terrain
+    terrainClearance: 50, // Minimum height above ground in meters
+    dateTime: '2024-06-21T03:00:00Z', // Scene date/time (UTC) at 0 s; clock keys are hours from here
+    targetRoute: null, // Route layer id whose moving marker is the look-at target (null = keyed target)
+    attachedModel: null, // Model id the camera rides along with (null = not attached)
+    // Map sources. imagery.type: 'osm', 'ion' (assetId), 'xyz' (url template with
+    // {z}/{x}/{y}), 'wmts' (url, layer, tileMatrixSetID) or 'local' (url = folder
+    // under server/tiles/imagery, format = tile extension).
+    imagery: { type: 'osm' },
+    // terrain.type: 'world' (Cesium World Terrain), 'ellipsoid' (flat), 'ion' (assetId),
+    // 'url' (quantized-mesh tileset) or 'local' (url = folder under server/tiles/terrain)
+    terrain: { type: 'world' }
+};
 
 // Keyframe class
 export class Keyframe {
-    constructor(time, cameraData, interpolationType = 'easeInOut') {
+    constructor(time, cameraData, interpolationType = 'easeInOut', tracks = CAMERA_TRACKS) {
         this.time = time; // Time in seconds
+        this.tracks = TRACK_NAMES.filter(name => tracks.includes(name)); // Keyed tracks
         this.latitude = cameraData.latitude;
         this.longitude = cameraData.longitude;
         this.height = cameraData.height;
@@ -11,45 +113,92 @@ export class Keyframe {
         this.pitch = cameraData.pitch;
         this.roll = cameraData.roll;
         this.fov = cameraData.fov || 60;
+        this.targetLatitude = cameraData.targetLatitude;
+        this.targetLongitude = cameraData.targetLongitude;
+        this.targetHeight = cameraData.targetHeight;
+        this.clockHours = cameraData.clockHours || 0;
+        Object.keys(DEFAULT_ENVIRONMENT).forEach(prop => {
+            this[prop] = cameraData[prop] !== undefined ? cameraData[prop] : DEFAULT_ENVIRONMENT[prop];
+        });
         this.interpolationType = interpolationType;
+        this.setOptions(KEYFRAME_OPTIONS);
+    }
+
+    // Copy known segment options from an object (unknown keys are ignored)
+    setOptions(options) {
+        Object.keys(KEYFRAME_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = Array.isArray(options[key]) ? [...options[key]] : options[key];
+            }
+        });
+    }
+
+    getOptions() {
+        const options = {};
+        Object.keys(KEYFRAME_OPTIONS).forEach(key => {
+            options[key] = Array.isArray(this[key]) ? [...this[key]] : this[key];
+        });
+        return options;
+    }
+
+    hasTrack(track) {
+        return this.tracks.includes(track);
+    }
+
+    // Values of the keyed tracks only
+    getValues() {
+        const values = {};
+        this.tracks.forEach(track => {
+            TRACKS[track].properties.forEach(prop => {
+                values[prop] = this[prop];
+            });
+        });
+        return values;
+    }
+
+    // Values of one track
+    getTrackValues(track) {
+        const values = {};
+        TRACKS[track].properties.forEach(prop => {
+            values[prop] = this[prop];
+        });
+        return values;
     }
 
     clone() {
-        return new Keyframe(this.time, {
-            latitude: this.latitude,
-            longitude: this.longitude,
-            height: this.height,
-            heading: this.heading,
-            pitch: this.pitch,
-            roll: this.roll,
-            fov: this.fov
-        }, this.interpolationType);
+        const keyframe = new Keyframe(this.time, this.getValues(), this.interpolationType, this.tracks);
+        keyframe.setOptions(this.getOptions());
+        return keyframe;
     }
 
     toJSON() {
         return {
             time: this.time,
-            latitude: this.latitude,
-            longitude: this.longitude,
-            height: this.height,
-            heading: this.heading,
-            pitch: this.pitch,
-            roll: this.roll,
-            fov: this.fov,
-            interpolationType: this.interpolationType
+            tracks: [...this.tracks],
+            ...this.getValues(),
+            interpolationType: this.interpolationType,
+            ...this.getOptions()
         };
     }
 
     static fromJSON(data) {
-        return new Keyframe(data.time, {
+        // Files saved before per-track keyframes carry every value
+        const keyframe = new Keyframe(data.time, {
             latitude: data.latitude,
             longitude: data.longitude,
             height: data.height,
             heading: data.heading,
             pitch: data.pitch,
             roll: data.roll,
-            fov: data.fov
-        }, data.interpolationType);
+            fov: data.fov,
+            targetLatitude: data.targetLatitude,
+            targetLongitude: data.targetLongitude,
+            targetHeight: data.targetHeight,
+            clockHours: data.clockHours,
+            ...Object.fromEntries(Object.keys(DEFAULT_ENVIRONMENT).map(prop => [prop, data[prop]]))
+        }, data.interpolationType, data.tracks || CAMERA_TRACKS);
+        keyframe.setOptions(data);
+        return keyframe;
     }
 }
 
@@ -57,14 +206,34 @@ export class Keyframe {
 export class KeyframeManager {
     constructor() {
         this.keyframes = [];
-        this.selectedKeyframe = null;
+        this.selectedKeyframe = null; // Primary selection (edited in the property panel)
+        this.selectedKeyframes = [];
+        this.clipboard = [];
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.history = new HistoryManager();
         this.listeners = {
             'keyframeAdded': [],
             'keyframeRemoved': [],
             'keyframeUpdated': [],
             'keyframeSelected': [],
-            'keyframesChanged': []
+            'keyframesChanged': [],
+            'settingsChanged': [],
+            'terrainChanged': []
         };
+
+        // Ground heights along the path (set by TerrainSampler) for terrain avoidance
+        this.terrainProfile = null;
+
+        // Looks up a route head position by layer id and time (set by the app,
+        // since routes live in the LayerManager) for the targetRoute setting
+        this.routeTargetResolver = null;
+
+        // Looks up a model position by id and time for the attachedModel setting
+        this.modelPositionResolver = null;
+
+        // Arc-length tables, segment speeds and terrain corrections, rebuilt after any edit
+        this.pathCache = new Map();
+        this.on('keyframesChanged', () => this.pathCache.clear());
     }
 
     // Event system
@@ -80,10 +249,26 @@ export class KeyframeManager {
         }
     }
 
+    // Record an undoable change that has already been applied
+    record(label, undo, redo) {
+        this.history.record({ label, undo, redo });
+    }
+
+    undo() {
+        return this.history.undo();
+    }
+
+    redo() {
+        return this.history.redo();
+    }
+
     // Add a keyframe
     addKeyframe(keyframe) {
         this.keyframes.push(keyframe);
         this.sortKeyframes();
+        this.record('キーフレーム追加',
+            () => this.removeKeyframe(keyframe),
+            () => this.addKeyframe(keyframe));
         this.emit('keyframeAdded', keyframe);
         this.emit('keyframesChanged', this.keyframes);
         return keyframe;
@@ -94,6 +279,10 @@ export class KeyframeManager {
         const index = this.keyframes.indexOf(keyframe);
         if (index !== -1) {
             this.keyframes.splice(index, 1);
+            this.record('キーフレーム削除',
+                () => this.addKeyframe(keyframe),
+                () => this.removeKeyframe(keyframe));
+            this.selectedKeyframes = this.selectedKeyframes.filter(kf => kf !== keyframe);
             if (this.selectedKeyframe === keyframe) {
                 this.selectedKeyframe = null;
                 this.emit('keyframeSelected', null);
@@ -107,6 +296,17 @@ export class KeyframeManager {
 
     // Update a keyframe
     updateKeyframe(keyframe, newData) {
+        const copy = (value) => Array.isArray(value) ? [...value] : value;
+        const previous = {};
+        const next = {};
+        Object.keys(newData).forEach(key => {
+            previous[key] = copy(keyframe[key]);
+            next[key] = copy(newData[key]);
+        });
+        this.record('キーフレーム更新',
+            () => this.updateKeyframe(keyframe, previous),
+            () => this.updateKeyframe(keyframe, next));
+
         Object.assign(keyframe, newData);
         this.sortKeyframes();
         this.emit('keyframeUpdated', keyframe);
@@ -116,9 +316,83 @@ export class KeyframeManager {
     // Select a keyframe
     selectKeyframe(keyframe) {
         this.selectedKeyframe = keyframe;
+        this.selectedKeyframes = keyframe ? [keyframe] : [];
         this.emit('keyframeSelected', keyframe);
     }
 
+    // Select several keyframes; the primary one is shown in the property panel
+    setSelection(keyframes, primary = keyframes[keyframes.length - 1] || null) {
+        this.selectedKeyframes = [...new Set(keyframes)];
+        this.selectedKeyframe = primary;
+        this.emit('keyframeSelected', primary);
+    }
+
+    // Add or remove a keyframe from the selection (shift-click)
+    toggleSelection(keyframe) {
+        if (this.isSelected(keyframe)) {
+            const rest = this.selectedKeyframes.filter(kf => kf !== keyframe);
+            this.setSelection(rest);
+        } else {
+            this.setSelection([...this.selectedKeyframes, keyframe], keyframe);
+        }
+    }
+
+    isSelected(keyframe) {
+        return this.selectedKeyframes.includes(keyframe);
+    }
+
+    getSelectedKeyframes() {
+        return this.keyframes.filter(kf => this.isSelected(kf));
+    }
+
+    // Set new times for several keyframes (timeFn maps a keyframe to its time)
+    retimeKeyframes(keyframes, timeFn) {
+        this.history.beginTransaction('キーフレーム移動');
+        keyframes.forEach(kf => {
+            this.updateKeyframe(kf, { time: Math.max(0, timeFn(kf)) });
+        });
+        this.history.endTransaction();
+    }
+
+    // Stretch or squeeze keyframe times around a pivot time
+    scaleKeyframes(keyframes, factor, pivot) {
+        this.retimeKeyframes(keyframes, kf => pivot + (kf.time - pivot) * factor);
+    }
+
+    // Copy the selected keyframes to the clipboard
+    copySelection() {
+        this.clipboard = this.getSelectedKeyframes().map(kf => kf.clone());
+        return this.clipboard.length;
+    }
+
+    // Paste the clipboard so its first keyframe lands at the given time
+    pasteAt(time) {
+        if (this.clipboard.length === 0) return [];
+
+        const start = Math.min(...this.clipboard.map(kf => kf.time));
+        this.history.beginTransaction('貼り付け');
+        const pasted = this.clipboard.map(kf => {
+            const keyframe = kf.clone();
+            keyframe.time = time + (kf.time - start);
+            return this.addKeyframe(keyframe);
+        });
+        this.history.endTransaction();
+
+        this.setSelection(pasted, pasted[0]);
+        return pasted;
+    }
+
+    // Remove every selected keyframe as one undo step
+    deleteSelection() {
+        const selected = this.getSelectedKeyframes();
+        if (selected.length === 0) return;
+
+        this.history.beginTransaction('キーフレーム削除');
+        selected.forEach(kf => this.removeKeyframe(kf));
+        this.history.endTransaction();
+        this.setSelection([]);
+    }
+
     // Get keyframe at specific time
     getKeyframeAtTime(time, tolerance = 0.1) {
         return this.keyframes.find(kf => Math.abs(kf.time - time) < tolerance);
@@ -129,19 +403,45 @@ export class KeyframeManager {
         this.keyframes.sort((a, b) => a.time - b.time);
     }
 
-    // Get surrounding keyframes for interpolation
-    getSurroundingKeyframes(time) {
-        if (this.keyframes.length === 0) return { before: null, after: null };
+    // Get keyframes that key a track
+    getTrackKeyframes(track) {
+        return this.keyframes.filter(kf => kf.hasTrack(track));
+    }
+
+    // Move one track of a keyframe into its own keyframe so it can be retimed
+    // independently. Returns the keyframe that now holds the track.
+    splitKeyframe(keyframe, track) {
+        if (!keyframe.hasTrack(track) || keyframe.tracks.length === 1) return keyframe;
+
+        const split = keyframe.clone();
+        split.tracks = [track];
+
+        this.history.beginTransaction('トラック分割');
+        this.updateKeyframe(keyframe, { tracks: keyframe.tracks.filter(name => name !== track) });
+        this.addKeyframe(split);
+        this.history.endTransaction();
+        return split;
+    }
+
+    // Get surrounding keyframes for interpolation (optionally within one track)
+    getSurroundingKeyframes(time, track = null) {
+        const keyframes = track ? this.getTrackKeyframes(track) : this.keyframes;
+        return this.findSurrounding(keyframes, time);
+    }
+
+    // Find the keyframes around a time in a sorted list
+    findSurrounding(keyframes, time) {
+        if (keyframes.length === 0) return { before: null, after: null };
 
         let before = null;
         let after = null;
 
-        for (let i = 0; i < this.keyframes.length; i++) {
-            if (this.keyframes[i].time <= time) {
-                before = this.keyframes[i];
+        for (let i = 0; i < keyframes.length; i++) {
+            if (keyframes[i].time <= time) {
+                before = keyframes[i];
             }
-            if (this.keyframes[i].time >= time && !after) {
-                after = this.keyframes[i];
+            if (keyframes[i].time >= time && !after) {
+                after = keyframes[i];
                 break;
             }
         }
@@ -151,44 +451,500 @@ export class KeyframeManager {
 
     // Interpolate camera data at specific time
     interpolateAt(time) {
-        const { before, after } = this.getSurroundingKeyframes(time);
-
-        // If no keyframes, return default
-        if (!before && !after) {
-            return {
-                latitude: 35.6762,
-                longitude: 139.6503,
-                height: 10000,
-                heading: 0,
-                pitch: -45,
-                roll: 0,
-                fov: 60
+        const result = { ...DEFAULT_CAMERA, ...DEFAULT_ENVIRONMENT };
+        TRACK_NAMES.forEach(track => Object.assign(result, this.interpolateTrack(track, time)));
+
+        // Attached to a model, the camera rides along with it. The offset goes on
+        // before the height is resolved, so the terrain floor below still applies.
+        const attachment = this.getAttachmentOffset(time);
+        if (attachment) {
+            result.latitude += attachment.latitude;
+            result.longitude = Interpolation.normalizeAngle(result.longitude + attachment.longitude);
+            result.height += attachment.height;
+        }
+        result.height = this.resolveHeight(result.height, time);
+
+        // Without clock keys the scene clock runs in real time from the project date
+        if (result.clockHours === undefined) {
+            result.clockHours = time / 3600;
+        }
+        result.sceneTime = this.getSceneTime(result.clockHours);
+
+        if (this.settings.orientationMode === 'quaternion') {
+            Object.assign(result, this.interpolateOrientation(time));
+        }
+
+        // Lift the camera out of the ground before aiming at the target
+        const minHeight = this.getMinimumHeight(time);
+        if (result.height < minHeight) {
+            result.height = minHeight;
+        }
+
+        // Following a route marker replaces the keyed target
+        const routeTarget = this.getRouteTarget(time);
+        if (routeTarget) {
+            result.targetLatitude = routeTarget.latitude;
+            result.targetLongitude = routeTarget.longitude;
+            result.targetHeight = routeTarget.height;
+        }
+
+        // A look-at target overrides heading and pitch, but only between the
+        // first and last target key so keyed angles outside it still apply
+        if (!routeTarget && !this.isTargetKeyed(time)) {
+            delete result.targetLatitude;
+            delete result.targetLongitude;
+            delete result.targetHeight;
+        }
+        if (result.targetLatitude !== undefined) {
+            delete result.orientation;
+            Object.assign(result, this.lookAtTarget(result));
+        }
+        return result;
+    }
+
+    setRouteTargetResolver(resolver) {
+        this.routeTargetResolver = resolver;
+    }
+
+    // Position of the followed route marker at a time (null when not following a route)
+    getRouteTarget(time) {
+        if (this.settings.targetRoute === null || !this.routeTargetResolver) return null;
+        return this.routeTargetResolver(this.settings.targetRoute, time);
+    }
+
+    setModelPositionResolver(resolver) {
+        this.modelPositionResolver = resolver;
+    }
+
+    // How far the attached model has moved from where it was when the camera
+    // was keyed. Keyed positions hold at their times; in between, the model's
+    // own motion is added on top of the camera's blend between its keys.
+    getAttachmentOffset(time) {
+        if (this.settings.attachedModel === null || !this.modelPositionResolver) return null;
+
+        const modelAt = (t) => this.modelPositionResolver(this.settings.attachedModel, t);
+        const current = modelAt(time);
+        const { before, after } = this.getSurroundingKeyframes(time, 'position');
+        if (!current || (!before && !after)) return null;
+
+        let anchor;
+        if (!before || !after || before === after) {
+            anchor = modelAt((before || after).time);
+        } else {
+            const t = (time - before.time) / (after.time - before.time);
+            const easedT = Interpolation.ease(t, before.interpolationType, before.bezierHandles);
+            const start = modelAt(before.time);
+            const end = modelAt(after.time);
+            anchor = {
+                latitude: Interpolation.interpolate(start.latitude, end.latitude, easedT),
+                longitude: Interpolation.interpolateAngle(start.longitude, end.longitude, easedT),
+                height: Interpolation.interpolate(start.height, end.height, easedT)
             };
         }
 
+        return {
+            latitude: current.latitude - anchor.latitude,
+            longitude: Interpolation.angleDifference(anchor.longitude, current.longitude),
+            height: current.height - anchor.height
+        };
+    }
+
+    // Scene date/time (ms since epoch) for a clock value in hours after the project date
+    getSceneTime(clockHours) {
+        let start = Date.parse(this.settings.dateTime);
+        if (isNaN(start)) {
+            start = Date.parse(DEFAULT_SETTINGS.dateTime);
+        }
+        return start + clockHours * 3600000;
+    }
+
+    // Set the ground heights sampled along the path: { start, end, heights }
+    // with heights evenly spaced in time, or null when avoidance is off
+    setTerrainProfile(profile) {
+        this.terrainProfile = profile;
+        this.pathCache.delete('terrain');
+        this.emit('terrainChanged', profile);
+    }
+
+    // Whether the path needs ground heights (avoidance or terrain-relative keys)
+    needsTerrain() {
+        return this.settings.terrainAvoidance
+            || this.getTrackKeyframes('position').some(kf => kf.altitudeMode === 'relativeToGround');
+    }
+
+    // Ground height under the camera at a time (flat 0 m until terrain is sampled)
+    getGroundHeight(time) {
+        const profile = this.terrainProfile;
+        if (!profile || profile.heights.length === 0) return 0;
+
+        const last = profile.heights.length - 1;
+        const span = profile.end - profile.start;
+        const position = span > 0 ? Math.max(0, Math.min(1, (time - profile.start) / span)) * last : 0;
+        const index = Math.min(last, Math.floor(position));
+        const next = Math.min(last, index + 1);
+        return Interpolation.interpolate(profile.heights[index], profile.heights[next], position - index);
+    }
+
+    // Ground height plus clearance at a time (-Infinity if avoidance is off)
+    getMinimumHeight(time) {
+        if (!this.settings.terrainAvoidance || !this.terrainProfile) return -Infinity;
+        return this.getGroundHeight(time) + this.settings.terrainClearance;
+    }
+
+    // Turn an interpolated height into height above the ellipsoid. Terrain-relative
+    // keys blend in the ground height, so a segment between two of them follows
+    // the terrain and a mixed segment eases from one reference to the other.
+    resolveHeight(height, time) {
+        const { before, after } = this.getSurroundingKeyframes(time, 'position');
+        if (!before && !after) return height;
+
+        const weight = (kf) => kf.altitudeMode === 'relativeToGround' ? 1 : 0;
+        let relative;
+        if (!before || !after || before === after) {
+            relative = weight(before || after);
+        } else {
+            const t = (time - before.time) / (after.time - before.time);
+            relative = Interpolation.interpolate(weight(before), weight(after), Interpolation.ease(t, before.interpolationType, before.bezierHandles));
+        }
+
+        return relative > 0 ? height + relative * this.getGroundHeight(time) : height;
+    }
+
+    // Time ranges where the camera is lifted above the keyed heights
+    getTerrainCorrections() {
+        const profile = this.terrainProfile;
+        if (!this.settings.terrainAvoidance || !profile) return [];
+        if (this.pathCache.has('terrain')) return this.pathCache.get('terrain');
+
+        const ranges = [];
+        const last = profile.heights.length - 1;
+        let current = null;
+        profile.heights.forEach((ground, i) => {
+            const time = last > 0 ? profile.start + (profile.end - profile.start) * i / last : profile.start;
+            const { height } = { ...DEFAULT_CAMERA, ...this.interpolateTrack('position', time) };
+            const attachment = this.getAttachmentOffset(time);
+            const riding = attachment ? attachment.height : 0;
+            if (this.resolveHeight(height + riding, time) < ground + this.settings.terrainClearance) {
+                if (!current) {
+                    current = { start: time, end: time };
+                    ranges.push(current);
+                }
+                current.end = time;
+            } else {
+                current = null;
+            }
+        });
+
+        this.pathCache.set('terrain', ranges);
+        return ranges;
+    }
+
+    // Whether a time lies within the keyed range of the target track
+    isTargetKeyed(time) {
+        const keyframes = this.getTrackKeyframes('target');
+        return keyframes.length > 0
+            && time >= keyframes[0].time
+            && time <= keyframes[keyframes.length - 1].time;
+    }
+
+    // Heading and pitch that center the target seen from the camera position
+    lookAtTarget(data) {
+        const { east, north, up } = Geodesy.enuOffset(
+            data.latitude, data.longitude, data.height,
+            data.targetLatitude, data.targetLongitude, data.targetHeight
+        );
+        const horizontal = Math.hypot(east, north);
+
+        // Directly above or below the target the heading is undefined: keep the keyed one
+        const heading = horizontal > 1e-3
+            ? Math.atan2(east, north) * 180 / Math.PI
+            : data.heading;
+        const pitch = Math.atan2(up, horizontal) * 180 / Math.PI;
+
+        return { heading, pitch };
+    }
+
+    // Create keyframes for a full 360° orbit around a target.
+    // Position is keyed around the circle and the target on the first and last
+    // key, so the camera only looks at the target during the orbit. The orbit is
+    // shortened to end by maxTime (the project duration).
+    generateOrbit({ targetLatitude, targetLongitude, targetHeight = 0, radius, height, startTime = 0, duration = 10, maxTime = Infinity, startBearing = 180, clockwise = true, segments = ORBIT_SEGMENTS }) {
+        const keyframes = [];
+        const direction = clockwise ? 1 : -1;
+        duration = Math.max(0, Math.min(duration, maxTime - startTime));
+        if (duration === 0) return keyframes;
+
+        this.history.beginTransaction('オービット生成');
+
+        for (let i = 0; i <= segments; i++) {
+            const bearing = startBearing + direction * 360 * i / segments;
+            const { latitude, longitude } = Geodesy.destination(targetLatitude, targetLongitude, bearing, radius);
+            const isEnd = i === 0 || i === segments;
+
+            const keyframe = new Keyframe(startTime + duration * i / segments, {
+                latitude,
+                longitude,
+                height,
+                targetLatitude,
+                targetLongitude,
+                targetHeight
+            }, 'linear', isEnd ? ['position', 'target'] : ['position']);
+            keyframe.travelMode = 'greatCircle';
+            keyframes.push(this.addKeyframe(keyframe));
+        }
+
+        this.history.endTransaction();
+        return keyframes;
+    }
+
+    // Slerp the camera orientation between keyframes that key any orientation
+    // track. The result also carries the ENU quaternion as "orientation" so the
+    // camera can be set without going back through Euler angles.
+    interpolateOrientation(time) {
+        const keyframes = this.keyframes.filter(kf => ORIENTATION_TRACKS.some(track => kf.hasTrack(track)));
+        const { before, after } = this.findSurrounding(keyframes, time);
+
+        // Outside the keyed range the Euler values are already exact
+        if (!before || !after || before === after) return {};
+
+        // Full orientation at both ends (tracks not keyed there are interpolated)
+        const orientationAt = (t) => {
+            const values = { ...DEFAULT_CAMERA };
+            ORIENTATION_TRACKS.forEach(track => Object.assign(values, this.interpolateTrack(track, t)));
+            return Interpolation.hprToQuaternion(values.heading, values.pitch, values.roll);
+        };
+
+        const duration = after.time - before.time;
+        const t = duration > 0 ? (time - before.time) / duration : 0;
+        const easedT = Interpolation.ease(t, before.interpolationType, before.bezierHandles);
+
+        const orientation = Interpolation.slerp(orientationAt(before.time), orientationAt(after.time), easedT);
+        return { ...Interpolation.quaternionToHpr(orientation), orientation };
+    }
+
+    // Interpolate the properties of a single track
+    interpolateTrack(track, time) {
+        const keyframes = this.getTrackKeyframes(track);
+        const { before, after } = this.getSurroundingKeyframes(time, track);
+
+        // If no keyframes on this track, leave the defaults
+        if (!before && !after) return {};
+
+        // Even speed over the whole path: position keys become waypoints
+        if (track === 'position' && this.settings.speedMode === 'constant' && keyframes.length > 1) {
+            return this.interpolateConstantSpeed(keyframes, time);
+        }
+
         // If only one keyframe or time is before first/after last
-        if (!before) return after.toJSON();
-        if (!after) return before.toJSON();
-        if (before === after) return before.toJSON();
+        if (!before) return after.getTrackValues(track);
+        if (!after) return before.getTrackValues(track);
+        if (before === after) return before.getTrackValues(track);
+
+        // Toggles jump at the next key instead of blending
+        if (TRACKS[track].step) return before.getTrackValues(track);
 
         // Calculate interpolation factor
         const duration = after.time - before.time;
         const elapsed = time - before.time;
         const t = duration > 0 ? elapsed / duration : 0;
 
-        // Use the interpolation type from the "before" keyframe
-        const interpType = before.interpolationType;
+        let easedT = this.easeSegment(track, keyframes, before, after, t);
 
-        // Interpolate all properties
-        return {
-            latitude: Interpolation.interpolate(before.latitude, after.latitude, t, interpType),
-            longitude: Interpolation.interpolate(before.longitude, after.longitude, t, interpType),
-            height: Interpolation.interpolate(before.height, after.height, t, interpType),
-            heading: Interpolation.interpolateAngle(before.heading, after.heading, t, interpType),
-            pitch: Interpolation.interpolateAngle(before.pitch, after.pitch, t, interpType),
-            roll: Interpolation.interpolateAngle(before.roll, after.roll, t, interpType),
-            fov: Interpolation.interpolate(before.fov, after.fov, t, interpType)
-        };
+        // A constant speed segment eases the distance travelled, not the curve parameter
+        if (track === 'position' && before.constantSpeed) {
+            easedT = this.arcLengthToParameter(this.getArcLengthTable(keyframes, before, after), easedT);
+        }
+
+        return this.interpolateSegment(track, keyframes, before, after, easedT);
+    }
+
+    // Segment parameter after easing. Segments use the easing (and bezier handles)
+    // of their "before" keyframe, except on a spline: easing every segment would
+    // stop the camera at each key, so only the ends of the path ease in and out.
+    easeSegment(track, keyframes, before, after, t) {
+        const travels = track === 'position' && before.travelMode && before.travelMode !== 'linear';
+        if (this.settings.curveMode !== 'spline' || travels) {
+            return Interpolation.ease(t, before.interpolationType, before.bezierHandles);
+        }
+
+        const first = keyframes[0] === before;
+        const last = keyframes[keyframes.length - 1] === after;
+        if (first && last) return Interpolation.ease(t, before.interpolationType, before.bezierHandles);
+        if (before.interpolationType === 'linear') return t;
+        if (first) return Interpolation.splineEaseIn(t);
+        if (last) return Interpolation.splineEaseOut(t);
+        return t;
+    }
+
+    // Values along the segment from before to after. easedT is the curve
+    // parameter (0-1) after easing.
+    interpolateSegment(track, keyframes, before, after, easedT) {
+        const { properties, angle, wraps = [] } = TRACKS[track];
+
+        // Geodesic travel replaces the position blend for its segment
+        if (track === 'position' && before.travelMode && before.travelMode !== 'linear') {
+            return this.interpolateTravel(before, after, easedT);
+        }
+
+        if (this.settings.curveMode === 'spline') {
+            const index = keyframes.indexOf(before);
+            return this.interpolateSpline(track, keyframes[index - 1], before, after, keyframes[index + 2], easedT);
+        }
+
+        const values = {};
+        properties.forEach(prop => {
+            values[prop] = angle || wraps.includes(prop)
+                ? Interpolation.interpolateAngle(before[prop], after[prop], easedT)
+                : Interpolation.interpolate(before[prop], after[prop], easedT);
+        });
+        return values;
+    }
+
+    // Cumulative distance (meters) along a position segment at evenly spaced
+    // curve parameters. Distances are 3D so climbs and dives count as travel.
+    getArcLengthTable(keyframes, before, after) {
+        const key = `segment:${keyframes.indexOf(before)}`;
+        if (!this.pathCache.has(key)) {
+            this.pathCache.set(key, this.measurePath(ARC_LENGTH_SAMPLES,
+                (u) => this.interpolateSegment('position', keyframes, before, after, u)));
+        }
+        return this.pathCache.get(key);
+    }
+
+    // Cumulative distances between samples 0..count of positionAt(fraction)
+    measurePath(count, positionAt) {
+        const lengths = [0];
+        let previous = null;
+        for (let i = 0; i <= count; i++) {
+            const { latitude, longitude, height } = positionAt(i / count);
+            const point = Geodesy.toCartesian(latitude, longitude, height);
+            if (previous) {
+                lengths.push(lengths[i - 1] + Math.hypot(point.x - previous.x, point.y - previous.y, point.z - previous.z));
+            }
+            previous = point;
+        }
+        return lengths;
+    }
+
+    // Curve parameter at which a fraction of the segment length has been travelled
+    arcLengthToParameter(lengths, fraction) {
+        const total = lengths[lengths.length - 1];
+        if (total <= 0) return fraction;
+
+        const target = Math.max(0, Math.min(1, fraction)) * total;
+        let i = 1;
+        while (i < lengths.length - 1 && lengths[i] < target) i++;
+
+        const span = lengths[i] - lengths[i - 1];
+        const local = span > 0 ? (target - lengths[i - 1]) / span : 0;
+        return (i - 1 + local) / (lengths.length - 1);
+    }
+
+    // Position with the whole path re-timed to an even speed. The camera
+    // accelerates over the first SPEED_RAMP of the time and slows down over the last.
+    interpolateConstantSpeed(keyframes, time) {
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (time <= first.time) return first.getTrackValues('position');
+        if (time >= last.time) return last.getTrackValues('position');
+
+        // Trapezoidal speed profile: distance fraction travelled at normalized time t
+        const t = (time - first.time) / (last.time - first.time);
+        const cruise = 1 / (1 - SPEED_RAMP);
+        let fraction;
+        if (t < SPEED_RAMP) {
+            fraction = cruise * t * t / (2 * SPEED_RAMP);
+        } else if (t > 1 - SPEED_RAMP) {
+            fraction = 1 - cruise * (1 - t) * (1 - t) / (2 * SPEED_RAMP);
+        } else {
+            fraction = cruise * (t - SPEED_RAMP / 2);
+        }
+
+        // Find the segment that contains that distance
+        const tables = keyframes.slice(0, -1).map((kf, i) => this.getArcLengthTable(keyframes, kf, keyframes[i + 1]));
+        const total = tables.reduce((sum, lengths) => sum + lengths[lengths.length - 1], 0);
+        let remaining = fraction * total;
+        for (let i = 0; i < tables.length; i++) {
+            const length = tables[i][tables[i].length - 1];
+            if (remaining <= length || i === tables.length - 1) {
+                const u = this.arcLengthToParameter(tables[i], length > 0 ? remaining / length : 0);
+                return this.interpolateSegment('position', keyframes, keyframes[i], keyframes[i + 1], u);
+            }
+            remaining -= length;
+        }
+        return last.getTrackValues('position');
+    }
+
+    // Average speed (m/s) of each position segment as played back
+    getSegmentSpeeds() {
+        if (this.pathCache.has('speeds')) return this.pathCache.get('speeds');
+
+        const keyframes = this.getTrackKeyframes('position');
+        const speeds = keyframes.slice(0, -1).map((before, i) => {
+            const after = keyframes[i + 1];
+            const duration = after.time - before.time;
+
+            // Sample the played-back motion so easing and constant speed are both reflected
+            const lengths = this.measurePath(16, (t) => this.interpolateTrack('position', before.time + duration * t));
+            const distance = lengths[lengths.length - 1];
+
+            return { start: before.time, end: after.time, speed: duration > 0 ? distance / duration : 0 };
+        });
+
+        this.pathCache.set('speeds', speeds);
+        return speeds;
+    }
+
+    // Position along a great circle, optionally climbing in a fly-to arc
+    interpolateTravel(before, after, easedT) {
+        const { latitude, longitude } = Geodesy.greatCircle(
+            before.latitude, before.longitude,
+            after.latitude, after.longitude,
+            easedT
+        );
+
+        let height;
+        if (before.travelMode === 'flyTo') {
+            const distance = Geodesy.distance(before.latitude, before.longitude, after.latitude, after.longitude);
+            height = Geodesy.flyToHeight(before.height, after.height, distance, easedT);
+        } else {
+            height = Interpolation.interpolate(before.height, after.height, easedT);
+        }
+
+        return { latitude, longitude, height };
+    }
+
+    // Kochanek-Bartels spline through the neighbouring keyframes of a segment.
+    // prev/next may be undefined at the ends of the track. easedT is the
+    // segment parameter after easing.
+    interpolateSpline(track, prev, before, after, next, easedT) {
+        const { properties, angle, wraps = [] } = TRACKS[track];
+        const span = after.time - before.time;
+        const spans = [
+            prev ? before.time - prev.time : span,
+            span,
+            next ? next.time - after.time : span
+        ];
+
+        const values = {};
+        properties.forEach(prop => {
+            const circular = angle || wraps.includes(prop);
+            let p1 = before[prop];
+            let p2 = after[prop];
+            let p0 = prev ? prev[prop] : p1;
+            let p3 = next ? next[prop] : p2;
+
+            // Unwrap angles so the spline takes the shortest way round
+            if (circular) {
+                p0 = p1 - Interpolation.angleDifference(p0, p1);
+                p2 = p1 + Interpolation.angleDifference(p1, p2);
+                p3 = p2 + Interpolation.angleDifference(after[prop], p3);
+            }
+
+            const value = Interpolation.kochanekBartels(p0, p1, p2, p3, easedT, before, after, spans);
+            values[prop] = circular ? Interpolation.normalizeAngle(value) : value;
+        });
+        return values;
     }
 
     // Get all keyframes
@@ -196,10 +952,36 @@ export class KeyframeManager {
         return [...this.keyframes];
     }
 
+    // Update project-wide interpolation settings
+    setSettings(settings) {
+        const previous = this.getSettings();
+        const next = { ...settings };
+        this.record('設定変更',
+            () => this.setSettings(previous),
+            () => this.setSettings(next));
+
+        Object.assign(this.settings, settings);
+        this.emit('settingsChanged', this.settings);
+        this.emit('keyframesChanged', this.keyframes);
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
     // Clear all keyframes
     clear() {
+        const previous = this.keyframes;
+        this.record('全キーフレーム削除',
+            () => {
+                this.keyframes = [...previous];
+                this.emit('keyframesChanged', this.keyframes);
+            },
+            () => this.clear());
+
         this.keyframes = [];
         this.selectedKeyframe = null;
+        this.selectedKeyframes = [];
         this.emit('keyframesChanged', this.keyframes);
     }
 
@@ -207,18 +989,22 @@ export class KeyframeManager {
     exportToJSON() {
         return {
             version: '1.0',
+            settings: this.getSettings(),
             keyframes: this.keyframes.map(kf => kf.toJSON())
         };
     }
 
     // Import keyframes from JSON
     importFromJSON(data) {
+        this.history.beginTransaction('読み込み');
         this.clear();
+        this.setSettings({ ...DEFAULT_SETTINGS, ...data.settings });
         if (data.keyframes) {
             data.keyframes.forEach(kfData => {
                 this.addKeyframe(Keyframe.fromJSON(kfData));
             });
         }
+        this.history.endTransaction();
     }
 }
 
@@ -0,0 +1,277 @@
+import Geodesy from './geodesy.js';
+
+// Layer Manager - Project-level data overlays (GeoJSON, KML, CZML) stored inline
+// in the project, and routes that draw themselves over time
+
+// Defaults for a new layer. data is the file contents as text. Style applies to
+// GeoJSON and routes (KML and CZML carry their own); clampToGround applies to all
+// but CZML. visibilityKeys are [{ time, opacity }] sorted by time; none = fully visible.
+// A route is drawn from its first point to its last between startTime and endTime
+// (seconds), with a marker at the head if showMarker is set.
+export const LAYER_DEFAULTS = {
+    name: '',
+    type: 'geojson', // 'geojson', 'kml', 'czml' or 'route'
+    data: '',
+    points: [], // Route points: [{ latitude, longitude, height }]
+    startTime: 0,
+    endTime: 5,
+    showMarker: true,
+    stroke: '#ffd166',
+    fill: '#ffd166',
+    fillOpacity: 0.3,
+    strokeWidth: 3,
+    clampToGround: true,
+    visible: true,
+    visibilityKeys: []
+};
+
+// File extensions and the layer type they load as
+export const LAYER_TYPES = {
+    geojson: 'geojson',
+    json: 'geojson',
+    kml: 'kml',
+    czml: 'czml'
+};
+
+// Cumulative ground distances along route points (cached per points array)
+const routeDistances = new WeakMap();
+
+function getRouteDistances(points) {
+    let distances = routeDistances.get(points);
+    if (!distances) {
+        distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            distances.push(distances[i - 1] + Geodesy.distance(a.latitude, a.longitude, b.latitude, b.longitude));
+        }
+        routeDistances.set(points, distances);
+    }
+    return distances;
+}
+
+// Route points from the first LineString (or MultiLineString part) in GeoJSON, or null
+export function routeFromGeoJSON(geojson) {
+    const findLine = (object) => {
+        if (!object) return null;
+        switch (object.type) {
+            case 'FeatureCollection':
+                for (const feature of object.features || []) {
+                    const line = findLine(feature);
+                    if (line) return line;
+                }
+                return null;
+            case 'Feature':
+                return findLine(object.geometry);
+            case 'GeometryCollection':
+                for (const geometry of object.geometries || []) {
+                    const line = findLine(geometry);
+                    if (line) return line;
+                }
+                return null;
+            case 'LineString':
+                return object.coordinates;
+            case 'MultiLineString':
+                return object.coordinates[0] || null;
+            default:
+                return null;
+        }
+    };
+
+    const coordinates = findLine(geojson);
+    if (!coordinates || coordinates.length < 2) return null;
+    return coordinates.map(([longitude, latitude, height]) => ({ latitude, longitude, height: height || 0 }));
+}
+
+export class LayerManager {
+    constructor(history) {
+        this.layers = [];
+        this.nextId = 1;
+        this.history = history; // Shared with the keyframes so one undo stack covers the project
+
+        this.listeners = {
+            'layersChanged': []
+        };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    record(label, undo, redo) {
+        this.history.record({ label, undo, redo });
+    }
+
+    // Continue numbering after the highest id in a layer list that replaces the
+    // current one, so ids stay unique across loads, undo and redo
+    resetNextId(layers) {
+        this.nextId = layers.reduce((max, layer) => Math.max(max, layer.id || 0), 0) + 1;
+    }
+
+    createLayer(data) {
+        const layer = { ...LAYER_DEFAULTS, ...data, id: data.id || this.nextId };
+        layer.points = (data.points || []).map(point => ({ ...point }));
+        layer.visibilityKeys = [...(data.visibilityKeys || [])]
+            .map(key => ({ time: key.time, opacity: key.opacity }))
+            .sort((a, b) => a.time - b.time);
+        this.nextId = Math.max(this.nextId, layer.id + 1);
+        return layer;
+    }
+
+    addLayer(data) {
+        const layer = this.createLayer(data);
+        this.layers.push(layer);
+        this.record('レイヤー追加',
+            () => this.removeLayer(layer),
+            () => this.restoreLayer(layer));
+        this.emit('layersChanged', this.layers);
+        return layer;
+    }
+
+    // Put back a removed layer (undo/redo keep the same object)
+    restoreLayer(layer) {
+        this.layers.push(layer);
+        this.record('レイヤー追加',
+            () => this.removeLayer(layer),
+            () => this.restoreLayer(layer));
+        this.emit('layersChanged', this.layers);
+    }
+
+    updateLayer(layer, data) {
+        const previous = {};
+        Object.keys(data).forEach(key => {
+            previous[key] = layer[key];
+        });
+        const next = { ...data };
+
+        Object.assign(layer, data);
+        this.record('レイヤー変更',
+            () => this.updateLayer(layer, previous),
+            () => this.updateLayer(layer, next));
+        this.emit('layersChanged', this.layers);
+    }
+
+    removeLayer(layer) {
+        const index = this.layers.indexOf(layer);
+        if (index === -1) return false;
+
+        this.layers.splice(index, 1);
+        this.record('レイヤー削除',
+            () => this.restoreLayer(layer),
+            () => this.removeLayer(layer));
+        this.emit('layersChanged', this.layers);
+        return true;
+    }
+
+    // Key the layer's opacity at a time (replaces a key at the same time)
+    setVisibilityKey(layer, time, opacity) {
+        const keys = layer.visibilityKeys.filter(key => Math.abs(key.time - time) > 1e-6);
+        keys.push({ time, opacity: Math.max(0, Math.min(1, opacity)) });
+        keys.sort((a, b) => a.time - b.time);
+        this.updateLayer(layer, { visibilityKeys: keys });
+    }
+
+    getAllLayers() {
+        return [...this.layers];
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    // Opacity (0-1) of a layer at a time, linear between visibility keys
+    opacityAt(layer, time) {
+        if (!layer.visible) return 0;
+
+        const keys = layer.visibilityKeys;
+        if (keys.length === 0) return 1;
+        if (time <= keys[0].time) return keys[0].opacity;
+
+        const last = keys[keys.length - 1];
+        if (time >= last.time) return last.opacity;
+
+        const index = keys.findIndex(key => key.time > time);
+        const before = keys[index - 1];
+        const after = keys[index];
+        const t = (time - before.time) / (after.time - before.time);
+        return before.opacity + (after.opacity - before.opacity) * t;
+    }
+
+    // Head of a route at a time: the point reached so far and the index of the
+    // last whole point behind it, or null if the route has no points
+    routeHeadAt(layer, time) {
+        const points = layer.points;
+        if (points.length === 0) return null;
+
+        const span = layer.endTime - layer.startTime;
+        const progress = span > 0
+            ? Math.max(0, Math.min(1, (time - layer.startTime) / span))
+            : (time >= layer.startTime ? 1 : 0);
+        const distances = getRouteDistances(points);
+        const travelled = progress * distances[distances.length - 1];
+
+        let index = 0;
+        while (index < points.length - 2 && distances[index + 1] <= travelled) {
+            index++;
+        }
+        const a = points[index];
+        const b = points[Math.min(index + 1, points.length - 1)];
+        const length = distances[Math.min(index + 1, points.length - 1)] - distances[index];
+        const t = length > 0 ? Math.max(0, Math.min(1, (travelled - distances[index]) / length)) : 0;
+
+        return {
+            ...Geodesy.greatCircle(a.latitude, a.longitude, b.latitude, b.longitude, t),
+            height: a.height + (b.height - a.height) * t,
+            index: index
+        };
+    }
+
+    // Route head position as a look-at target at a time (null if not a route)
+    routeTargetAt(id, time) {
+        const layer = this.getLayer(id);
+        if (!layer || layer.type !== 'route') return null;
+
+        const head = this.routeHeadAt(layer, time);
+        return head && { latitude: head.latitude, longitude: head.longitude, height: head.height };
+    }
+
+    toJSON() {
+        return this.layers.map(layer => ({
+            ...layer,
+            points: layer.points.map(point => ({ ...point })),
+            visibilityKeys: layer.visibilityKeys.map(key => ({ ...key }))
+        }));
+    }
+
+    // Replace all layers (project load)
+    importFromJSON(data) {
+        const previous = this.layers;
+        this.layers = [];
+        this.resetNextId(data || []);
+        (data || []).forEach(layerData => {
+            this.layers.push(this.createLayer(layerData));
+        });
+
+        const next = this.layers;
+        this.record('レイヤー読み込み',
+            () => this.setLayers(previous),
+            () => this.setLayers(next));
+        this.emit('layersChanged', this.layers);
+    }
+
+    setLayers(layers) {
+        this.layers = layers;
+        this.resetNextId(layers);
+        this.emit('layersChanged', this.layers);
+    }
+}
+
+export default LayerManager;
@@ -0,0 +1,291 @@
+import { LAYER_TYPES, routeFromGeoJSON } from './layer-manager.js';
+import { showNotification } from './notification.js';
+
+// Default length of a new route's drawing animation in seconds
+const ROUTE_DURATION = 5;
+
+// Layer Panel - UI for importing data layers and routes and editing their style and visibility keys
+export class LayerPanel {
+    constructor(layerManager, cesiumManager, animationController) {
+        this.layerManager = layerManager;
+        this.cesiumManager = cesiumManager;
+        this.animationController = animationController;
+
+        // Route being drawn by clicking the globe (null when not drawing)
+        this.drawnPoints = null;
+        this.clickHandler = null;
+        this.drawPreview = null;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updateList();
+
+        this.layerManager.on('layersChanged', () => this.updateList());
+    }
+
+    initializeElements() {
+        this.importButton = document.getElementById('btn-import-layer');
+        this.fileInput = document.getElementById('input-layer-file');
+        this.importRouteButton = document.getElementById('btn-import-route');
+        this.routeFileInput = document.getElementById('input-route-file');
+        this.drawRouteButton = document.getElementById('btn-draw-route');
+        this.routeStartInput = document.getElementById('input-route-start');
+        this.routeEndInput = document.getElementById('input-route-end');
+        this.routeMarkerCheckbox = document.getElementById('input-route-marker');
+        this.layerSelect = document.getElementById('select-layer');
+        this.nameInput = document.getElementById('input-layer-name');
+        this.strokeInput = document.getElementById('input-layer-stroke');
+        this.fillInput = document.getElementById('input-layer-fill');
+        this.fillOpacityInput = document.getElementById('input-layer-fill-opacity');
+        this.strokeWidthInput = document.getElementById('input-layer-stroke-width');
+        this.clampCheckbox = document.getElementById('input-layer-clamp');
+        this.visibleCheckbox = document.getElementById('input-layer-visible');
+        this.opacityInput = document.getElementById('input-layer-opacity');
+        this.keyOpacityButton = document.getElementById('btn-key-layer-opacity');
+        this.clearKeysButton = document.getElementById('btn-clear-layer-keys');
+        this.keysReadout = document.getElementById('layer-keys-readout');
+
+        this.updateButton = document.getElementById('btn-update-layer');
+        this.deleteButton = document.getElementById('btn-delete-layer');
+    }
+
+    bindEvents() {
+        this.importButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importFile(file);
+            e.target.value = ''; // Reset input
+        });
+
+        this.importRouteButton.addEventListener('click', () => this.routeFileInput.click());
+        this.routeFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importRoute(file);
+            e.target.value = ''; // Reset input
+        });
+        this.drawRouteButton.addEventListener('click', () => {
+            if (this.drawnPoints) {
+                this.finishDrawing();
+            } else {
+                this.startDrawing();
+            }
+        });
+
+        this.layerSelect.addEventListener('change', () => this.updateForm());
+        this.keyOpacityButton.addEventListener('click', () => this.keyOpacity());
+        this.clearKeysButton.addEventListener('click', () => this.clearKeys());
+        this.updateButton.addEventListener('click', () => this.updateLayer());
+        this.deleteButton.addEventListener('click', () => this.deleteLayer());
+    }
+
+    getSelectedLayer() {
+        return this.layerManager.getLayer(parseInt(this.layerSelect.value));
+    }
+
+    // Rebuild the dropdown, keeping the current choice if it still exists
+    updateList() {
+        const selectedId = this.layerSelect.value;
+        const layers = this.layerManager.getAllLayers();
+
+        this.layerSelect.innerHTML = '';
+        if (layers.length === 0) {
+            this.layerSelect.innerHTML = '<option value="">レイヤーなし</option>';
+        }
+        layers.forEach(layer => {
+            const option = document.createElement('option');
+            option.value = layer.id;
+            option.textContent = `${layer.name || `レイヤー ${layer.id}`} (${layer.type.toUpperCase()})`;
+            this.layerSelect.appendChild(option);
+        });
+        if (this.layerManager.getLayer(parseInt(selectedId))) {
+            this.layerSelect.value = selectedId;
+        }
+        this.updateForm();
+    }
+
+    updateForm() {
+        const layer = this.getSelectedLayer();
+        [this.updateButton, this.deleteButton, this.keyOpacityButton, this.clearKeysButton].forEach(button => {
+            button.disabled = !layer;
+        });
+        if (!layer) {
+            this.keysReadout.textContent = '—';
+            return;
+        }
+
+        this.nameInput.value = layer.name;
+        this.strokeInput.value = layer.stroke;
+        this.fillInput.value = layer.fill;
+        this.fillOpacityInput.value = layer.fillOpacity;
+        this.strokeWidthInput.value = layer.strokeWidth;
+        this.clampCheckbox.checked = layer.clampToGround;
+        this.visibleCheckbox.checked = layer.visible;
+        this.routeStartInput.value = layer.startTime;
+        this.routeEndInput.value = layer.endTime;
+        this.routeMarkerCheckbox.checked = layer.showMarker;
+        this.keysReadout.textContent = layer.visibilityKeys.length === 0
+            ? '常に表示'
+            : layer.visibilityKeys.map(key => `${key.time.toFixed(1)}s: ${Math.round(key.opacity * 100)}%`).join(' / ');
+    }
+
+    // Read a GeoJSON, KML or CZML file and add it as a layer
+    importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const type = LAYER_TYPES[extension];
+        if (!type) {
+            showNotification('GeoJSON・KML・CZML ファイルを選択してください');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const data = event.target.result;
+            if (type !== 'kml') {
+                try {
+                    JSON.parse(data);
+                } catch (error) {
+                    showNotification('ファイルの読み込みに失敗しました: ' + error.message);
+                    return;
+                }
+            }
+
+            const layer = this.layerManager.addLayer({
+                name: file.name.replace(/\.[^.]+$/, ''),
+                type: type,
+                data: data
+            });
+            this.layerSelect.value = layer.id;
+            this.updateForm();
+            showNotification(`レイヤー「${layer.name}」を追加しました`);
+        };
+        reader.readAsText(file);
+    }
+
+    // Read a GeoJSON file and add its first line as a route starting at the playhead
+    importRoute(file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let points;
+            try {
+                points = routeFromGeoJSON(JSON.parse(event.target.result));
+            } catch (error) {
+                showNotification('ファイルの読み込みに失敗しました: ' + error.message);
+                return;
+            }
+            if (!points) {
+                showNotification('LineString が見つかりません');
+                return;
+            }
+            this.addRoute(file.name.replace(/\.[^.]+$/, ''), points);
+        };
+        reader.readAsText(file);
+    }
+
+    addRoute(name, points) {
+        const startTime = this.animationController.getCurrentTime();
+        const layer = this.layerManager.addLayer({
+            name: name,
+            type: 'route',
+            points: points,
+            startTime: startTime,
+            endTime: startTime + ROUTE_DURATION
+        });
+        this.layerSelect.value = layer.id;
+        this.updateForm();
+        showNotification(`ルート「${layer.name}」を追加しました`);
+    }
+
+    // Collect route points from clicks on the globe until the button is pressed again
+    startDrawing() {
+        const viewer = this.cesiumManager.getViewer();
+        this.drawnPoints = [];
+        this.drawRouteButton.innerHTML = '<span class="icon">✅</span> 描画を完了';
+
+        this.drawPreview = viewer.entities.add({
+            name: 'Route Preview',
+            polyline: {
+                positions: new Cesium.CallbackProperty(() => this.drawnPoints.map(point =>
+                    Cesium.Cartesian3.fromDegrees(point.longitude, point.latitude, point.height)
+                ), false),
+                width: 3,
+                clampToGround: true,
+                material: Cesium.Color.WHITE.withAlpha(0.8)
+            }
+        });
+
+        this.clickHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+        this.clickHandler.setInputAction((click) => {
+            const point = this.cesiumManager.pickGlobe(click.position);
+            if (point) {
+                this.drawnPoints.push({ latitude: point.latitude, longitude: point.longitude, height: 0 });
+            }
+        }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+        showNotification('地図をクリックしてルートの点を追加してください');
+    }
+
+    finishDrawing() {
+        const points = this.drawnPoints;
+        this.clickHandler.destroy();
+        this.clickHandler = null;
+        this.cesiumManager.getViewer().entities.remove(this.drawPreview);
+        this.drawPreview = null;
+        this.drawnPoints = null;
+        this.drawRouteButton.innerHTML = '<span class="icon">✏️</span> ルートを描く';
+
+        if (points.length < 2) {
+            showNotification('ルートには2点以上が必要です');
+            return;
+        }
+        this.addRoute('ルート', points);
+    }
+
+    updateLayer() {
+        const layer = this.getSelectedLayer();
+        if (!layer) return;
+
+        const startTime = Math.max(0, parseFloat(this.routeStartInput.value) || 0);
+        const endTime = parseFloat(this.routeEndInput.value);
+        this.layerManager.updateLayer(layer, {
+            name: this.nameInput.value.trim(),
+            stroke: this.strokeInput.value,
+            fill: this.fillInput.value,
+            fillOpacity: Math.max(0, Math.min(1, parseFloat(this.fillOpacityInput.value) || 0)),
+            strokeWidth: Math.max(1, parseFloat(this.strokeWidthInput.value) || 1),
+            clampToGround: this.clampCheckbox.checked,
+            visible: this.visibleCheckbox.checked,
+            startTime: startTime,
+            endTime: isNaN(endTime) ? startTime : Math.max(startTime, endTime),
+            showMarker: this.routeMarkerCheckbox.checked
+        });
+    }
+
+    // Key the entered opacity at the playhead
+    keyOpacity() {
+        const layer = this.getSelectedLayer();
+        if (!layer) return;
+
+        const opacity = parseFloat(this.opacityInput.value);
+        this.layerManager.setVisibilityKey(
+            layer,
+            this.animationController.getCurrentTime(),
+            isNaN(opacity) ? 1 : opacity
+        );
+    }
+
+    clearKeys() {
+        const layer = this.getSelectedLayer();
+        if (!layer || layer.visibilityKeys.length === 0) return;
+
+        this.layerManager.updateLayer(layer, { visibilityKeys: [] });
+    }
+
+    deleteLayer() {
+        const layer = this.getSelectedLayer();
+        if (!layer) return;
+
+        this.layerManager.removeLayer(layer);
+    }
+}
+
+export default LayerPanel;
@@ -0,0 +1,220 @@
+import { showNotification } from './notification.js';
+
+// Layer Renderer - Keeps the viewer's data sources in sync with the project's
+// data layers and fades them by their visibility keys (also during export).
+// Routes are drawn as viewer entities, like the camera path.
+
+// Layer fields a data source or route is built from; changing one reloads the layer
+const SOURCE_FIELDS = ['type', 'data', 'points', 'showMarker', 'stroke', 'fill', 'fillOpacity', 'strokeWidth', 'clampToGround'];
+
+const ROUTE_MARKER_SIZE = 12;
+
+export class LayerRenderer {
+    constructor(cesiumManager, layerManager, animationController) {
+        this.cesiumManager = cesiumManager;
+        this.layerManager = layerManager;
+        this.currentTime = 0;
+        this.loaded = new Map(); // Layer id -> { dataSource, entities, source, fades, opacity }
+        this.pending = Promise.resolve();
+
+        this.layerManager.on('layersChanged', () => this.update());
+        animationController.on('timeUpdate', (data) => this.setTime(data.time));
+
+        this.update();
+    }
+
+    // Syncs run one after another so a slow load can't overtake a later edit;
+    // a failed sync is reported and the next one still runs
+    update() {
+        this.pending = this.pending
+            .then(() => this.sync())
+            .catch(error => {
+                console.error('Layer sync failed:', error);
+                showNotification('レイヤーの表示更新に失敗しました: ' + error.message);
+            });
+    }
+
+    // Resolves once every layer is loaded (used before export)
+    whenReady() {
+        return this.pending;
+    }
+
+    async sync() {
+        const layers = this.layerManager.getAllLayers();
+
+        // Drop removed layers and those whose data or style changed
+        this.loaded.forEach((entry, id) => {
+            const layer = layers.find(l => l.id === id);
+            if (!layer || !this.matchesSource(layer, entry)) {
+                this.removeEntry(entry);
+                this.loaded.delete(id);
+            }
+        });
+
+        for (const layer of layers) {
+            if (this.loaded.has(layer.id)) continue;
+
+            if (layer.type === 'route') {
+                this.loaded.set(layer.id, this.createRoute(layer));
+                continue;
+            }
+
+            try {
+                const dataSource = await this.cesiumManager.addDataLayer(layer);
+                if (!dataSource) continue;
+
+                const entry = {
+                    dataSource,
+                    entities: [],
+                    source: this.getSource(layer),
+                    fades: this.hasFades(layer),
+                    opacity: 1
+                };
+                if (entry.fades) {
+                    this.fadeEntities(dataSource, entry);
+                }
+                this.loaded.set(layer.id, entry);
+            } catch (error) {
+                console.error(`Layer "${layer.name}" failed to load:`, error);
+            }
+        }
+
+        this.setTime(this.currentTime);
+    }
+
+    removeEntry(entry) {
+        if (entry.dataSource) {
+            this.cesiumManager.removeDataLayer(entry.dataSource);
+        }
+        const viewer = this.cesiumManager.getViewer();
+        entry.entities.forEach(entity => viewer.entities.remove(entity));
+    }
+
+    getSource(layer) {
+        const source = {};
+        SOURCE_FIELDS.forEach(field => {
+            source[field] = layer[field];
+        });
+        return source;
+    }
+
+    matchesSource(layer, entry) {
+        return SOURCE_FIELDS.every(field => layer[field] === entry.source[field])
+            && this.hasFades(layer) === entry.fades;
+    }
+
+    // Partial opacity needs per-entity color callbacks; plain on/off keys only toggle show
+    hasFades(layer) {
+        const opacities = layer.visibilityKeys.map(key => key.opacity);
+        return opacities.some(opacity => opacity > 0 && opacity < 1)
+            || new Set(opacities).size > 1;
+    }
+
+    setTime(time) {
+        this.currentTime = time;
+        this.loaded.forEach((entry, id) => {
+            const layer = this.layerManager.getLayer(id);
+            entry.opacity = layer ? this.layerManager.opacityAt(layer, time) : 0;
+            if (entry.dataSource) {
+                entry.dataSource.show = entry.opacity > 0;
+            }
+            entry.entities.forEach(entity => {
+                entity.show = entry.opacity > 0;
+            });
+        });
+    }
+
+    // Line revealed up to the route head, with an optional marker at the head.
+    // Start/end times are read live, so retiming a route needs no reload.
+    createRoute(layer) {
+        const viewer = this.cesiumManager.getViewer();
+        const entry = {
+            dataSource: null,
+            entities: [],
+            source: this.getSource(layer),
+            fades: this.hasFades(layer),
+            opacity: 1
+        };
+        if (layer.points.length < 2) return entry;
+
+        const color = Cesium.Color.fromCssColorString(layer.stroke);
+        const fadedColor = (base) => new Cesium.CallbackProperty((time, result) => {
+            return base.withAlpha(base.alpha * entry.opacity, result);
+        }, false);
+        const positions = layer.points.map(point => Cesium.Cartesian3.fromDegrees(
+            point.longitude,
+            point.latitude,
+            point.height
+        ));
+        const headPosition = () => {
+            const head = this.layerManager.routeHeadAt(layer, this.currentTime);
+            return Cesium.Cartesian3.fromDegrees(head.longitude, head.latitude, head.height);
+        };
+
+        entry.entities.push(viewer.entities.add({
+            name: layer.name,
+            polyline: {
+                positions: new Cesium.CallbackProperty(() => {
+                    const head = this.layerManager.routeHeadAt(layer, this.currentTime);
+                    return [...positions.slice(0, head.index + 1), headPosition()];
+                }, false),
+                width: layer.strokeWidth,
+                clampToGround: layer.clampToGround,
+                material: new Cesium.ColorMaterialProperty(fadedColor(color))
+            }
+        }));
+
+        if (layer.showMarker) {
+            entry.entities.push(viewer.entities.add({
+                name: `${layer.name} Marker`,
+                position: new Cesium.CallbackProperty(headPosition, false),
+                point: {
+                    pixelSize: ROUTE_MARKER_SIZE,
+                    heightReference: layer.clampToGround
+                        ? Cesium.HeightReference.CLAMP_TO_GROUND
+                        : Cesium.HeightReference.NONE,
+                    color: fadedColor(color),
+                    outlineColor: fadedColor(Cesium.Color.WHITE),
+                    outlineWidth: 2,
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY
+                }
+            }));
+        }
+        return entry;
+    }
+
+    // Scale the alpha of every entity color by the layer opacity
+    fadeEntities(dataSource, entry) {
+        const fade = (property) => new Cesium.CallbackProperty((time, result) => {
+            const color = property.getValue(time, result);
+            return color && color.withAlpha(color.alpha * entry.opacity, result);
+        }, false);
+        const fadeMaterial = (material) => material instanceof Cesium.ColorMaterialProperty
+            ? new Cesium.ColorMaterialProperty(fade(material.color))
+            : material;
+        const white = new Cesium.ConstantProperty(Cesium.Color.WHITE);
+
+        dataSource.entities.values.forEach(entity => {
+            if (entity.polygon) {
+                entity.polygon.material = fadeMaterial(entity.polygon.material);
+                if (entity.polygon.outlineColor) entity.polygon.outlineColor = fade(entity.polygon.outlineColor);
+            }
+            if (entity.polyline) {
+                entity.polyline.material = fadeMaterial(entity.polyline.material);
+            }
+            if (entity.point) {
+                entity.point.color = fade(entity.point.color || white);
+                if (entity.point.outlineColor) entity.point.outlineColor = fade(entity.point.outlineColor);
+            }
+            if (entity.billboard) {
+                entity.billboard.color = fade(entity.billboard.color || white);
+            }
+            if (entity.label) {
+                entity.label.fillColor = fade(entity.label.fillColor || white);
+                if (entity.label.outlineColor) entity.label.outlineColor = fade(entity.label.outlineColor);
+            }
+        });
+    }
+}
+
+export default LayerRenderer;
@@ -0,0 +1,182 @@
+import { showNotification } from './notification.js';
+
+// Map Source Panel - UI for choosing the project's imagery and terrain sources
+// (settings.imagery / settings.terrain, see DEFAULT_SETTINGS)
+export class MapSourcePanel {
+    constructor(keyframeManager) {
+        this.keyframeManager = keyframeManager;
+
+        // Folders under server/tiles, filled in by loadTileFolders
+        this.tileFolders = { imagery: [], terrain: [] };
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updateForm(this.keyframeManager.getSettings());
+        this.loadTileFolders();
+
+        this.keyframeManager.on('settingsChanged', (settings) => this.updateForm(settings));
+    }
+
+    initializeElements() {
+        this.imageryTypeSelect = document.getElementById('select-imagery-type');
+        this.imageryAssetInput = document.getElementById('input-imagery-asset');
+        this.imageryUrlInput = document.getElementById('input-imagery-url');
+        this.imageryLayerInput = document.getElementById('input-imagery-layer');
+        this.imageryMatrixSetInput = document.getElementById('input-imagery-matrix-set');
+        this.imageryLocalSelect = document.getElementById('select-imagery-local');
+
+        this.terrainTypeSelect = document.getElementById('select-terrain-type');
+        this.terrainAssetInput = document.getElementById('input-terrain-asset');
+        this.terrainUrlInput = document.getElementById('input-terrain-url');
+        this.terrainLocalSelect = document.getElementById('select-terrain-local');
+
+        this.applyButton = document.getElementById('btn-apply-map-sources');
+
+        // Field groups shown only for the source types that use them
+        this.imageryGroups = {
+            asset: document.getElementById('imagery-asset-group'),
+            url: document.getElementById('imagery-url-group'),
+            wmts: document.getElementById('imagery-wmts-group'),
+            local: document.getElementById('imagery-local-group')
+        };
+        this.terrainGroups = {
+            asset: document.getElementById('terrain-asset-group'),
+            url: document.getElementById('terrain-url-group'),
+            local: document.getElementById('terrain-local-group')
+        };
+    }
+
+    bindEvents() {
+        this.imageryTypeSelect.addEventListener('change', () => this.updateVisibility());
+        this.terrainTypeSelect.addEventListener('change', () => this.updateVisibility());
+        this.applyButton.addEventListener('click', () => this.apply());
+    }
+
+    updateVisibility() {
+        const imageryType = this.imageryTypeSelect.value;
+        this.imageryGroups.asset.style.display = imageryType === 'ion' ? '' : 'none';
+        this.imageryGroups.url.style.display = imageryType === 'xyz' || imageryType === 'wmts' ? '' : 'none';
+        this.imageryGroups.wmts.style.display = imageryType === 'wmts' ? '' : 'none';
+        this.imageryGroups.local.style.display = imageryType === 'local' ? '' : 'none';
+
+        const terrainType = this.terrainTypeSelect.value;
+        this.terrainGroups.asset.style.display = terrainType === 'ion' ? '' : 'none';
+        this.terrainGroups.url.style.display = terrainType === 'url' ? '' : 'none';
+        this.terrainGroups.local.style.display = terrainType === 'local' ? '' : 'none';
+    }
+
+    updateForm(settings) {
+        const imagery = settings.imagery;
+        const terrain = settings.terrain;
+
+        this.imageryTypeSelect.value = imagery.type;
+        this.imageryAssetInput.value = imagery.assetId || '';
+        this.imageryUrlInput.value = imagery.type === 'local' ? '' : imagery.url || '';
+        this.imageryLayerInput.value = imagery.layer || '';
+        this.imageryMatrixSetInput.value = imagery.tileMatrixSetID || '';
+
+        this.terrainTypeSelect.value = terrain.type;
+        this.terrainAssetInput.value = terrain.assetId || '';
+        this.terrainUrlInput.value = terrain.type === 'local' ? '' : terrain.url || '';
+
+        this.updateFolderOptions();
+        this.updateVisibility();
+    }
+
+    // Ask the server which local tile folders exist (none when it isn't running)
+    async loadTileFolders() {
+        try {
+            const response = await fetch(`${window.location.origin}/tiles`);
+            if (!response.ok) throw new Error(response.statusText);
+            this.tileFolders = await response.json();
+        } catch (error) {
+            console.warn('Local tile folders unavailable:', error);
+        }
+        this.updateFolderOptions();
+    }
+
+    // Folder dropdowns keep the project's folder even if the server doesn't list it
+    updateFolderOptions() {
+        const { imagery, terrain } = this.keyframeManager.getSettings();
+
+        const fill = (select, folders, source) => {
+            select.innerHTML = '';
+            const names = folders.map(folder => folder.name);
+            if (source.type === 'local' && source.url && !names.includes(source.url)) {
+                folders = [...folders, { name: source.url, format: source.format }];
+            }
+            if (folders.length === 0) {
+                select.innerHTML = '<option value="">フォルダなし</option>';
+            }
+            folders.forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder.name;
+                option.textContent = folder.format ? `${folder.name} (${folder.format})` : folder.name;
+                if (folder.format) option.dataset.format = folder.format;
+                select.appendChild(option);
+            });
+            if (source.type === 'local' && source.url) {
+                select.value = source.url;
+            }
+        };
+
+        fill(this.imageryLocalSelect, this.tileFolders.imagery || [], imagery);
+        fill(this.terrainLocalSelect, this.tileFolders.terrain || [], terrain);
+    }
+
+    getImagerySource() {
+        const type = this.imageryTypeSelect.value;
+        switch (type) {
+            case 'ion':
+                return { type, assetId: parseInt(this.imageryAssetInput.value) || null };
+            case 'xyz':
+                return { type, url: this.imageryUrlInput.value.trim() };
+            case 'wmts':
+                return {
+                    type,
+                    url: this.imageryUrlInput.value.trim(),
+                    layer: this.imageryLayerInput.value.trim(),
+                    tileMatrixSetID: this.imageryMatrixSetInput.value.trim()
+                };
+            case 'local': {
+                const option = this.imageryLocalSelect.selectedOptions[0];
+                return { type, url: this.imageryLocalSelect.value, format: (option && option.dataset.format) || 'png' };
+            }
+            default:
+                return { type };
+        }
+    }
+
+    getTerrainSource() {
+        const type = this.terrainTypeSelect.value;
+        switch (type) {
+            case 'ion':
+                return { type, assetId: parseInt(this.terrainAssetInput.value) || null };
+            case 'url':
+                return { type, url: this.terrainUrlInput.value.trim() };
+            case 'local':
+                return { type, url: this.terrainLocalSelect.value };
+            default:
+                return { type };
+        }
+    }
+
+    // Check the entered sources and store them in the project settings
+    apply() {
+        const imagery = this.getImagerySource();
+        const terrain = this.getTerrainSource();
+
+        const missing = (source) => (source.type === 'ion' && !source.assetId) ||
+            (['xyz', 'wmts', 'url', 'local'].includes(source.type) && !source.url) ||
+            (source.type === 'wmts' && (!source.layer || !source.tileMatrixSetID));
+        if (missing(imagery) || missing(terrain)) {
+            showNotification('地図データの入力が不足しています');
+            return;
+        }
+
+        this.keyframeManager.setSettings({ imagery, terrain });
+        showNotification('地図データを切り替えました');
+    }
+}
+
+export default MapSourcePanel;
@@ -0,0 +1,260 @@
+import Interpolation from './interpolation.js';
+import Geodesy from './geodesy.js';
+
+// Model Manager - Project-level glTF models placed and animated on the timeline
+
+// Defaults for a new model. url points at the file uploaded to the server.
+// keys are poses [{ time, latitude, longitude, height, heading, pitch, roll }]
+// sorted by time; the position follows a smooth spline through them.
+// orientationMode 'keyed' blends the keyed angles; 'followPath' points the
+// nose along the spline (roll stays keyed). headingOffset turns the model so
+// its nose points along heading 0 (north) when its file faces another way.
+export const MODEL_DEFAULTS = {
+    name: '',
+    url: '',
+    scale: 1,
+    minimumPixelSize: 64, // Keeps small models visible from far away
+    headingOffset: 0,
+    orientationMode: 'keyed',
+    keys: []
+};
+
+// Time step used to find the direction of travel in 'followPath' mode
+const TANGENT_STEP = 0.05;
+
+// Spline through the keys: no tension, continuity or bias (Catmull-Rom)
+const SPLINE_KEY = { tension: 0, continuity: 0, bias: 0 };
+
+export class ModelManager {
+    constructor(history) {
+        this.models = [];
+        this.nextId = 1;
+        this.history = history; // Shared with the keyframes so one undo stack covers the project
+
+        this.listeners = {
+            'modelsChanged': []
+        };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    record(label, undo, redo) {
+        this.history.record({ label, undo, redo });
+    }
+
+    // Number new models after the highest id in a list that replaces the current one
+    resetNextId(models) {
+        this.nextId = models.reduce((max, model) => Math.max(max, model.id || 0), 0) + 1;
+    }
+
+    createModel(data) {
+        const model = { ...MODEL_DEFAULTS, ...data, id: data.id || this.nextId };
+        model.keys = (data.keys || []).map(key => ({ ...key })).sort((a, b) => a.time - b.time);
+        this.nextId = Math.max(this.nextId, model.id + 1);
+        return model;
+    }
+
+    addModel(data) {
+        const model = this.createModel(data);
+        this.models.push(model);
+        this.record('モデル追加',
+            () => this.removeModel(model),
+            () => this.restoreModel(model));
+        this.emit('modelsChanged', this.models);
+        return model;
+    }
+
+    // Put back a removed model (undo/redo keep the same object)
+    restoreModel(model) {
+        this.models.push(model);
+        this.record('モデル追加',
+            () => this.removeModel(model),
+            () => this.restoreModel(model));
+        this.emit('modelsChanged', this.models);
+    }
+
+    updateModel(model, data) {
+        const previous = {};
+        Object.keys(data).forEach(key => {
+            previous[key] = model[key];
+        });
+        const next = { ...data };
+
+        Object.assign(model, data);
+        this.record('モデル変更',
+            () => this.updateModel(model, previous),
+            () => this.updateModel(model, next));
+        this.emit('modelsChanged', this.models);
+    }
+
+    removeModel(model) {
+        const index = this.models.indexOf(model);
+        if (index === -1) return false;
+
+        this.models.splice(index, 1);
+        this.record('モデル削除',
+            () => this.restoreModel(model),
+            () => this.removeModel(model));
+        this.emit('modelsChanged', this.models);
+        return true;
+    }
+
+    // Key a pose at its time (replaces a key at the same time)
+    setKey(model, pose) {
+        const keys = model.keys.filter(key => Math.abs(key.time - pose.time) > 1e-6);
+        keys.push({ ...pose });
+        keys.sort((a, b) => a.time - b.time);
+        this.updateModel(model, { keys });
+    }
+
+    removeKeyAt(model, time) {
+        const keys = model.keys.filter(key => Math.abs(key.time - time) > 1e-6);
+        if (keys.length === model.keys.length) return false;
+
+        this.updateModel(model, { keys });
+        return true;
+    }
+
+    getAllModels() {
+        return [...this.models];
+    }
+
+    getModel(id) {
+        return this.models.find(model => model.id === id) || null;
+    }
+
+    // Position on the spline through the keys (held before the first and after the last)
+    positionAt(model, time) {
+        const keys = model.keys;
+        if (keys.length === 0) return null;
+
+        const last = keys.length - 1;
+        if (time <= keys[0].time || last === 0) return this.keyPosition(keys[0]);
+        if (time >= keys[last].time) return this.keyPosition(keys[last]);
+
+        const index = keys.findIndex(key => key.time > time) - 1;
+        const k0 = keys[Math.max(0, index - 1)];
+        const k1 = keys[index];
+        const k2 = keys[index + 1];
+        const k3 = keys[Math.min(last, index + 2)];
+        const t = (time - k1.time) / (k2.time - k1.time);
+        const spans = [k1.time - k0.time, k2.time - k1.time, k3.time - k2.time];
+        const spline = (p0, p1, p2, p3) => Interpolation.kochanekBartels(p0, p1, p2, p3, t, SPLINE_KEY, SPLINE_KEY, spans);
+
+        // Unwrap longitudes around k1 so the spline doesn't cross the antimeridian the long way
+        const unwrap = (longitude) => k1.longitude + Interpolation.angleDifference(k1.longitude, longitude);
+        return {
+            latitude: spline(k0.latitude, k1.latitude, k2.latitude, k3.latitude),
+            longitude: Interpolation.normalizeAngle(
+                spline(unwrap(k0.longitude), k1.longitude, unwrap(k2.longitude), unwrap(k3.longitude))
+            ),
+            height: spline(k0.height, k1.height, k2.height, k3.height)
+        };
+    }
+
+    keyPosition(key) {
+        return { latitude: key.latitude, longitude: key.longitude, height: key.height };
+    }
+
+    // Full pose (position and heading/pitch/roll in degrees) at a time, or null without keys
+    poseAt(model, time) {
+        const position = this.positionAt(model, time);
+        if (!position) return null;
+
+        const orientation = this.keyedOrientationAt(model, time);
+        if (model.orientationMode === 'followPath') {
+            Object.assign(orientation, this.pathOrientationAt(model, time, orientation));
+        }
+        return { ...position, ...orientation };
+    }
+
+    keyedOrientationAt(model, time) {
+        const keys = model.keys;
+        const nextIndex = keys.findIndex(key => key.time > time);
+        if (nextIndex === 0) return this.keyOrientation(keys[0]);
+        if (nextIndex === -1) return this.keyOrientation(keys[keys.length - 1]);
+
+        const before = keys[nextIndex - 1];
+        const after = keys[nextIndex];
+        const t = (time - before.time) / (after.time - before.time);
+        return {
+            heading: Interpolation.interpolateAngle(before.heading, after.heading, t),
+            pitch: Interpolation.interpolate(before.pitch, after.pitch, t),
+            roll: Interpolation.interpolateAngle(before.roll, after.roll, t)
+        };
+    }
+
+    keyOrientation(key) {
+        return { heading: key.heading, pitch: key.pitch, roll: key.roll };
+    }
+
+    // Heading and pitch along the direction of travel (the keyed ones where the model is still)
+    pathOrientationAt(model, time, fallback) {
+        const keys = model.keys;
+        const first = keys[0].time;
+        const last = keys[keys.length - 1].time;
+        if (last - first < TANGENT_STEP) return fallback;
+
+        const from = Math.max(first, Math.min(last - TANGENT_STEP, time));
+        const a = this.positionAt(model, from);
+        const b = this.positionAt(model, from + TANGENT_STEP);
+        const { east, north, up } = Geodesy.enuOffset(
+            a.latitude, a.longitude, a.height,
+            b.latitude, b.longitude, b.height
+        );
+        const horizontal = Math.hypot(east, north);
+        if (horizontal < 1e-6 && Math.abs(up) < 1e-6) return fallback;
+
+        return {
+            heading: Math.atan2(east, north) * 180 / Math.PI,
+            pitch: Math.atan2(up, horizontal) * 180 / Math.PI
+        };
+    }
+
+    // Model position by id for attaching the camera (null if missing or unkeyed)
+    modelPositionAt(id, time) {
+        const model = this.getModel(id);
+        return model ? this.positionAt(model, time) : null;
+    }
+
+    toJSON() {
+        return this.models.map(model => ({
+            ...model,
+            keys: model.keys.map(key => ({ ...key }))
+        }));
+    }
+
+    // Replace all models (project load)
+    importFromJSON(data) {
+        const previous = this.models;
+        this.models = [];
+        this.resetNextId(data || []);
+        (data || []).forEach(modelData => {
+            this.models.push(this.createModel(modelData));
+        });
+
+        const next = this.models;
+        this.record('モデル読み込み',
+            () => this.setModels(previous),
+            () => this.setModels(next));
+        this.emit('modelsChanged', this.models);
+    }
+
+    setModels(models) {
+        this.models = models;
+        this.resetNextId(models);
+        this.emit('modelsChanged', this.models);
+    }
+}
+
+export default ModelManager;
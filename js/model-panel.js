@@ -0,0 +1,230 @@
+import { showNotification } from './notification.js';
+
+// Model Panel - UI for uploading glTF models, placing them and keying their poses
+export class ModelPanel {
+    constructor(modelManager, cesiumManager, animationController) {
+        this.modelManager = modelManager;
+        this.cesiumManager = cesiumManager;
+        this.animationController = animationController;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updateList();
+
+        this.modelManager.on('modelsChanged', () => this.updateList());
+
+        // Show the pose at the playhead while scrubbing
+        this.animationController.on('timeUpdate', () => {
+            if (!this.animationController.getIsPlaying()) {
+                this.updatePoseInputs();
+            }
+        });
+    }
+
+    initializeElements() {
+        this.importButton = document.getElementById('btn-import-model');
+        this.fileInput = document.getElementById('input-model-file');
+        this.modelSelect = document.getElementById('select-model');
+        this.nameInput = document.getElementById('input-model-name');
+        this.scaleInput = document.getElementById('input-model-scale');
+        this.minimumPixelSizeInput = document.getElementById('input-model-min-size');
+        this.headingOffsetInput = document.getElementById('input-model-heading-offset');
+        this.orientationModeSelect = document.getElementById('select-model-orientation');
+
+        this.latitudeInput = document.getElementById('input-model-latitude');
+        this.longitudeInput = document.getElementById('input-model-longitude');
+        this.heightInput = document.getElementById('input-model-height');
+        this.headingInput = document.getElementById('input-model-heading');
+        this.pitchInput = document.getElementById('input-model-pitch');
+        this.rollInput = document.getElementById('input-model-roll');
+        this.pickButton = document.getElementById('btn-pick-model');
+        this.keyButton = document.getElementById('btn-key-model');
+        this.deleteKeyButton = document.getElementById('btn-delete-model-key');
+        this.keysReadout = document.getElementById('model-keys-readout');
+
+        this.updateButton = document.getElementById('btn-update-model');
+        this.deleteButton = document.getElementById('btn-delete-model');
+    }
+
+    bindEvents() {
+        this.importButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.uploadModel(file);
+            e.target.value = ''; // Reset input
+        });
+
+        this.modelSelect.addEventListener('change', () => this.updateForm());
+        this.pickButton.addEventListener('click', () => this.pickLocation());
+        this.keyButton.addEventListener('click', () => this.keyPose());
+        this.deleteKeyButton.addEventListener('click', () => this.deleteKey());
+        this.updateButton.addEventListener('click', () => this.updateModel());
+        this.deleteButton.addEventListener('click', () => this.deleteModel());
+    }
+
+    getSelectedModel() {
+        return this.modelManager.getModel(parseInt(this.modelSelect.value));
+    }
+
+    // Rebuild the dropdown, keeping the current choice if it still exists
+    updateList() {
+        const selectedId = this.modelSelect.value;
+        const models = this.modelManager.getAllModels();
+
+        this.modelSelect.innerHTML = '';
+        if (models.length === 0) {
+            this.modelSelect.innerHTML = '<option value="">モデルなし</option>';
+        }
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name || `モデル ${model.id}`;
+            this.modelSelect.appendChild(option);
+        });
+        if (this.modelManager.getModel(parseInt(selectedId))) {
+            this.modelSelect.value = selectedId;
+        }
+        this.updateForm();
+    }
+
+    updateForm() {
+        const model = this.getSelectedModel();
+        [this.updateButton, this.deleteButton, this.keyButton, this.deleteKeyButton].forEach(button => {
+            button.disabled = !model;
+        });
+        if (!model) {
+            this.keysReadout.textContent = '—';
+            return;
+        }
+
+        this.nameInput.value = model.name;
+        this.scaleInput.value = model.scale;
+        this.minimumPixelSizeInput.value = model.minimumPixelSize;
+        this.headingOffsetInput.value = model.headingOffset;
+        this.orientationModeSelect.value = model.orientationMode;
+
+        const keys = model.keys;
+        this.keysReadout.textContent = keys.length === 0
+            ? 'キーなし'
+            : `キー ${keys.length}個 (${keys[0].time.toFixed(1)}s〜${keys[keys.length - 1].time.toFixed(1)}s)`;
+        this.updatePoseInputs();
+    }
+
+    // Pose of the selected model at the playhead
+    updatePoseInputs() {
+        const model = this.getSelectedModel();
+        const pose = model && this.modelManager.poseAt(model, this.animationController.getCurrentTime());
+        if (!pose) return;
+
+        this.latitudeInput.value = pose.latitude.toFixed(5);
+        this.longitudeInput.value = pose.longitude.toFixed(5);
+        this.heightInput.value = Math.round(pose.height);
+        this.headingInput.value = Math.round(pose.heading);
+        this.pitchInput.value = Math.round(pose.pitch);
+        this.rollInput.value = Math.round(pose.roll);
+    }
+
+    // Upload a glTF/GLB file to the server and place it at the center of the view
+    async uploadModel(file) {
+        const formData = new FormData();
+        formData.append('model', file);
+
+        try {
+            const response = await fetch(`${window.location.origin}/models/upload`, {
+                method: 'POST',
+                body: formData
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || response.statusText);
+            }
+            const { url, name } = await response.json();
+
+            const position = this.cesiumManager.pickScreenCenter() || { latitude: 0, longitude: 0, height: 0 };
+            const model = this.modelManager.addModel({
+                name: name,
+                url: url,
+                keys: [{
+                    time: this.animationController.getCurrentTime(),
+                    latitude: position.latitude,
+                    longitude: position.longitude,
+                    height: position.height,
+                    heading: 0,
+                    pitch: 0,
+                    roll: 0
+                }]
+            });
+            this.modelSelect.value = model.id;
+            this.updateForm();
+            showNotification(`モデル「${model.name}」を追加しました`);
+        } catch (error) {
+            console.error('Model upload error:', error);
+            showNotification('モデルのアップロードに失敗しました: ' + error.message);
+        }
+    }
+
+    pickLocation() {
+        const point = this.cesiumManager.pickScreenCenter();
+        if (!point) {
+            showNotification('画面中央に地表がありません');
+            return;
+        }
+        this.latitudeInput.value = point.latitude.toFixed(5);
+        this.longitudeInput.value = point.longitude.toFixed(5);
+        this.heightInput.value = Math.round(point.height);
+    }
+
+    // Key the entered pose at the playhead
+    keyPose() {
+        const model = this.getSelectedModel();
+        if (!model) return;
+
+        const latitude = parseFloat(this.latitudeInput.value);
+        const longitude = parseFloat(this.longitudeInput.value);
+        if (isNaN(latitude) || isNaN(longitude)) {
+            showNotification('モデルの緯度・経度を入力してください');
+            return;
+        }
+
+        this.modelManager.setKey(model, {
+            time: this.animationController.getCurrentTime(),
+            latitude: latitude,
+            longitude: longitude,
+            height: parseFloat(this.heightInput.value) || 0,
+            heading: parseFloat(this.headingInput.value) || 0,
+            pitch: parseFloat(this.pitchInput.value) || 0,
+            roll: parseFloat(this.rollInput.value) || 0
+        });
+    }
+
+    deleteKey() {
+        const model = this.getSelectedModel();
+        if (!model) return;
+
+        if (!this.modelManager.removeKeyAt(model, this.animationController.getCurrentTime())) {
+            showNotification('再生ヘッドの位置にキーがありません');
+        }
+    }
+
+    updateModel() {
+        const model = this.getSelectedModel();
+        if (!model) return;
+
+        this.modelManager.updateModel(model, {
+            name: this.nameInput.value.trim(),
+            scale: Math.max(0.001, parseFloat(this.scaleInput.value) || 1),
+            minimumPixelSize: Math.max(0, parseFloat(this.minimumPixelSizeInput.value) || 0),
+            headingOffset: parseFloat(this.headingOffsetInput.value) || 0,
+            orientationMode: this.orientationModeSelect.value
+        });
+    }
+
+    deleteModel() {
+        const model = this.getSelectedModel();
+        if (!model) return;
+
+        this.modelManager.removeModel(model);
+    }
+}
+
+export default ModelPanel;
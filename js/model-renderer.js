@@ -0,0 +1,96 @@
+import { showNotification } from './notification.js';
+
+// Model Renderer - Keeps the scene's glTF models in sync with the project's
+// models and poses them for the current time (also during export)
+export class ModelRenderer {
+    constructor(cesiumManager, modelManager, animationController) {
+        this.cesiumManager = cesiumManager;
+        this.modelManager = modelManager;
+        this.currentTime = 0;
+        this.loaded = new Map(); // Model id -> { primitive, url, ready }
+        this.pending = Promise.resolve();
+
+        this.modelManager.on('modelsChanged', () => this.update());
+        animationController.on('timeUpdate', (data) => this.setTime(data.time));
+
+        this.update();
+    }
+
+    // Syncs run one after another so a slow load can't overtake a later edit;
+    // a failed sync is reported and the next one still runs
+    update() {
+        this.pending = this.pending
+            .then(() => this.sync())
+            .catch(error => {
+                console.error('Model sync failed:', error);
+                showNotification('モデルの表示更新に失敗しました: ' + error.message);
+            });
+    }
+
+    // Resolves once every model is loaded and ready to draw (used before export)
+    async whenReady() {
+        await this.pending;
+        await Promise.all([...this.loaded.values()].map(entry => entry.ready));
+    }
+
+    async sync() {
+        const models = this.modelManager.getAllModels();
+
+        // Drop removed models and those pointing at another file
+        this.loaded.forEach((entry, id) => {
+            const model = models.find(m => m.id === id);
+            if (!model || model.url !== entry.url) {
+                this.cesiumManager.removeModel(entry.primitive);
+                this.loaded.delete(id);
+            }
+        });
+
+        for (const model of models) {
+            if (this.loaded.has(model.id) || !model.url) continue;
+
+            try {
+                const primitive = await this.cesiumManager.addModel(model);
+                if (!primitive) continue;
+
+                this.loaded.set(model.id, {
+                    primitive,
+                    url: model.url,
+                    ready: this.waitForModel(primitive)
+                });
+            } catch (error) {
+                console.error(`Model "${model.name}" failed to load:`, error);
+            }
+        }
+
+        this.setTime(this.currentTime);
+    }
+
+    // A model is ready after its first render; a failed one resolves too so export can go on
+    waitForModel(primitive) {
+        if (primitive.ready) return Promise.resolve();
+
+        return new Promise(resolve => {
+            primitive.readyEvent.addEventListener(() => resolve());
+            primitive.errorEvent.addEventListener((error) => {
+                console.error('Model failed to render:', error);
+                resolve();
+            });
+        });
+    }
+
+    setTime(time) {
+        this.currentTime = time;
+        this.loaded.forEach((entry, id) => {
+            const model = this.modelManager.getModel(id);
+            const pose = model && this.modelManager.poseAt(model, time);
+            entry.primitive.show = !!pose;
+            if (!pose) return;
+
+            entry.primitive.scale = model.scale;
+            entry.primitive.minimumPixelSize = model.minimumPixelSize;
+            this.cesiumManager.setModelPose(entry.primitive, pose, model.headingOffset);
+        });
+    }
+}
+
+export default ModelRenderer;
@@ -0,0 +1,28 @@
+// Notification - Short message that slides in at the top right for two seconds
+// (slideIn/slideOut keyframes are in styles.css)
+export function showNotification(message) {
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 80px;
+        right: 20px;
+        background: linear-gradient(135deg, #4a9eff, #7b61ff);
+        color: white;
+        padding: 12px 20px;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(74, 158, 255, 0.4);
+        z-index: 1000;
+        font-family: 'Inter', sans-serif;
+        font-size: 14px;
+        animation: slideIn 0.3s ease;
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.style.animation = 'slideOut 0.3s ease';
+        setTimeout(() => notification.remove(), 300);
+    }, 2000);
+}
+
+export default showNotification;
@@ -12,6 +12,7 @@ export class PathVisualizer {
         this.keyframeManager.on('keyframeUpdated', () => this.updatePath());
         this.keyframeManager.on('keyframeAdded', () => this.updatePath());
         this.keyframeManager.on('keyframeRemoved', () => this.updatePath());
+        this.keyframeManager.on('terrainChanged', () => this.updatePath());
     }
 
     // Toggle visibility
@@ -28,7 +29,8 @@ export class PathVisualizer {
         if (!this.isEnabled || !this.viewer) return;
 
         const keyframes = this.keyframeManager.getAllKeyframes();
-        if (keyframes.length < 2) {
+        const positionKeyframes = this.keyframeManager.getTrackKeyframes('position');
+        if (positionKeyframes.length < 2) {
             this.clearPath();
             return;
         }
@@ -38,6 +40,8 @@ export class PathVisualizer {
         const totalDuration = keyframes[keyframes.length - 1].time;
         const step = 0.1; // 10 samples per second
 
+        // Sampled like the camera itself, so the path includes the attached
+        // model's motion and the lift above the terrain
         for (let t = 0; t <= totalDuration; t += step) {
             const data = this.keyframeManager.interpolateAt(t);
             positions.push(Cesium.Cartesian3.fromDegrees(
@@ -64,7 +68,8 @@ export class PathVisualizer {
             this.pathEntity.polyline.positions = positions;
         }
 
-        this.updateKeyframeMarkers(keyframes);
+        this.updateKeyframeMarkers(positionKeyframes);
+        this.addTargetMarkers(this.keyframeManager.getTrackKeyframes('target'));
     }
 
     updateKeyframeMarkers(keyframes) {
@@ -74,6 +79,10 @@ export class PathVisualizer {
 
         // Add new markers
         keyframes.forEach((kf, index) => {
+            // Terrain-relative keys are drawn above the ground like the camera
+            const heightReference = kf.altitudeMode === 'relativeToGround'
+                ? Cesium.HeightReference.RELATIVE_TO_GROUND
+                : Cesium.HeightReference.NONE;
             const position = Cesium.Cartesian3.fromDegrees(
                 kf.longitude,
                 kf.latitude,
@@ -85,6 +94,7 @@ export class PathVisualizer {
                 position: position,
                 point: {
                     pixelSize: 10,
+                    heightReference: heightReference,
                     color: Cesium.Color.YELLOW,
                     outlineColor: Cesium.Color.BLACK,
                     outlineWidth: 2,
@@ -92,6 +102,7 @@ export class PathVisualizer {
                 },
                 label: {
                     text: `${index + 1}`,
+                    heightReference: heightReference,
                     font: '12px sans-serif',
                     pixelOffset: new Cesium.Cartesian2(0, -15),
                     fillColor: Cesium.Color.WHITE,
@@ -106,6 +117,29 @@ export class PathVisualizer {
         });
     }
 
+    // Look-at targets (kept with the keyframe markers so they are cleared together)
+    addTargetMarkers(keyframes) {
+        keyframes.forEach(kf => {
+            const entity = this.viewer.entities.add({
+                name: 'Look-at Target',
+                position: Cesium.Cartesian3.fromDegrees(
+                    kf.targetLongitude,
+                    kf.targetLatitude,
+                    kf.targetHeight
+                ),
+                point: {
+                    pixelSize: 12,
+                    color: Cesium.Color.RED.withAlpha(0.8),
+                    outlineColor: Cesium.Color.WHITE,
+                    outlineWidth: 2,
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY
+                }
+            });
+
+            this.keyframeEntities.push(entity);
+        });
+    }
+
     clearPath() {
         if (this.pathEntity) {
             this.viewer.entities.remove(this.pathEntity);
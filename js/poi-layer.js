@@ -0,0 +1,101 @@
+// POI Layer - Draws points of interest as Cesium entities (kept visible during export)
+const PIN_SIZE = 40;
+const DOT_SIZE = 12;
+
+export class PoiLayer {
+    constructor(viewer, poiManager, animationController) {
+        this.viewer = viewer;
+        this.poiManager = poiManager;
+        this.currentTime = 0;
+        this.entities = new Map(); // POI id -> entity
+
+        this.poiManager.on('poisChanged', () => this.update());
+        animationController.on('timeUpdate', (data) => this.setTime(data.time));
+
+        this.update();
+    }
+
+    // Fades are evaluated by callback properties, so only the time is stored
+    setTime(time) {
+        this.currentTime = time;
+    }
+
+    // Rebuild the entities from the POI list
+    update() {
+        this.entities.forEach(entity => this.viewer.entities.remove(entity));
+        this.entities.clear();
+
+        this.poiManager.getAllPois().forEach(poi => {
+            this.entities.set(poi.id, this.createEntity(poi));
+        });
+    }
+
+    createEntity(poi) {
+        const color = Cesium.Color.fromCssColorString(poi.color);
+        const opacity = () => this.poiManager.opacityAt(poi, this.currentTime);
+        const image = this.createIcon(poi, color);
+
+        return this.viewer.entities.add({
+            name: poi.label,
+            position: Cesium.Cartesian3.fromDegrees(poi.longitude, poi.latitude, poi.height),
+            show: new Cesium.CallbackProperty(() => opacity() > 0, false),
+            billboard: image ? {
+                image: image,
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                heightReference: Cesium.HeightReference.RELATIVE_TO_GROUND,
+                color: new Cesium.CallbackProperty(() => Cesium.Color.WHITE.withAlpha(opacity()), false),
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
+            } : undefined,
+            label: poi.label ? {
+                text: poi.label,
+                font: 'bold 16px sans-serif',
+                style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                outlineWidth: 3,
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -((image ? image.height : 0) + 4)),
+                heightReference: Cesium.HeightReference.RELATIVE_TO_GROUND,
+                fillColor: new Cesium.CallbackProperty(() => Cesium.Color.WHITE.withAlpha(opacity()), false),
+                outlineColor: new Cesium.CallbackProperty(() => Cesium.Color.BLACK.withAlpha(opacity()), false),
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
+            } : undefined
+        });
+    }
+
+    // Icon with its leader line drawn into one canvas anchored at the bottom center
+    createIcon(poi, color) {
+        if (poi.icon === 'none' && !poi.leaderLength) return null;
+
+        const head = poi.icon === 'pin' ? PIN_SIZE : poi.icon === 'dot' ? DOT_SIZE : 0;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(head, 4);
+        canvas.height = head + poi.leaderLength;
+        const ctx = canvas.getContext('2d');
+        const centerX = canvas.width / 2;
+
+        // Leader line from the ground point up to the icon
+        if (poi.leaderLength > 0) {
+            ctx.strokeStyle = color.toCssColorString();
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX, canvas.height);
+            ctx.lineTo(centerX, head - (poi.icon === 'pin' ? 2 : DOT_SIZE / 2));
+            ctx.stroke();
+        }
+
+        if (poi.icon === 'pin') {
+            ctx.drawImage(new Cesium.PinBuilder().fromColor(color, PIN_SIZE), 0, 0);
+        } else if (poi.icon === 'dot') {
+            ctx.fillStyle = color.toCssColorString();
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(centerX, DOT_SIZE / 2, DOT_SIZE / 2 - 1, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        return canvas;
+    }
+}
+
+export default PoiLayer;
@@ -0,0 +1,149 @@
+// POI Manager - Project-level points of interest (callouts shown in the scene and export)
+
+// Defaults for a new point of interest. Heights are above ground; times are in
+// seconds and endTime null means "until the end". fadeIn/fadeOut are seconds.
+export const POI_DEFAULTS = {
+    label: '',
+    latitude: 0,
+    longitude: 0,
+    height: 0,
+    icon: 'pin', // 'pin', 'dot' or 'none'
+    color: '#ff5a5f',
+    leaderLength: 40, // Screen pixels between the ground point and the icon (0 = none)
+    startTime: 0,
+    endTime: null,
+    fadeIn: 0.5,
+    fadeOut: 0.5
+};
+
+export class PoiManager {
+    constructor(history) {
+        this.pois = [];
+        this.nextId = 1;
+        this.history = history; // Shared with the keyframes so one undo stack covers the project
+
+        this.listeners = {
+            'poisChanged': []
+        };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    record(label, undo, redo) {
+        this.history.record({ label, undo, redo });
+    }
+
+    // Number new points of interest after those in a list that replaces the current one
+    resetNextId(pois) {
+        this.nextId = pois.reduce((max, poi) => Math.max(max, poi.id || 0), 0) + 1;
+    }
+
+    addPoi(data) {
+        const poi = { ...POI_DEFAULTS, ...data, id: data.id || this.nextId };
+        this.nextId = Math.max(this.nextId, poi.id + 1);
+        this.pois.push(poi);
+        this.record('注釈追加',
+            () => this.removePoi(poi),
+            () => this.restorePoi(poi));
+        this.emit('poisChanged', this.pois);
+        return poi;
+    }
+
+    // Put back a removed point of interest (undo/redo keep the same object)
+    restorePoi(poi) {
+        this.pois.push(poi);
+        this.record('注釈追加',
+            () => this.removePoi(poi),
+            () => this.restorePoi(poi));
+        this.emit('poisChanged', this.pois);
+    }
+
+    updatePoi(poi, data) {
+        const previous = {};
+        Object.keys(data).forEach(key => {
+            previous[key] = poi[key];
+        });
+        const next = { ...data };
+
+        Object.assign(poi, data);
+        this.record('注釈変更',
+            () => this.updatePoi(poi, previous),
+            () => this.updatePoi(poi, next));
+        this.emit('poisChanged', this.pois);
+    }
+
+    removePoi(poi) {
+        const index = this.pois.indexOf(poi);
+        if (index === -1) return false;
+
+        this.pois.splice(index, 1);
+        this.record('注釈削除',
+            () => this.restorePoi(poi),
+            () => this.removePoi(poi));
+        this.emit('poisChanged', this.pois);
+        return true;
+    }
+
+    getAllPois() {
+        return [...this.pois];
+    }
+
+    getPoi(id) {
+        return this.pois.find(poi => poi.id === id) || null;
+    }
+
+    // Visibility (0-1) of a point of interest at a time, with linear fades
+    opacityAt(poi, time) {
+        const end = poi.endTime === null || poi.endTime === undefined ? Infinity : poi.endTime;
+        if (time < poi.startTime || time > end) return 0;
+
+        let opacity = 1;
+        if (poi.fadeIn > 0) {
+            opacity = Math.min(opacity, (time - poi.startTime) / poi.fadeIn);
+        }
+        if (poi.fadeOut > 0 && end !== Infinity) {
+            opacity = Math.min(opacity, (end - time) / poi.fadeOut);
+        }
+        return Math.max(0, Math.min(1, opacity));
+    }
+
+    toJSON() {
+        return this.pois.map(poi => ({ ...poi }));
+    }
+
+    // Replace all points of interest (project load)
+    importFromJSON(data) {
+        const previous = this.pois;
+        this.pois = [];
+        this.resetNextId(data || []);
+        (data || []).forEach(poiData => {
+            const poi = { ...POI_DEFAULTS, ...poiData, id: poiData.id || this.nextId };
+            this.nextId = Math.max(this.nextId, poi.id + 1);
+            this.pois.push(poi);
+        });
+
+        const next = this.pois;
+        this.record('注釈読み込み',
+            () => this.setPois(previous),
+            () => this.setPois(next));
+        this.emit('poisChanged', this.pois);
+    }
+
+    setPois(pois) {
+        this.pois = pois;
+        this.resetNextId(pois);
+        this.emit('poisChanged', this.pois);
+    }
+}
+
+export default PoiManager;
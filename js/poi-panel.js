@@ -0,0 +1,146 @@
+import { showNotification } from './notification.js';
+
+// POI Panel - UI for adding and editing points of interest
+export class PoiPanel {
+    constructor(poiManager, cesiumManager, animationController) {
+        this.poiManager = poiManager;
+        this.cesiumManager = cesiumManager;
+        this.animationController = animationController;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updateList();
+
+        this.poiManager.on('poisChanged', () => this.updateList());
+    }
+
+    initializeElements() {
+        this.poiSelect = document.getElementById('select-poi');
+        this.labelInput = document.getElementById('input-poi-label');
+        this.latitudeInput = document.getElementById('input-poi-latitude');
+        this.longitudeInput = document.getElementById('input-poi-longitude');
+        this.heightInput = document.getElementById('input-poi-height');
+        this.pickButton = document.getElementById('btn-pick-poi');
+        this.iconSelect = document.getElementById('select-poi-icon');
+        this.colorInput = document.getElementById('input-poi-color');
+        this.leaderInput = document.getElementById('input-poi-leader');
+        this.startInput = document.getElementById('input-poi-start');
+        this.endInput = document.getElementById('input-poi-end');
+        this.fadeInInput = document.getElementById('input-poi-fade-in');
+        this.fadeOutInput = document.getElementById('input-poi-fade-out');
+
+        this.addButton = document.getElementById('btn-add-poi');
+        this.updateButton = document.getElementById('btn-update-poi');
+        this.deleteButton = document.getElementById('btn-delete-poi');
+    }
+
+    bindEvents() {
+        this.poiSelect.addEventListener('change', () => this.updateForm());
+        this.pickButton.addEventListener('click', () => this.pickLocation());
+        this.addButton.addEventListener('click', () => this.addPoi());
+        this.updateButton.addEventListener('click', () => this.updatePoi());
+        this.deleteButton.addEventListener('click', () => this.deletePoi());
+    }
+
+    getSelectedPoi() {
+        return this.poiManager.getPoi(parseInt(this.poiSelect.value));
+    }
+
+    // Rebuild the dropdown, keeping the current choice if it still exists
+    updateList() {
+        const selectedId = this.poiSelect.value;
+        this.poiSelect.innerHTML = '<option value="">新しい注釈</option>';
+        this.poiManager.getAllPois().forEach(poi => {
+            const option = document.createElement('option');
+            option.value = poi.id;
+            option.textContent = poi.label || `注釈 ${poi.id}`;
+            this.poiSelect.appendChild(option);
+        });
+        this.poiSelect.value = this.poiManager.getPoi(parseInt(selectedId)) ? selectedId : '';
+        this.updateForm();
+    }
+
+    updateForm() {
+        const poi = this.getSelectedPoi();
+        this.updateButton.disabled = !poi;
+        this.deleteButton.disabled = !poi;
+        if (!poi) {
+            // New annotations appear from the current time by default
+            this.startInput.value = this.animationController.currentTime.toFixed(1);
+            return;
+        }
+
+        this.labelInput.value = poi.label;
+        this.latitudeInput.value = poi.latitude.toFixed(4);
+        this.longitudeInput.value = poi.longitude.toFixed(4);
+        this.heightInput.value = Math.round(poi.height);
+        this.iconSelect.value = poi.icon;
+        this.colorInput.value = poi.color;
+        this.leaderInput.value = poi.leaderLength;
+        this.startInput.value = poi.startTime;
+        this.endInput.value = poi.endTime === null ? '' : poi.endTime;
+        this.fadeInInput.value = poi.fadeIn;
+        this.fadeOutInput.value = poi.fadeOut;
+    }
+
+    // Point of interest values entered in the form (null if the location is missing)
+    getFormData() {
+        const latitude = parseFloat(this.latitudeInput.value);
+        const longitude = parseFloat(this.longitudeInput.value);
+        if (isNaN(latitude) || isNaN(longitude)) {
+            showNotification('注釈の緯度・経度を入力してください');
+            return null;
+        }
+
+        const endTime = parseFloat(this.endInput.value);
+        return {
+            label: this.labelInput.value.trim(),
+            latitude: latitude,
+            longitude: longitude,
+            height: parseFloat(this.heightInput.value) || 0,
+            icon: this.iconSelect.value,
+            color: this.colorInput.value,
+            leaderLength: Math.max(0, parseFloat(this.leaderInput.value) || 0),
+            startTime: Math.max(0, parseFloat(this.startInput.value) || 0),
+            endTime: isNaN(endTime) ? null : endTime,
+            fadeIn: Math.max(0, parseFloat(this.fadeInInput.value) || 0),
+            fadeOut: Math.max(0, parseFloat(this.fadeOutInput.value) || 0)
+        };
+    }
+
+    pickLocation() {
+        const point = this.cesiumManager.pickScreenCenter();
+        if (!point) {
+            showNotification('画面中央に地表がありません');
+            return;
+        }
+        this.latitudeInput.value = point.latitude.toFixed(4);
+        this.longitudeInput.value = point.longitude.toFixed(4);
+    }
+
+    addPoi() {
+        const data = this.getFormData();
+        if (!data) return;
+
+        const poi = this.poiManager.addPoi(data);
+        this.poiSelect.value = poi.id;
+        this.updateForm();
+    }
+
+    updatePoi() {
+        const poi = this.getSelectedPoi();
+        const data = this.getFormData();
+        if (!poi || !data) return;
+
+        this.poiManager.updatePoi(poi, data);
+    }
+
+    deletePoi() {
+        const poi = this.getSelectedPoi();
+        if (!poi) return;
+
+        this.poiManager.removePoi(poi);
+    }
+}
+
+export default PoiPanel;
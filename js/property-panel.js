@@ -1,3 +1,6 @@
+import BezierEditor from './bezier-editor.js';
+import { showNotification } from './notification.js';
+
 // Property Panel - UI for editing keyframe properties
 export class PropertyPanel {
     constructor(keyframeManager, cesiumManager, animationController) {
@@ -14,6 +17,13 @@ export class PropertyPanel {
             this.updateUI();
         });
 
+        // Refresh when the selected keyframe changes (e.g. undo/redo)
+        this.keyframeManager.on('keyframeUpdated', (kf) => {
+            if (kf === this.keyframeManager.selectedKeyframe) {
+                this.updateUI();
+            }
+        });
+
         // Listen to timeline seek
         window.addEventListener('timelineSeek', (e) => {
             this.updateCameraFromInterpolation(e.detail.time);
@@ -25,6 +35,8 @@ export class PropertyPanel {
         this.latitudeInput = document.getElementById('input-latitude');
         this.longitudeInput = document.getElementById('input-longitude');
         this.heightInput = document.getElementById('input-height');
+        this.altitudeModeSelect = document.getElementById('select-altitude-mode');
+        this.altitudeReadout = document.getElementById('altitude-readout');
 
         // Orientation inputs
         this.headingInput = document.getElementById('input-heading');
@@ -38,8 +50,42 @@ export class PropertyPanel {
         this.fovInput = document.getElementById('input-fov');
         this.fovValue = document.getElementById('fov-value'); // Corrected ID
 
+        // Look-at target and orbit generator
+        this.targetLatitudeInput = document.getElementById('input-target-latitude');
+        this.targetLongitudeInput = document.getElementById('input-target-longitude');
+        this.targetHeightInput = document.getElementById('input-target-height');
+        this.pickTargetButton = document.getElementById('btn-pick-target');
+        this.orbitRadiusInput = document.getElementById('input-orbit-radius');
+        this.orbitHeightInput = document.getElementById('input-orbit-height');
+        this.orbitDurationInput = document.getElementById('input-orbit-duration');
+        this.orbitDirectionSelect = document.getElementById('select-orbit-direction');
+        this.generateOrbitButton = document.getElementById('btn-generate-orbit');
+
+        // Scene clock
+        this.clockHoursInput = document.getElementById('input-clock-hours');
+        this.sceneTimeReadout = document.getElementById('scene-time-readout');
+
+        // Environment effects
+        this.fogDensityInput = document.getElementById('input-fog-density');
+        this.atmosphereHueInput = document.getElementById('input-atmosphere-hue');
+        this.atmosphereSaturationInput = document.getElementById('input-atmosphere-saturation');
+        this.atmosphereBrightnessInput = document.getElementById('input-atmosphere-brightness');
+        this.bloomInput = document.getElementById('input-bloom');
+        this.brightnessInput = document.getElementById('input-brightness');
+        this.shadowsCheckbox = document.getElementById('input-shadows');
+
+        // Tracks to key
+        this.trackCheckboxes = Array.from(document.querySelectorAll('#track-toggles input[type="checkbox"]'));
+
         // Interpolation
         this.interpolationSelect = document.getElementById('select-interpolation');
+        this.tensionInput = document.getElementById('input-tension');
+        this.continuityInput = document.getElementById('input-continuity');
+        this.biasInput = document.getElementById('input-bias');
+        this.travelModeSelect = document.getElementById('select-travel-mode');
+        this.constantSpeedCheckbox = document.getElementById('input-constant-speed');
+        this.bezierEditorGroup = document.getElementById('bezier-editor-group');
+        this.bezierEditor = new BezierEditor('bezier-editor', (handles) => this.onBezierHandlesChange(handles));
 
         // Buttons
         this.addButton = document.getElementById('btn-add-keyframe');
@@ -51,6 +97,16 @@ export class PropertyPanel {
         this.latitudeInput.addEventListener('input', () => this.onPropertyChange());
         this.longitudeInput.addEventListener('input', () => this.onPropertyChange());
         this.heightInput.addEventListener('input', () => this.onPropertyChange());
+
+        // Switching the altitude reference keeps the camera where it is
+        let altitudeMode = this.altitudeModeSelect.value;
+        this.altitudeModeSelect.addEventListener('change', () => {
+            const latitude = parseFloat(this.latitudeInput.value);
+            const longitude = parseFloat(this.longitudeInput.value);
+            const height = this.fromInputHeight(parseFloat(this.heightInput.value), latitude, longitude, altitudeMode);
+            altitudeMode = this.altitudeModeSelect.value;
+            this.heightInput.value = Math.round(this.toInputHeight(height, latitude, longitude));
+        });
         this.headingInput.addEventListener('input', () => this.onPropertyChange());
         this.pitchInput.addEventListener('input', () => this.onPropertyChange());
         // this.rollInput.addEventListener('input', () => this.onPropertyChange()); // Removed
@@ -61,6 +117,25 @@ export class PropertyPanel {
             this.onPropertyChange();
         });
 
+        // Preview the sun position while editing the clock
+        this.clockHoursInput.addEventListener('input', () => this.onPropertyChange());
+
+        // Preview environment effects while editing
+        [this.fogDensityInput, this.atmosphereHueInput, this.atmosphereSaturationInput,
+            this.atmosphereBrightnessInput, this.bloomInput, this.brightnessInput].forEach(input => {
+            input.addEventListener('input', () => this.onPropertyChange());
+        });
+        this.shadowsCheckbox.addEventListener('change', () => this.onPropertyChange());
+
+        // Target from the point at the center of the view
+        this.pickTargetButton.addEventListener('click', () => this.pickTarget());
+
+        // Orbit generator
+        this.generateOrbitButton.addEventListener('click', () => this.generateOrbit());
+
+        // Show the curve editor for bezier easing
+        this.interpolationSelect.addEventListener('change', () => this.updateBezierEditorVisibility());
+
         // Add keyframe button
         this.addButton.addEventListener('click', () => {
             this.addKeyframe();
@@ -126,17 +201,25 @@ export class PropertyPanel {
     }
 
     updateCameraFromInputs() {
+        const latitude = parseFloat(this.latitudeInput.value);
+        const longitude = parseFloat(this.longitudeInput.value);
         const cameraData = {
-            latitude: parseFloat(this.latitudeInput.value),
-            longitude: parseFloat(this.longitudeInput.value),
-            height: parseFloat(this.heightInput.value),
+            latitude: latitude,
+            longitude: longitude,
+            height: this.fromInputHeight(parseFloat(this.heightInput.value), latitude, longitude),
             heading: parseFloat(this.headingInput.value),
             pitch: parseFloat(this.pitchInput.value),
             roll: 0 // Default roll to 0 since input is removed
         };
 
+        this.updateAltitudeReadout(cameraData);
         this.cesiumManager.setCameraPosition(cameraData);
         this.cesiumManager.setFOV(parseFloat(this.fovInput.value));
+
+        const sceneTime = this.keyframeManager.getSceneTime(parseFloat(this.clockHoursInput.value) || 0);
+        this.cesiumManager.setSceneTime(sceneTime);
+        this.updateSceneTimeReadout(sceneTime);
+        this.cesiumManager.setEnvironment(this.getEnvironmentData());
     }
 
     onPropertyChange() {
@@ -149,11 +232,14 @@ export class PropertyPanel {
         const cameraData = this.keyframeManager.interpolateAt(time);
         this.cesiumManager.setCameraPosition(cameraData);
         this.cesiumManager.setFOV(cameraData.fov);
+        this.cesiumManager.setSceneTime(cameraData.sceneTime);
+        this.cesiumManager.setEnvironment(cameraData);
 
         // Update inputs to show interpolated values
         this.latitudeInput.value = cameraData.latitude.toFixed(4);
         this.longitudeInput.value = cameraData.longitude.toFixed(4);
-        this.heightInput.value = Math.round(cameraData.height);
+        this.heightInput.value = Math.round(this.toInputHeight(cameraData.height, cameraData.latitude, cameraData.longitude));
+        this.updateAltitudeReadout(cameraData);
         this.headingInput.value = Math.round(cameraData.heading);
         this.headingSlider.value = Math.round(cameraData.heading); // Sync
         this.pitchInput.value = Math.round(cameraData.pitch);
@@ -161,6 +247,9 @@ export class PropertyPanel {
         // Roll ignored
         this.fovInput.value = Math.round(cameraData.fov);
         this.fovValue.textContent = Math.round(cameraData.fov) + '°';
+        this.clockHoursInput.value = parseFloat(cameraData.clockHours.toFixed(2));
+        this.updateSceneTimeReadout(cameraData.sceneTime);
+        this.setEnvironmentInputs(cameraData);
     }
 
     addKeyframe() {
@@ -173,14 +262,20 @@ export class PropertyPanel {
             heading: parseFloat(this.headingInput.value),
             pitch: parseFloat(this.pitchInput.value),
             roll: 0, // Default roll
-            fov: parseFloat(this.fovInput.value)
+            fov: parseFloat(this.fovInput.value),
+            clockHours: parseFloat(this.clockHoursInput.value) || 0,
+            ...this.getEnvironmentData(),
+            ...this.getTargetData()
         };
 
         const interpolationType = this.interpolationSelect.value;
+        const tracks = this.getCheckedTracks();
+        if (!this.validateTracks(tracks)) return;
 
         // Import Keyframe class
         import('./keyframe-manager.js').then(module => {
-            const keyframe = new module.Keyframe(currentTime, cameraData, interpolationType);
+            const keyframe = new module.Keyframe(currentTime, cameraData, interpolationType, tracks);
+            keyframe.setOptions(this.getKeyframeOptions());
             this.keyframeManager.addKeyframe(keyframe);
             this.keyframeManager.selectKeyframe(keyframe);
         });
@@ -190,6 +285,9 @@ export class PropertyPanel {
         const selectedKeyframe = this.keyframeManager.selectedKeyframe;
         if (!selectedKeyframe) return;
 
+        const tracks = this.getCheckedTracks();
+        if (!this.validateTracks(tracks)) return;
+
         const newData = {
             latitude: parseFloat(this.latitudeInput.value),
             longitude: parseFloat(this.longitudeInput.value),
@@ -198,7 +296,12 @@ export class PropertyPanel {
             pitch: parseFloat(this.pitchInput.value),
             roll: 0, // Default roll
             fov: parseFloat(this.fovInput.value),
-            interpolationType: this.interpolationSelect.value
+            clockHours: parseFloat(this.clockHoursInput.value) || 0,
+            ...this.getEnvironmentData(),
+            ...this.getTargetData(),
+            interpolationType: this.interpolationSelect.value,
+            tracks: tracks,
+            ...this.getKeyframeOptions()
         };
 
         this.keyframeManager.updateKeyframe(selectedKeyframe, newData);
@@ -215,18 +318,47 @@ export class PropertyPanel {
         const selectedKeyframe = this.keyframeManager.selectedKeyframe;
 
         if (selectedKeyframe) {
-            // Populate inputs with keyframe data
-            this.latitudeInput.value = selectedKeyframe.latitude.toFixed(4);
-            this.longitudeInput.value = selectedKeyframe.longitude.toFixed(4);
-            this.heightInput.value = Math.round(selectedKeyframe.height);
-            this.headingInput.value = Math.round(selectedKeyframe.heading);
-            this.headingSlider.value = Math.round(selectedKeyframe.heading); // Sync
-            this.pitchInput.value = Math.round(selectedKeyframe.pitch);
-            this.pitchSlider.value = Math.round(selectedKeyframe.pitch); // Sync
+            // Populate inputs with keyframe data (unkeyed tracks show their interpolated value)
+            const keyframeData = {
+                ...this.keyframeManager.interpolateAt(selectedKeyframe.time),
+                ...selectedKeyframe.getValues()
+            };
+            this.altitudeModeSelect.value = selectedKeyframe.altitudeMode;
+            this.latitudeInput.value = keyframeData.latitude.toFixed(4);
+            this.longitudeInput.value = keyframeData.longitude.toFixed(4);
+
+            // A keyed height is already in the keyframe's reference
+            const resolved = this.keyframeManager.interpolateAt(selectedKeyframe.time);
+            this.heightInput.value = Math.round(selectedKeyframe.hasTrack('position')
+                ? selectedKeyframe.height
+                : this.toInputHeight(resolved.height, resolved.latitude, resolved.longitude));
+            this.updateAltitudeReadout(resolved);
+            this.headingInput.value = Math.round(keyframeData.heading);
+            this.headingSlider.value = Math.round(keyframeData.heading); // Sync
+            this.pitchInput.value = Math.round(keyframeData.pitch);
+            this.pitchSlider.value = Math.round(keyframeData.pitch); // Sync
             // Roll ignored
-            this.fovInput.value = Math.round(selectedKeyframe.fov);
-            this.fovValue.textContent = Math.round(selectedKeyframe.fov) + '°';
+            this.fovInput.value = Math.round(keyframeData.fov);
+            this.fovValue.textContent = Math.round(keyframeData.fov) + '°';
+            this.clockHoursInput.value = parseFloat(keyframeData.clockHours.toFixed(2));
+            this.updateSceneTimeReadout(this.keyframeManager.getSceneTime(keyframeData.clockHours));
+            this.setEnvironmentInputs(keyframeData);
             this.interpolationSelect.value = selectedKeyframe.interpolationType;
+            this.tensionInput.value = selectedKeyframe.tension;
+            this.continuityInput.value = selectedKeyframe.continuity;
+            this.biasInput.value = selectedKeyframe.bias;
+            this.travelModeSelect.value = selectedKeyframe.travelMode;
+            this.constantSpeedCheckbox.checked = selectedKeyframe.constantSpeed;
+            this.bezierEditor.setHandles(selectedKeyframe.bezierHandles);
+            this.updateBezierEditorVisibility();
+            this.trackCheckboxes.forEach(checkbox => {
+                checkbox.checked = selectedKeyframe.hasTrack(checkbox.dataset.track);
+            });
+            if (keyframeData.targetLatitude !== undefined) {
+                this.targetLatitudeInput.value = keyframeData.targetLatitude.toFixed(4);
+                this.targetLongitudeInput.value = keyframeData.targetLongitude.toFixed(4);
+                this.targetHeightInput.value = Math.round(keyframeData.targetHeight);
+            }
 
             // Enable update and delete buttons
             this.updateButton.disabled = false;
@@ -253,13 +385,170 @@ export class PropertyPanel {
         }
     }
 
+    // Tracks checked in the track toggles
+    getCheckedTracks() {
+        return this.trackCheckboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.track);
+    }
+
+    // Look-at target entered in the target section
+    getTargetData() {
+        return {
+            targetLatitude: parseFloat(this.targetLatitudeInput.value),
+            targetLongitude: parseFloat(this.targetLongitudeInput.value),
+            targetHeight: parseFloat(this.targetHeightInput.value) || 0
+        };
+    }
+
+    // Environment effect values entered in the effects section
+    getEnvironmentData() {
+        const number = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? fallback : value;
+        };
+        return {
+            fogDensity: Math.max(0, number(this.fogDensityInput, 0)),
+            atmosphereHue: number(this.atmosphereHueInput, 0),
+            atmosphereSaturation: number(this.atmosphereSaturationInput, 0),
+            atmosphereBrightness: number(this.atmosphereBrightnessInput, 0),
+            bloom: Math.max(0, Math.min(1, number(this.bloomInput, 0))),
+            brightness: Math.max(0, number(this.brightnessInput, 1)),
+            shadows: this.shadowsCheckbox.checked ? 1 : 0
+        };
+    }
+
+    setEnvironmentInputs(data) {
+        const round = (value) => parseFloat(value.toFixed(2));
+        this.fogDensityInput.value = round(data.fogDensity);
+        this.atmosphereHueInput.value = round(data.atmosphereHue);
+        this.atmosphereSaturationInput.value = round(data.atmosphereSaturation);
+        this.atmosphereBrightnessInput.value = round(data.atmosphereBrightness);
+        this.bloomInput.value = round(data.bloom);
+        this.brightnessInput.value = round(data.brightness);
+        this.shadowsCheckbox.checked = data.shadows >= 0.5;
+    }
+
+    validateTracks(tracks) {
+        if (tracks.length === 0) {
+            showNotification('キーを打つトラックを選択してください');
+            return false;
+        }
+        const target = this.getTargetData();
+        if (tracks.includes('target') && (isNaN(target.targetLatitude) || isNaN(target.targetLongitude))) {
+            showNotification('ターゲットの緯度・経度を入力してください');
+            return false;
+        }
+        return true;
+    }
+
+    pickTarget() {
+        const position = this.cesiumManager.pickScreenCenter();
+        if (!position) {
+            showNotification('画面中央に地表がありません');
+            return;
+        }
+
+        this.targetLatitudeInput.value = position.latitude.toFixed(4);
+        this.targetLongitudeInput.value = position.longitude.toFixed(4);
+        this.targetHeightInput.value = Math.round(position.height);
+    }
+
+    // Generate a 360° orbit around the target starting at the playhead
+    generateOrbit() {
+        const target = this.getTargetData();
+        if (isNaN(target.targetLatitude) || isNaN(target.targetLongitude)) {
+            showNotification('ターゲットの緯度・経度を入力してください');
+            return;
+        }
+
+        const keyframes = this.keyframeManager.generateOrbit({
+            ...target,
+            radius: parseFloat(this.orbitRadiusInput.value) || 1000,
+            height: parseFloat(this.orbitHeightInput.value) || 500,
+            startTime: this.animationController.getCurrentTime(),
+            duration: parseFloat(this.orbitDurationInput.value) || 10,
+            maxTime: this.animationController.getDuration(),
+            clockwise: this.orbitDirectionSelect.value === 'cw'
+        });
+
+        if (keyframes.length === 0) {
+            showNotification('再生ヘッドがプロジェクトの終わりにあります');
+            return;
+        }
+
+        this.keyframeManager.selectKeyframe(keyframes[0]);
+        showNotification(`オービットのキーフレームを${keyframes.length}個作成しました`);
+    }
+
+    // Segment options entered in the interpolation section
+    getKeyframeOptions() {
+        const clamp = (value) => Math.max(-1, Math.min(1, parseFloat(value) || 0));
+        return {
+            tension: clamp(this.tensionInput.value),
+            continuity: clamp(this.continuityInput.value),
+            bias: clamp(this.biasInput.value),
+            bezierHandles: this.bezierEditor.getHandles(),
+            travelMode: this.travelModeSelect.value,
+            constantSpeed: this.constantSpeedCheckbox.checked,
+            altitudeMode: this.altitudeModeSelect.value
+        };
+    }
+
+    // Dragged bezier handles apply to the selected keyframe's segment right away
+    onBezierHandlesChange(handles) {
+        const selectedKeyframe = this.keyframeManager.selectedKeyframe;
+        if (!selectedKeyframe) return;
+
+        this.keyframeManager.updateKeyframe(selectedKeyframe, {
+            interpolationType: 'bezier',
+            bezierHandles: handles
+        });
+    }
+
+    updateBezierEditorVisibility() {
+        this.bezierEditorGroup.style.display = this.interpolationSelect.value === 'bezier' ? 'flex' : 'none';
+    }
+
+    // Ground height for converting between altitude references (flat 0 m until tiles load)
+    getGroundHeight(latitude, longitude) {
+        const ground = this.cesiumManager.getGroundHeight(latitude, longitude);
+        return ground === null ? 0 : ground;
+    }
+
+    // Height input value in the selected reference for a height above the ellipsoid
+    toInputHeight(height, latitude, longitude, mode = this.altitudeModeSelect.value) {
+        return mode === 'relativeToGround' ? height - this.getGroundHeight(latitude, longitude) : height;
+    }
+
+    // Height above the ellipsoid for a height input value
+    fromInputHeight(value, latitude, longitude, mode = this.altitudeModeSelect.value) {
+        return mode === 'relativeToGround' ? value + this.getGroundHeight(latitude, longitude) : value;
+    }
+
+    // Show the camera height in both references
+    updateAltitudeReadout({ latitude, longitude, height }) {
+        const ground = this.cesiumManager.getGroundHeight(latitude, longitude);
+        const aboveGround = ground === null ? '—' : Math.round(height - ground);
+        this.altitudeReadout.textContent = `楕円体高 ${Math.round(height)} m / 地表から ${aboveGround} m`;
+    }
+
+    // Show the scene date/time the clock value lands on
+    updateSceneTimeReadout(sceneTime) {
+        const date = new Date(sceneTime);
+        this.sceneTimeReadout.textContent = isNaN(date.getTime())
+            ? '—'
+            : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    }
+
     // Capture current camera position (新機能)
     captureCurrentCamera() {
         const cameraData = this.cesiumManager.getCameraPosition();
         if (cameraData) {
             this.latitudeInput.value = cameraData.latitude.toFixed(4);
             this.longitudeInput.value = cameraData.longitude.toFixed(4);
-            this.heightInput.value = Math.round(cameraData.height);
+            this.heightInput.value = Math.round(this.toInputHeight(cameraData.height, cameraData.latitude, cameraData.longitude));
+            this.updateAltitudeReadout(cameraData);
             this.headingInput.value = Math.round(cameraData.heading);
             this.headingSlider.value = Math.round(cameraData.heading); // Sync
             this.pitchInput.value = Math.round(cameraData.pitch);
@@ -269,7 +558,7 @@ export class PropertyPanel {
             this.fovValue.textContent = Math.round(cameraData.fov) + '°';
 
             // Show notification
-            this.showNotification('カメラ位置を取得しました');
+            showNotification('カメラ位置を取得しました');
         }
     }
 
@@ -281,7 +570,8 @@ export class PropertyPanel {
         if (cameraData) {
             this.latitudeInput.value = cameraData.latitude.toFixed(4);
             this.longitudeInput.value = cameraData.longitude.toFixed(4);
-            this.heightInput.value = Math.round(cameraData.height);
+            this.heightInput.value = Math.round(this.toInputHeight(cameraData.height, cameraData.latitude, cameraData.longitude));
+            this.updateAltitudeReadout(cameraData);
             this.headingInput.value = Math.round(cameraData.heading);
             this.headingSlider.value = Math.round(cameraData.heading); // Sync
             this.pitchInput.value = Math.round(cameraData.pitch);
@@ -291,32 +581,6 @@ export class PropertyPanel {
             this.fovValue.textContent = Math.round(cameraData.fov) + '°';
         }
     }
-
-    // Show notification
-    showNotification(message) {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 80px;
-            right: 20px;
-            background: linear-gradient(135deg, #4a9eff, #7b61ff);
-            color: white;
-            padding: 12px 20px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(74, 158, 255, 0.4);
-            z-index: 1000;
-            font-family: 'Inter', sans-serif;
-            font-size: 14px;
-            animation: slideIn 0.3s ease;
-        `;
-        notification.textContent = message;
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease';
-            setTimeout(() => notification.remove(), 300);
-        }, 2000);
-    }
 }
 
 export default PropertyPanel;
@@ -0,0 +1,82 @@
+// Terrain Sampler - Samples ground heights under the camera path so the
+// KeyframeManager can resolve terrain-relative heights and keep the camera above ground
+const SAMPLES_PER_SECOND = 10;
+const MAX_SAMPLES = 3000;
+const RESAMPLE_DELAY = 300; // ms after the last edit
+
+export class TerrainSampler {
+    constructor(viewer, keyframeManager) {
+        this.viewer = viewer;
+        this.keyframeManager = keyframeManager;
+        this.timer = null;
+        this.pending = Promise.resolve();
+        this.generation = 0; // Drops results of samplings overtaken by later edits
+
+        this.keyframeManager.on('keyframesChanged', () => this.schedule());
+        this.viewer.scene.globe.terrainProviderChanged.addEventListener(() => this.schedule());
+        this.schedule();
+    }
+
+    // Resample shortly after edits settle (a drag emits many changes)
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pending = this.sample();
+        }, RESAMPLE_DELAY);
+    }
+
+    // Resolves once the profile matches the current keyframes (used before export)
+    async whenReady() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.pending = this.sample();
+        }
+        await this.pending;
+    }
+
+    async sample() {
+        const generation = ++this.generation;
+        const keyframeManager = this.keyframeManager;
+        const keyframes = keyframeManager.getTrackKeyframes('position');
+
+        if (!keyframeManager.needsTerrain() || keyframes.length === 0) {
+            keyframeManager.setTerrainProfile(null);
+            return;
+        }
+
+        // Sample the whole keyed range (the camera holds still outside it)
+        const start = keyframes[0].time;
+        const end = keyframes[keyframes.length - 1].time;
+        const count = Math.max(2, Math.min(MAX_SAMPLES, Math.ceil((end - start) * SAMPLES_PER_SECOND) + 1));
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const data = keyframeManager.interpolateAt(start + (end - start) * i / (count - 1));
+            positions.push(Cesium.Cartographic.fromDegrees(data.longitude, data.latitude));
+        }
+
+        const heights = await this.sampleHeights(positions);
+        if (generation !== this.generation) return;
+
+        keyframeManager.setTerrainProfile({ start, end, heights });
+    }
+
+    // Terrain heights in meters; the flat ellipsoid (0 m) when terrain can't be loaded
+    async sampleHeights(positions) {
+        const terrainProvider = this.viewer.terrainProvider;
+        if (!terrainProvider || terrainProvider instanceof Cesium.EllipsoidTerrainProvider) {
+            return positions.map(() => 0);
+        }
+
+        try {
+            const sampled = await Cesium.sampleTerrainMostDetailed(terrainProvider, positions);
+            return sampled.map(position => position.height || 0);
+        } catch (error) {
+            console.warn('Terrain sampling failed, using flat terrain:', error);
+            return positions.map(() => 0);
+        }
+    }
+}
+
+export default TerrainSampler;
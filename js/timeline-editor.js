@@ -1,3 +1,5 @@
+import { TRACKS, TRACK_NAMES, CAMERA_TRACKS } from './keyframe-manager.js';
+
 // Timeline Editor - Visual timeline with keyframe markers
 export class TimelineEditor {
     constructor(canvasId, keyframeManager, duration = 10) {
@@ -11,8 +13,32 @@ export class TimelineEditor {
         // Visual settings
         this.isDragging = false;
         this.draggedKeyframe = null;
+        this.draggedTrack = null;
         this.playheadDragging = false;
 
+        // Group drag state: keyframes moved together and their times at drag start
+        this.dragKeyframes = [];
+        this.dragStartTimes = new Map();
+        this.dragMode = 'move'; // 'move' or 'scale' (Alt+drag)
+        this.scalePivot = 0;
+
+        // Box selection rectangle while dragging on empty rows
+        this.boxSelect = null;
+
+        // Rows: a summary row with whole keyframes, then one row per track
+        this.rows = this.getRows();
+        this.labelWidth = 60;
+
+        // Visible time range (zoom/pan). The whole duration fits when zoomed out.
+        this.viewStart = 0;
+        this.viewDuration = duration;
+        this.minViewFrames = 10; // Zoom in until 10 frames fill the width
+
+        // Overview bar at the bottom: the whole duration with the visible range
+        this.overviewHeight = 10;
+        this.overviewDragOffset = null;
+        this.pinchDistance = null;
+
         // Colors
         this.colors = {
             background: '#141824',
@@ -22,18 +48,52 @@ export class TimelineEditor {
             playhead: '#4a9eff',
             keyframe: '#00d084',
             keyframeSelected: '#7b61ff',
-            keyframeHover: '#4a9eff'
+            keyframeHover: '#4a9eff',
+            rowLabel: '#9aa0a6',
+            rowSeparator: 'rgba(255, 255, 255, 0.08)',
+            selectionBox: 'rgba(123, 97, 255, 0.15)',
+            selectionBoxBorder: 'rgba(123, 97, 255, 0.8)',
+            overview: 'rgba(255, 255, 255, 0.06)',
+            overviewKeyframe: 'rgba(0, 208, 132, 0.7)',
+            overviewView: 'rgba(74, 158, 255, 0.35)',
+            frameTick: 'rgba(154, 160, 166, 0.3)',
+            segmentSpeed: 'rgba(154, 160, 166, 0.8)',
+            terrainCorrection: 'rgba(255, 159, 67, 0.15)',
+            terrainCorrectionBar: 'rgba(255, 159, 67, 0.9)'
         };
 
         this.hoveredKeyframe = null;
+        this.hoveredTrack = null;
+
+        // Event listeners (the graph editor follows the view and playhead)
+        this.listeners = {
+            'viewChanged': [],
+            'playheadChanged': []
+        };
 
         this.setupCanvas();
         this.bindEvents();
         this.render();
 
         // Listen to keyframe changes
-        this.keyframeManager.on('keyframesChanged', () => this.render());
+        this.keyframeManager.on('keyframesChanged', () => {
+            this.rows = this.getRows();
+            this.render();
+        });
         this.keyframeManager.on('keyframeSelected', () => this.render());
+        this.keyframeManager.on('terrainChanged', () => this.render());
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
     }
 
     setupCanvas() {
@@ -54,6 +114,8 @@ export class TimelineEditor {
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
         this.canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        this.canvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
 
         // Touch Events (iPad Support)
         this.canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
@@ -66,6 +128,14 @@ export class TimelineEditor {
 
     // Touch Event Handlers
     onTouchStart(e) {
+        // Two fingers pinch-zoom the timeline
+        if (e.touches.length === 2) {
+            e.preventDefault();
+            this.onMouseUp({});
+            this.pinchDistance = this.getTouchDistance(e.touches);
+            return;
+        }
+
         if (e.touches.length > 0) {
             e.preventDefault(); // Prevent scrolling
             const touch = e.touches[0];
@@ -81,6 +151,16 @@ export class TimelineEditor {
     }
 
     onTouchMove(e) {
+        if (e.touches.length === 2 && this.pinchDistance) {
+            e.preventDefault();
+            const distance = this.getTouchDistance(e.touches);
+            const rect = this.canvas.getBoundingClientRect();
+            const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2 - rect.left;
+            this.zoomAt(centerX, this.pinchDistance / distance);
+            this.pinchDistance = distance;
+            return;
+        }
+
         if (e.touches.length > 0) {
             e.preventDefault(); // Prevent scrolling
             const touch = e.touches[0];
@@ -94,7 +174,13 @@ export class TimelineEditor {
         }
     }
 
+    getTouchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
     onTouchEnd(e) {
+        this.pinchDistance = null;
+
         // Note: touchend doesn't usually have touches list for the ended touch
         const mockEvent = {};
         this.onMouseUp(mockEvent);
@@ -105,25 +191,46 @@ export class TimelineEditor {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Overview bar: grab the visible range, or jump it to the clicked time
+        if (y >= this.canvas.height - this.overviewHeight) {
+            const time = this.overviewXToTime(x);
+            if (time < this.viewStart || time > this.viewStart + this.viewDuration) {
+                this.setView(time - this.viewDuration / 2, this.viewDuration);
+            }
+            this.overviewDragOffset = this.overviewXToTime(x) - this.viewStart;
+            return;
+        }
+
         // Check if clicking on playhead
         const playheadX = this.timeToX(this.currentTime);
-        if (Math.abs(x - playheadX) < 15 && y < this.canvas.height) { // Larger hit area
+        if (Math.abs(x - playheadX) < 15 && playheadX >= this.getTrackLeft() - 15) { // Larger hit area
             this.playheadDragging = true;
             return;
         }
 
         // Check if clicking on a keyframe
-        const keyframes = this.keyframeManager.getAllKeyframes();
-        for (const kf of keyframes) {
-            const kfX = this.timeToX(kf.time);
-            const kfY = this.canvas.height - 40;
-
-            if (Math.abs(x - kfX) < 20 && Math.abs(y - kfY) < 20) { // Larger hit area for touch
-                this.isDragging = true;
-                this.draggedKeyframe = kf;
+        const hit = this.hitTestKeyframe(x, y);
+        if (hit) {
+            const kf = hit.keyframe;
+
+            // Shift-click adds to / removes from the selection
+            if (e.shiftKey) {
+                this.keyframeManager.toggleSelection(kf);
+                if (!this.keyframeManager.isSelected(kf)) return;
+            } else if (!this.keyframeManager.isSelected(kf)) {
                 this.keyframeManager.selectKeyframe(kf);
-                return;
+            } else {
+                this.keyframeManager.setSelection(this.keyframeManager.selectedKeyframes, kf);
             }
+
+            this.startKeyframeDrag(kf, hit.track, e.altKey);
+            return;
+        }
+
+        // Drag on empty rows draws a selection box
+        if (y > 34) {
+            this.boxSelect = { x0: x, y0: y, x1: x, y1: y, additive: e.shiftKey };
+            return;
         }
 
         // Click on timeline to move playhead (with snap)
@@ -139,11 +246,81 @@ export class TimelineEditor {
         this.playheadDragging = true;
     }
 
+    // Begin dragging the selection. A lone key on a track row is retimed on its
+    // own; a group always moves (or with Alt scales) as whole keyframes.
+    startKeyframeDrag(kf, track, scale) {
+        const selected = this.keyframeManager.getSelectedKeyframes();
+
+        this.isDragging = true;
+        this.draggedKeyframe = kf;
+        this.draggedTrack = selected.length > 1 ? null : track;
+        this.dragKeyframes = selected;
+        this.dragStartTimes = new Map(selected.map(k => [k, k.time]));
+        this.dragMode = scale && selected.length > 1 ? 'scale' : 'move';
+
+        // Scale around the far end of the selection from the dragged key
+        if (this.dragMode === 'scale') {
+            const times = selected.map(k => k.time);
+            const first = Math.min(...times);
+            const last = Math.max(...times);
+            this.scalePivot = kf.time === first ? last : first;
+        }
+
+        // The whole drag is one undo step
+        this.keyframeManager.history.beginTransaction('キーフレーム移動');
+    }
+
+    // Apply a drag of the grabbed keyframe to the given time
+    dragKeyframesTo(time) {
+        const kf = this.draggedKeyframe;
+        const startTime = this.dragStartTimes.get(kf);
+
+        // Dragging a key on a track row retimes only that track
+        if (this.draggedTrack) {
+            if (time !== kf.time) {
+                const split = this.keyframeManager.splitKeyframe(kf, this.draggedTrack);
+                if (split !== kf) {
+                    this.draggedKeyframe = split;
+                    this.keyframeManager.selectKeyframe(split);
+                }
+            }
+            this.keyframeManager.updateKeyframe(this.draggedKeyframe, { time: time });
+            return;
+        }
+
+        if (this.dragMode === 'scale') {
+            const pivot = this.scalePivot;
+            if (startTime === pivot) return;
+            const factor = Math.max(0, (time - pivot) / (startTime - pivot));
+            this.keyframeManager.retimeKeyframes(this.dragKeyframes, k => pivot + (this.dragStartTimes.get(k) - pivot) * factor);
+            return;
+        }
+
+        // Move the group without pushing any keyframe before 0
+        const earliest = Math.min(...this.dragStartTimes.values());
+        const delta = Math.max(time - startTime, -earliest);
+        this.keyframeManager.retimeKeyframes(this.dragKeyframes, k => this.dragStartTimes.get(k) + delta);
+    }
+
     onMouseMove(e) {
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Panning with the overview bar
+        if (this.overviewDragOffset !== null) {
+            this.setView(this.overviewXToTime(x) - this.overviewDragOffset, this.viewDuration);
+            return;
+        }
+
+        // Box selection
+        if (this.boxSelect) {
+            this.boxSelect.x1 = x;
+            this.boxSelect.y1 = y;
+            this.render();
+            return;
+        }
+
         // Dragging Playhead or Keyframe
         if (this.playheadDragging || (this.isDragging && this.draggedKeyframe)) {
             let time = Math.max(0, Math.min(this.duration, this.xToTime(x)));
@@ -157,41 +334,114 @@ export class TimelineEditor {
             if (this.playheadDragging) {
                 this.setCurrentTime(time);
             } else if (this.isDragging && this.draggedKeyframe) {
-                this.keyframeManager.updateKeyframe(this.draggedKeyframe, { time: time });
+                this.dragKeyframesTo(time);
             }
             return;
         }
 
         // Check for hover
-        this.hoveredKeyframe = null;
-        const keyframes = this.keyframeManager.getAllKeyframes();
-        let cursor = 'default';
-
-        for (const kf of keyframes) {
-            const kfX = this.timeToX(kf.time);
-            const kfY = this.canvas.height - 40;
-
-            if (Math.abs(x - kfX) < 20 && Math.abs(y - kfY) < 20) {
-                this.hoveredKeyframe = kf;
-                cursor = 'pointer';
-                break;
-            }
-        }
+        const hit = this.hitTestKeyframe(x, y);
+        this.hoveredKeyframe = hit ? hit.keyframe : null;
+        this.hoveredTrack = hit ? hit.track : null;
 
-        this.canvas.style.cursor = cursor;
+        this.canvas.style.cursor = hit ? 'pointer' : 'default';
         this.render();
     }
 
     onMouseUp(e) {
+        if (this.boxSelect) {
+            this.finishBoxSelect();
+        }
+        if (this.isDragging) {
+            this.keyframeManager.history.endTransaction();
+        }
         this.isDragging = false;
         this.draggedKeyframe = null;
+        this.draggedTrack = null;
+        this.dragKeyframes = [];
+        this.dragStartTimes = new Map();
         this.playheadDragging = false;
+        this.overviewDragOffset = null;
         this.canvas.style.cursor = 'default';
     }
 
+    // Select keyframes inside the box, or treat a plain click as a seek
+    finishBoxSelect() {
+        const { x0, y0, x1, y1, additive } = this.boxSelect;
+        this.boxSelect = null;
+
+        if (Math.abs(x1 - x0) < 3 && Math.abs(y1 - y0) < 3) {
+            this.setCurrentTime(this.snapTime(Math.max(0, Math.min(this.duration, this.xToTime(x0)))));
+            if (!additive) this.keyframeManager.selectKeyframe(null);
+            return;
+        }
+
+        const left = Math.min(x0, x1);
+        const right = Math.max(x0, x1);
+        const top = Math.min(y0, y1);
+        const bottom = Math.max(y0, y1);
+
+        const boxed = [];
+        this.rows.forEach((track, index) => {
+            const y = this.rowToY(index);
+            if (y < top || y > bottom) return;
+
+            const keyframes = track
+                ? this.keyframeManager.getTrackKeyframes(track)
+                : this.keyframeManager.getAllKeyframes();
+            keyframes.forEach(kf => {
+                const x = this.timeToX(kf.time);
+                if (x >= left && x <= right) boxed.push(kf);
+            });
+        });
+
+        const selection = additive ? [...this.keyframeManager.selectedKeyframes, ...boxed] : boxed;
+        this.keyframeManager.setSelection(selection);
+        this.render();
+    }
+
+    // Wheel zooms around the mouse; shift+wheel or a horizontal swipe pans
     onWheel(e) {
-        // Disabled scrolling/zooming as per request to "squeeze fit"
         e.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+            const delta = e.shiftKey ? e.deltaY || e.deltaX : e.deltaX;
+            this.setView(this.viewStart + delta / this.getPixelsPerSecond(), this.viewDuration);
+            return;
+        }
+
+        this.zoomAt(x, Math.exp(e.deltaY * 0.002));
+    }
+
+    // Double-click the overview bar to fit the whole duration
+    onDoubleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (e.clientY - rect.top >= this.canvas.height - this.overviewHeight) {
+            this.setView(0, this.duration);
+        }
+    }
+
+    // Scale the visible range by factor, keeping the time under x in place
+    zoomAt(x, factor) {
+        const time = this.xToTime(x);
+        const ratio = (x - this.getTrackLeft()) / this.getTrackWidth();
+        const span = this.clampViewDuration(this.viewDuration * factor);
+        this.setView(time - ratio * span, span);
+    }
+
+    clampViewDuration(span) {
+        const minSpan = Math.min(this.duration, this.minViewFrames / this.fps);
+        return Math.max(minSpan, Math.min(this.duration, span));
+    }
+
+    setView(start, span) {
+        this.viewDuration = this.clampViewDuration(span);
+        this.viewStart = Math.max(0, Math.min(this.duration - this.viewDuration, start));
+        this.render();
+        this.emit('viewChanged');
     }
 
     // Snap time to nearest frame interval
@@ -199,8 +449,9 @@ export class TimelineEditor {
         const frameDuration = 1 / this.fps;
         const interval = frameDuration * frames;
 
-        // Strong snap to whole seconds
-        if (Math.abs(time - Math.round(time)) < 0.15) {
+        // Strong snap to whole seconds (narrower when zoomed in so every frame stays reachable)
+        const secondSnap = Math.min(0.15, 8 / this.getPixelsPerSecond());
+        if (Math.abs(time - Math.round(time)) < secondSnap) {
             return Math.round(time);
         }
 
@@ -210,27 +461,87 @@ export class TimelineEditor {
     // Force update playhead position (sync with animation)
     updatePlayhead(time) {
         this.currentTime = time;
+
+        // Page the view along with playback
+        if (time < this.viewStart || time > this.viewStart + this.viewDuration) {
+            this.setView(time, this.viewDuration);
+            return;
+        }
         this.render();
-    } // No auto-scroll logic needed
+        this.emit('playheadChanged', time);
+    }
+
+    // Keyframe area between the track labels and the right margin
+    getTrackLeft() {
+        return this.labelWidth + 20;
+    }
+
+    getTrackWidth() {
+        return this.canvas.width - this.getTrackLeft() - 20;
+    }
+
+    getPixelsPerSecond() {
+        return this.getTrackWidth() / this.viewDuration;
+    }
 
     timeToX(time) {
-        // Fixed fit-to-width calculation
-        const padding = 40; // 20px left + 20px right
-        const usableWidth = this.canvas.width - padding;
-        const pixelsPerSecond = usableWidth / this.duration;
-        return 20 + time * pixelsPerSecond;
+        return this.getTrackLeft() + (time - this.viewStart) * this.getPixelsPerSecond();
     }
 
     xToTime(x) {
-        const padding = 40;
-        const usableWidth = this.canvas.width - padding;
-        const pixelsPerSecond = usableWidth / this.duration;
-        return (x - 20) / pixelsPerSecond;
+        return this.viewStart + (x - this.getTrackLeft()) / this.getPixelsPerSecond();
+    }
+
+    // The overview bar always spans the whole duration
+    overviewTimeToX(time) {
+        return this.getTrackLeft() + time / this.duration * this.getTrackWidth();
+    }
+
+    overviewXToTime(x) {
+        return (x - this.getTrackLeft()) / this.getTrackWidth() * this.duration;
+    }
+
+    // Camera tracks always have a row; opt-in tracks (target, clock, effects)
+    // only once keyed, so the rows stay tall enough to hit
+    getRows() {
+        const tracks = TRACK_NAMES.filter(track => CAMERA_TRACKS.includes(track)
+            || this.keyframeManager.getTrackKeyframes(track).length > 0);
+        return [null, ...tracks];
+    }
+
+    // Keyframe rows sit between the ruler and the playhead label
+    getRowHeight() {
+        return (this.canvas.height - 34 - 22 - this.overviewHeight) / this.rows.length;
+    }
+
+    rowToY(index) {
+        return 34 + (index + 0.5) * this.getRowHeight();
+    }
+
+    // Find the keyframe under a point. track is null for the summary row.
+    hitTestKeyframe(x, y) {
+        if (x < this.getTrackLeft() - 12) return null;
+
+        const index = Math.floor((y - 34) / this.getRowHeight());
+        if (index < 0 || index >= this.rows.length) return null;
+
+        const track = this.rows[index];
+        const keyframes = track
+            ? this.keyframeManager.getTrackKeyframes(track)
+            : this.keyframeManager.getAllKeyframes();
+
+        for (const kf of keyframes) {
+            if (Math.abs(x - this.timeToX(kf.time)) < 12) { // Larger hit area for touch
+                return { keyframe: kf, track };
+            }
+        }
+        return null;
     }
 
     setCurrentTime(time) {
         this.currentTime = Math.max(0, Math.min(this.duration, time));
         this.render();
+        this.emit('playheadChanged', this.currentTime);
 
         // Emit event for other components
         const event = new CustomEvent('timelineSeek', { detail: { time: this.currentTime } });
@@ -238,13 +549,15 @@ export class TimelineEditor {
     }
 
     setDuration(duration) {
+        // Stay fitted if the whole timeline was visible
+        const fitted = this.viewDuration >= this.duration;
         this.duration = duration;
-        this.render();
+        this.setView(this.viewStart, fitted ? duration : this.viewDuration);
     }
 
     setFPS(fps) {
         this.fps = fps;
-        this.render();
+        this.setView(this.viewStart, this.viewDuration);
     }
 
     render() {
@@ -256,21 +569,91 @@ export class TimelineEditor {
         ctx.fillStyle = this.colors.background;
         ctx.fillRect(0, 0, width, height);
 
+        // Draw track rows
+        this.drawTrackRows();
+
+        // Keep the time-mapped content out of the label column
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.getTrackLeft() - 14, 0, width - this.getTrackLeft() + 14, height);
+        ctx.clip();
+
         // Draw grid
         this.drawGrid();
 
         // Draw time ruler
         this.drawRuler();
 
+        // Draw where terrain avoidance lifted the camera
+        this.drawTerrainCorrections();
+
+        // Draw segment speeds
+        this.drawSegmentSpeeds();
+
         // Draw keyframes
         this.drawKeyframes();
 
         // Draw playhead
         this.drawPlayhead();
+
+        ctx.restore();
+
+        // Draw overview bar
+        this.drawOverview();
+
+        // Draw selection box
+        if (this.boxSelect) {
+            this.drawSelectionBox();
+        }
+    }
+
+    drawSelectionBox() {
+        const ctx = this.ctx;
+        const { x0, y0, x1, y1 } = this.boxSelect;
+
+        ctx.fillStyle = this.colors.selectionBox;
+        ctx.fillRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        ctx.strokeStyle = this.colors.selectionBoxBorder;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+    }
+
+    // Tick intervals in seconds for the ruler: frames when zoomed in, minutes when zoomed out
+    getTickIntervals() {
+        const frame = 1 / this.fps;
+        const frameSteps = [1, 2, 5, 10].map(n => n * frame).filter(step => step < 0.5);
+        return [...frameSteps, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+    }
+
+    // Smallest interval whose ticks are at least minSpacing pixels apart
+    getTickInterval(minSpacing) {
+        const pixelsPerSecond = this.getPixelsPerSecond();
+        const intervals = this.getTickIntervals();
+        return intervals.find(step => step * pixelsPerSecond >= minSpacing) || intervals[intervals.length - 1];
+    }
+
+    // Visit each multiple of step inside the visible range
+    forEachTick(step, callback) {
+        const first = Math.ceil(this.viewStart / step - 1e-6);
+        const last = Math.floor((this.viewStart + this.viewDuration) / step + 1e-6);
+        for (let i = first; i <= last; i++) {
+            callback(i * step);
+        }
     }
 
-    // Scrollbar method removed
+    formatRulerTime(time, step) {
+        const frames = Math.round(time * this.fps);
+        const totalSeconds = Math.floor(frames / this.fps);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        const label = `${minutes}:${seconds.toString().padStart(2, '0')}`;
 
+        // Below one second, label frames as m:ss:ff
+        if (step < 1) {
+            return `${label}:${(frames % this.fps).toString().padStart(2, '0')}`;
+        }
+        return label;
+    }
 
     drawGrid() {
         const ctx = this.ctx;
@@ -279,131 +662,227 @@ export class TimelineEditor {
         ctx.strokeStyle = this.colors.grid;
         ctx.lineWidth = 1;
 
-        // Vertical grid lines (every second)
-        for (let i = 0; i <= this.duration; i++) {
-            const x = this.timeToX(i);
-            if (x >= 0 && x <= this.canvas.width) {
-                ctx.beginPath();
-                ctx.moveTo(x, 30);
-                ctx.lineTo(x, height);
-                ctx.stroke();
-            }
-        }
+        // Vertical grid lines at each labelled ruler tick
+        this.forEachTick(this.getTickInterval(70), (time) => {
+            const x = this.timeToX(time);
+            ctx.beginPath();
+            ctx.moveTo(x, 30);
+            ctx.lineTo(x, height - this.overviewHeight);
+            ctx.stroke();
+        });
     }
 
     drawRuler() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
+        const majorStep = this.getTickInterval(70);
+        const minorStep = this.getTickIntervals().filter(step => step < majorStep).reverse()
+            .find(step => step * this.getPixelsPerSecond() >= 6);
 
         ctx.fillStyle = this.colors.ruler;
         ctx.font = '11px Inter, sans-serif';
         ctx.textAlign = 'center';
 
         // Draw time markers
-        for (let i = 0; i <= this.duration; i++) {
-            const x = this.timeToX(i);
-            if (x >= 0 && x <= width) {
-                // Draw tick
-                ctx.beginPath();
-                ctx.moveTo(x, 20);
-                ctx.lineTo(x, 30);
-                ctx.stroke();
-
-                // Draw time label
-                const minutes = Math.floor(i / 60);
-                const seconds = i % 60;
-                const label = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-                ctx.fillText(label, x, 15);
-            }
-        }
+        ctx.strokeStyle = this.colors.ruler;
+        ctx.lineWidth = 1;
+        this.forEachTick(majorStep, (time) => {
+            const x = this.timeToX(time);
 
-        // Draw frame markers (smaller ticks)
-        const frameInterval = 1 / this.fps;
-        for (let t = 0; t <= this.duration; t += frameInterval) {
-            const x = this.timeToX(t);
-            if (x >= 0 && x <= width) {
-                ctx.beginPath();
-                ctx.moveTo(x, 25);
-                ctx.lineTo(x, 30);
-                ctx.strokeStyle = 'rgba(154, 160, 166, 0.3)';
-                ctx.stroke();
-            }
-        }
+            // Draw tick
+            ctx.beginPath();
+            ctx.moveTo(x, 20);
+            ctx.lineTo(x, 30);
+            ctx.stroke();
+
+            // Draw time label
+            ctx.fillText(this.formatRulerTime(time, majorStep), x, 15);
+        });
+
+        // Draw smaller ticks between labels (down to single frames)
+        if (!minorStep) return;
+        ctx.strokeStyle = this.colors.frameTick;
+        this.forEachTick(minorStep, (time) => {
+            const x = this.timeToX(time);
+            ctx.beginPath();
+            ctx.moveTo(x, 25);
+            ctx.lineTo(x, 30);
+            ctx.stroke();
+        });
     }
 
-    drawKeyframes() {
+    drawOverview() {
         const ctx = this.ctx;
-        const keyframes = this.keyframeManager.getAllKeyframes();
-        const y = this.canvas.height - 40;
+        const top = this.canvas.height - this.overviewHeight;
+        const left = this.getTrackLeft();
+        const width = this.getTrackWidth();
 
-        keyframes.forEach(kf => {
-            const x = this.timeToX(kf.time);
+        ctx.fillStyle = this.colors.overview;
+        ctx.fillRect(left, top, width, this.overviewHeight);
 
-            if (x < 0 || x > this.canvas.width) return;
+        // Keyframe ticks
+        ctx.fillStyle = this.colors.overviewKeyframe;
+        this.keyframeManager.getAllKeyframes().forEach(kf => {
+            ctx.fillRect(this.overviewTimeToX(kf.time) - 0.5, top + 2, 1, this.overviewHeight - 4);
+        });
 
-            // Determine color
-            let color = this.colors.keyframe;
-            if (kf === this.keyframeManager.selectedKeyframe) {
-                color = this.colors.keyframeSelected;
-            } else if (kf === this.hoveredKeyframe) {
-                color = this.colors.keyframeHover;
-            }
+        // Visible range
+        const viewX = this.overviewTimeToX(this.viewStart);
+        const viewWidth = Math.max(4, this.overviewTimeToX(this.viewStart + this.viewDuration) - viewX);
+        ctx.fillStyle = this.colors.overviewView;
+        ctx.fillRect(viewX, top, viewWidth, this.overviewHeight);
 
-            // Draw different shapes based on interpolation type
-            ctx.fillStyle = color;
-            ctx.beginPath();
+        // Playhead
+        ctx.fillStyle = this.colors.playhead;
+        ctx.fillRect(this.overviewTimeToX(this.currentTime) - 1, top, 2, this.overviewHeight);
+    }
 
-            const size = 12; // Increased size
-
-            switch (kf.interpolationType) {
-                case 'linear':
-                    // Diamond (◆)
-                    ctx.moveTo(x, y - size);
-                    ctx.lineTo(x + size, y);
-                    ctx.lineTo(x, y + size);
-                    ctx.lineTo(x - size, y);
-                    break;
-
-                case 'easeIn':
-                    // Triangle Right (▶)
-                    ctx.moveTo(x - size + 4, y - size);
-                    ctx.lineTo(x + size - 2, y);
-                    ctx.lineTo(x - size + 4, y + size);
-                    break;
-
-                case 'easeOut':
-                    // Triangle Left (◀)
-                    ctx.moveTo(x + size - 4, y - size);
-                    ctx.lineTo(x - size + 2, y);
-                    ctx.lineTo(x + size - 4, y + size);
-                    break;
-
-                case 'bezier':
-                    // Square (■)
-                    ctx.rect(x - size + 2, y - size + 2, (size - 2) * 2, (size - 2) * 2);
-                    break;
-
-                case 'easeInOut':
-                default:
-                    // Circle (●)
-                    ctx.arc(x, y, size - 2, 0, Math.PI * 2);
-                    break;
-            }
+    drawTrackRows() {
+        const ctx = this.ctx;
+        const rowHeight = this.getRowHeight();
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
 
-            ctx.closePath();
-            ctx.fill();
+        this.rows.forEach((track, index) => {
+            const y = this.rowToY(index);
 
-            // Draw outline
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-            ctx.lineWidth = 1.5;
+            ctx.fillStyle = this.colors.rowLabel;
+            ctx.fillText(track ? TRACKS[track].label : 'キー', 8, y);
+
+            ctx.strokeStyle = this.colors.rowSeparator;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, y + rowHeight / 2);
+            ctx.lineTo(this.canvas.width, y + rowHeight / 2);
             ctx.stroke();
         });
+
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Ranges where the camera was raised above the ground: a bar under the
+    // ruler and a tint over the position row
+    drawTerrainCorrections() {
+        const ctx = this.ctx;
+        const rowHeight = this.getRowHeight();
+        const y = this.rowToY(this.rows.indexOf('position'));
+
+        this.keyframeManager.getTerrainCorrections().forEach(({ start, end }) => {
+            const x0 = this.timeToX(start);
+            const width = Math.max(2, this.timeToX(end) - x0);
+
+            ctx.fillStyle = this.colors.terrainCorrectionBar;
+            ctx.fillRect(x0, 30, width, 3);
+            ctx.fillStyle = this.colors.terrainCorrection;
+            ctx.fillRect(x0, y - rowHeight / 2, width, rowHeight);
+        });
+    }
+
+    // Average camera speed between position keyframes, written on the position row
+    drawSegmentSpeeds() {
+        const ctx = this.ctx;
+        const y = this.rowToY(this.rows.indexOf('position'));
+
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.colors.segmentSpeed;
+
+        this.keyframeManager.getSegmentSpeeds().forEach(({ start, end, speed }) => {
+            const x0 = this.timeToX(start);
+            const x1 = this.timeToX(end);
+            const label = speed >= 1000 ? `${(speed / 1000).toFixed(1)} km/s` : `${Math.round(speed)} m/s`;
+
+            // Only where it fits between the keyframe markers
+            if (x1 - x0 < ctx.measureText(label).width + 24) return;
+            ctx.fillText(label, (x0 + x1) / 2, y);
+        });
+
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    drawKeyframes() {
+        const size = Math.max(4, Math.min(12, this.getRowHeight() / 2 - 1));
+
+        this.rows.forEach((track, index) => {
+            const y = this.rowToY(index);
+            const keyframes = track
+                ? this.keyframeManager.getTrackKeyframes(track)
+                : this.keyframeManager.getAllKeyframes();
+
+            keyframes.forEach(kf => {
+                const x = this.timeToX(kf.time);
+                if (x < this.getTrackLeft() - size || x > this.canvas.width + size) return;
+
+                // Determine color
+                let color = this.colors.keyframe;
+                if (this.keyframeManager.isSelected(kf)) {
+                    color = this.colors.keyframeSelected;
+                } else if (kf === this.hoveredKeyframe && track === this.hoveredTrack) {
+                    color = this.colors.keyframeHover;
+                }
+
+                this.drawKeyframeShape(kf, x, y, size, color);
+            });
+        });
+    }
+
+    drawKeyframeShape(kf, x, y, size, color) {
+        const ctx = this.ctx;
+
+        // Draw different shapes based on interpolation type
+        ctx.fillStyle = color;
+        ctx.beginPath();
+
+        switch (kf.interpolationType) {
+            case 'linear':
+                // Diamond (◆)
+                ctx.moveTo(x, y - size);
+                ctx.lineTo(x + size, y);
+                ctx.lineTo(x, y + size);
+                ctx.lineTo(x - size, y);
+                break;
+
+            case 'easeIn':
+                // Triangle Right (▶)
+                ctx.moveTo(x - size * 2 / 3, y - size);
+                ctx.lineTo(x + size * 5 / 6, y);
+                ctx.lineTo(x - size * 2 / 3, y + size);
+                break;
+
+            case 'easeOut':
+                // Triangle Left (◀)
+                ctx.moveTo(x + size * 2 / 3, y - size);
+                ctx.lineTo(x - size * 5 / 6, y);
+                ctx.lineTo(x + size * 2 / 3, y + size);
+                break;
+
+            case 'bezier':
+                // Square (■)
+                ctx.rect(x - size * 5 / 6, y - size * 5 / 6, size * 5 / 3, size * 5 / 3);
+                break;
+
+            case 'easeInOut':
+            default:
+                // Circle (●)
+                ctx.arc(x, y, size * 5 / 6, 0, Math.PI * 2);
+                break;
+        }
+
+        ctx.closePath();
+        ctx.fill();
+
+        // Draw outline
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
     }
 
     drawPlayhead() {
         const ctx = this.ctx;
         const x = this.timeToX(this.currentTime);
-        const height = this.canvas.height;
+        const height = this.canvas.height - this.overviewHeight;
 
         // Draw line
         ctx.strokeStyle = this.colors.playhead;
@@ -1,3 +1,13 @@
+// Labels for server export job states
+const JOB_STATUS_LABELS = {
+    queued: '待機中',
+    running: 'レンダリング中',
+    paused: '一時停止',
+    completed: '完了',
+    failed: '失敗',
+    cancelled: 'キャンセル'
+};
+
 // Video Exporter - Handles frame capture and video generation
 export class VideoExporter {
     constructor(cesiumManager, animationController, keyframeManager) {
@@ -26,24 +36,34 @@ export class VideoExporter {
         this.resolutionSelect = document.getElementById('export-resolution');
         this.fpsSelect = document.getElementById('export-fps');
         this.qualitySelect = document.getElementById('export-quality');
+        this.formatSelect = document.getElementById('export-format');
+        this.alphaCheckbox = document.getElementById('export-alpha');
 
         this.progressContainer = document.getElementById('export-progress');
         this.progressFill = document.getElementById('export-progress-fill');
         this.statusText = document.getElementById('export-status');
         this.percentageText = document.getElementById('export-percentage');
+        this.logOutput = document.getElementById('export-log');
+        this.jobList = document.getElementById('export-job-list');
+        this.jobListTimer = null;
+        this.stopServerExport = null; // Set while a server export streams its progress
 
         // Bind events
         this.btnExport.addEventListener('click', () => this.showDialog());
         this.btnStartExport.addEventListener('click', () => this.startExport());
         this.btnServerExport.addEventListener('click', () => this.startServerExport());
         this.btnCancelExport.addEventListener('click', () => {
-            this.isExporting = false; // Trigger cancellation in loop
+            this.cancelExport();
             this.hideDialog();
         });
+        this.jobList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleJobAction(button.dataset.action, button.dataset.id);
+        });
         this.btnCloseDialog.addEventListener('click', () => {
             if (this.isExporting) {
                 if (confirm('エクスポートを中止しますか？')) {
-                    this.isExporting = false;
+                    this.cancelExport();
                 } else {
                     return;
                 }
@@ -52,17 +72,109 @@ export class VideoExporter {
         });
     }
 
+    // Stop the running export (the capture loop checks isExporting; a server
+    // export is cancelled on the server right away)
+    cancelExport() {
+        this.isExporting = false;
+        if (this.stopServerExport) {
+            this.stopServerExport();
+        }
+    }
+
     showDialog() {
         this.dialog.style.display = 'flex';
         this.progressContainer.style.display = 'none';
         this.exportProgress = 0;
         this.updateProgress(0, '準備完了');
+
+        // Keep the server job list current while the dialog is open
+        this.refreshJobList();
+        clearInterval(this.jobListTimer);
+        this.jobListTimer = setInterval(() => this.refreshJobList(), 2000);
     }
 
     hideDialog() {
         if (!this.isExporting) {
             this.dialog.style.display = 'none';
+            clearInterval(this.jobListTimer);
+            this.jobListTimer = null;
+        }
+    }
+
+    async refreshJobList() {
+        try {
+            const response = await fetch(`${this.serverUrl}/export/server/jobs`);
+            if (!response.ok) throw new Error(response.statusText);
+            this.renderJobList(await response.json());
+        } catch (error) {
+            this.jobList.textContent = 'サーバーに接続できません';
+        }
+    }
+
+    renderJobList(jobs) {
+        if (jobs.length === 0) {
+            this.jobList.textContent = 'ジョブなし';
+            return;
+        }
+
+        this.jobList.innerHTML = '';
+        [...jobs].reverse().forEach(job => {
+            const row = document.createElement('div');
+            row.className = 'export-job';
+
+            const info = document.createElement('div');
+            info.className = 'export-job-info';
+            const created = new Date(job.createdAt).toLocaleString();
+            const detail = job.status === 'failed' ? job.error : job.message;
+            info.textContent = `${created} ${job.format} ${job.resolution} — ${JOB_STATUS_LABELS[job.status] || job.status} ${job.progress}%`;
+            info.title = detail || '';
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            bar.innerHTML = `<div class="progress-fill" style="width: ${job.progress}%"></div>`;
+            info.appendChild(bar);
+            row.appendChild(info);
+
+            // Encoding can only be cancelled, not paused
+            const actions = {
+                queued: [['pause', '一時停止'], ['cancel', 'キャンセル']],
+                running: job.pausable ? [['pause', '一時停止'], ['cancel', 'キャンセル']] : [['cancel', 'キャンセル']],
+                paused: [['resume', '再開'], ['cancel', 'キャンセル']],
+                failed: [['resume', '再試行']],
+                completed: [['download', 'ダウンロード']]
+            }[job.status] || [];
+            actions.forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn-secondary';
+                button.dataset.action = action;
+                button.dataset.id = job.id;
+                button.textContent = label;
+                row.appendChild(button);
+            });
+
+            this.jobList.appendChild(row);
+        });
+    }
+
+    async handleJobAction(action, id) {
+        if (action === 'download') {
+            window.location.href = `${this.serverUrl}/export/server/download/${id}`;
+            return;
+        }
+
+        try {
+            if (action === 'cancel') {
+                await this.cancelServerJob(id);
+            } else {
+                const response = await fetch(`${this.serverUrl}/export/server/${action}/${id}`, { method: 'POST' });
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error || response.statusText);
+                }
+            }
+        } catch (error) {
+            alert('ジョブ操作エラー: ' + error.message);
         }
+        this.refreshJobList();
     }
 
     async startExport() {
@@ -72,6 +184,9 @@ export class VideoExporter {
         const resolution = this.resolutionSelect.value.split('x').map(Number);
         const fps = parseInt(this.fpsSelect.value);
         const quality = this.qualitySelect.value;
+        const format = this.formatSelect.value;
+        const alpha = this.alphaCheckbox.checked;
+        if (!this.confirmAlphaFormat(alpha)) return;
 
         const width = resolution[0];
         const height = resolution[1];
@@ -91,6 +206,23 @@ export class VideoExporter {
         try {
             // 1. Start Export Session
             this.updateProgress(0, 'エクスポート準備中...');
+
+            // A project's imagery and terrain may still be switching over
+            await this.cesiumManager.whenMapSourcesReady();
+
+            // Terrain avoidance must match the current path before capturing
+            if (this.terrainSampler) {
+                await this.terrainSampler.whenReady();
+            }
+
+            // Data layers still loading would be missing from the first frames
+            if (this.layerRenderer) {
+                await this.layerRenderer.whenReady();
+            }
+            if (this.modelRenderer) {
+                await this.modelRenderer.whenReady();
+            }
+
             const startResponse = await fetch(`${this.serverUrl}/export/start`, { method: 'POST' });
             if (!startResponse.ok) throw new Error('サーバー接続エラー');
             const { sessionId } = await startResponse.json();
@@ -112,6 +244,10 @@ export class VideoExporter {
             container.style.height = height + 'px';
             this.cesiumManager.resize();
 
+            if (alpha) {
+                this.cesiumManager.setTransparentBackground(true);
+            }
+
             // 2. Capture and Upload Loop
             for (let frame = 0; frame < totalFrames; frame++) {
                 if (!this.isExporting) {
@@ -120,10 +256,8 @@ export class VideoExporter {
 
                 const time = (frame / fps);
 
-                // Update camera
-                const cameraData = this.keyframeManager.interpolateAt(time);
-                this.cesiumManager.setCameraPosition(cameraData);
-                this.cesiumManager.setFOV(cameraData.fov);
+                // Update camera and time-dependent overlays (point of interest fades)
+                this.animationController.seekTo(time);
 
                 // Wait for render
                 await this.waitForRender();
@@ -158,10 +292,11 @@ export class VideoExporter {
                 await new Promise(r => setTimeout(r, 20));
             }
 
-            // Restore viewer size
+            // Restore viewer size and background
             container.style.width = originalWidth;
             container.style.height = originalHeight;
             this.cesiumManager.resize();
+            this.cesiumManager.setTransparentBackground(false);
 
             // Reset animation
             this.animationController.seekTo(0);
@@ -176,7 +311,9 @@ export class VideoExporter {
                 body: JSON.stringify({
                     sessionId: sessionId,
                     fps: fps,
-                    quality: quality
+                    quality: quality,
+                    format: format,
+                    alpha: alpha
                 })
             });
 
@@ -184,11 +321,13 @@ export class VideoExporter {
 
             const blob = await finishResponse.blob();
 
-            // Download video
+            // Download video (the server names the file for the chosen format)
+            const disposition = finishResponse.headers.get('Content-Disposition') || '';
+            const extension = (disposition.match(/\.(\w+)"?$/) || [null, 'mp4'])[1];
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `animation_${Date.now()}.mp4`;
+            a.download = `animation_${Date.now()}.${extension}`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -223,10 +362,51 @@ export class VideoExporter {
                 viewer.container.style.width = '100%';
                 viewer.container.style.height = '100%';
                 this.cesiumManager.resize();
+                this.cesiumManager.setTransparentBackground(false);
             }
         }
     }
 
+    // A transparent background only survives formats with an alpha channel
+    confirmAlphaFormat(alpha) {
+        const option = this.formatSelect.selectedOptions[0];
+        if (!alpha || (option && option.dataset.alpha)) return true;
+
+        return confirm('この形式は透明を保持できません（ProRes 4444・VP9・WebP・PNG/EXR 連番が対応）。背景は黒になります。続行しますか？');
+    }
+
+    // Message with frame timing and remaining time for a running server job
+    describeServerProgress(status) {
+        const parts = [status.message];
+        if (status.frameTime) {
+            parts.push(`${(status.frameTime / 1000).toFixed(2)}秒/フレーム`);
+        }
+        if (status.eta !== null && status.eta !== undefined) {
+            const minutes = Math.floor(status.eta / 60);
+            const seconds = status.eta % 60;
+            parts.push(`残り約 ${minutes}:${String(seconds).padStart(2, '0')}`);
+        }
+        return parts.join(' · ');
+    }
+
+    // Newest log lines at the bottom, limited to the last few hundred
+    appendLog(entry) {
+        const time = new Date(entry.time).toLocaleTimeString();
+        const lines = this.logOutput.textContent.split('\n').filter(Boolean);
+        lines.push(`${time} ${entry.line}`);
+        this.logOutput.textContent = lines.slice(-200).join('\n');
+        this.logOutput.scrollTop = this.logOutput.scrollHeight;
+    }
+
+    // Stop a server render; one that already finished is left as it is
+    async cancelServerJob(sessionId) {
+        const response = await fetch(`${this.serverUrl}/export/server/${sessionId}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 409) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'Cancel failed');
+        }
+    }
+
     async waitForRender() {
         return new Promise(resolve => {
             requestAnimationFrame(() => {
@@ -248,8 +428,28 @@ export class VideoExporter {
         this.pathVisualizer = visualizer;
     }
 
+    setTerrainSampler(sampler) {
+        this.terrainSampler = sampler;
+    }
+
+    setPoiManager(poiManager) {
+        this.poiManager = poiManager;
+    }
+
+    setLayers(layerManager, layerRenderer) {
+        this.layerManager = layerManager;
+        this.layerRenderer = layerRenderer;
+    }
+
+    setModels(modelManager, modelRenderer) {
+        this.modelManager = modelManager;
+        this.modelRenderer = modelRenderer;
+    }
+
     async startServerExport() {
         if (this.isExporting) return;
+        const alpha = this.alphaCheckbox.checked;
+        if (!this.confirmAlphaFormat(alpha)) return;
         this.isExporting = true;
         this.progressContainer.style.display = 'block';
         this.btnStartExport.disabled = true;
@@ -258,65 +458,102 @@ export class VideoExporter {
         try {
             // 1. Initial Request
             const keyframes = this.keyframeManager.getAllKeyframes();
+            const settings = this.keyframeManager.getSettings();
+            const pois = this.poiManager ? this.poiManager.toJSON() : [];
+            const layers = this.layerManager ? this.layerManager.toJSON() : [];
+            const models = this.modelManager ? this.modelManager.toJSON() : [];
             const duration = this.animationController.duration;
             const fps = parseInt(this.fpsSelect.value);
             const resolution = this.resolutionSelect.value;
             const quality = this.qualitySelect.value;
+            const format = this.formatSelect.value;
 
             this.updateProgress(0, 'サーバー処理を開始中...');
 
             const startRes = await fetch(`${this.serverUrl}/export/server/start`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ keyframes, duration, fps, resolution, quality })
+                body: JSON.stringify({ keyframes, settings, pois, layers, models, duration, fps, resolution, quality, format, alpha })
             });
 
             if (!startRes.ok) throw new Error('Server start failed');
             const { sessionId } = await startRes.json();
 
-            // 2. Polling Loop
+            // 2. Progress stream (status and log lines as Server-Sent Events)
+            this.logOutput.textContent = '';
             await new Promise((resolve, reject) => {
-                const interval = setInterval(async () => {
-                    // Check cancellation
-                    if (!this.isExporting) {
-                        clearInterval(interval);
-                        // Optional: Notify server to cancel
-                        reject(new Error('Cancelled'));
-                        return;
-                    }
+                const events = new EventSource(`${this.serverUrl}/export/server/events/${sessionId}`);
+                const finish = (callback) => {
+                    events.close();
+                    this.stopServerExport = null;
+                    callback();
+                };
+
+                // Cancel button: the server stops rendering and deletes the frames
+                this.stopServerExport = () => finish(() => {
+                    this.cancelServerJob(sessionId).then(() => {
+                        this.updateProgress(0, 'エクスポートをキャンセルしました');
+                        resolve();
+                    }, reject);
+                });
 
-                    try {
-                        const statusRes = await fetch(`${this.serverUrl}/export/server/status/${sessionId}`);
-                        if (!statusRes.ok) {
-                            clearInterval(interval);
-                            throw new Error('Status check failed');
-                        }
+                // The server replays recent log lines on (re)connect
+                events.addEventListener('open', () => {
+                    this.logOutput.textContent = '';
+                });
 
-                        const status = await statusRes.json();
+                events.addEventListener('log', (e) => {
+                    this.appendLog(JSON.parse(e.data));
+                });
 
-                        if (status.status === 'failed') {
-                            clearInterval(interval);
-                            throw new Error(status.error || 'Server processing failed');
-                        }
+                events.addEventListener('status', (e) => {
+                    const status = JSON.parse(e.data);
 
-                        this.updateProgress(status.progress, status.message);
+                    if (status.status === 'failed') {
+                        finish(() => reject(new Error(status.error || 'Server processing failed')));
+                        return;
+                    }
 
-                        if (status.status === 'completed') {
-                            clearInterval(interval);
+                    // Cancelled from the job list
+                    if (status.status === 'cancelled') {
+                        finish(() => this.updateProgress(0, 'エクスポートをキャンセルしました'));
+                        resolve();
+                        return;
+                    }
 
+                    if (status.status === 'completed') {
+                        finish(() => {
                             // 3. Download
                             this.updateProgress(100, 'ダウンロード中...');
                             window.location.href = `${this.serverUrl}/export/server/download/${sessionId}`;
                             resolve();
 
                             setTimeout(() => this.hideDialog(), 1000);
-                        }
+                        });
+                        return;
+                    }
 
-                    } catch (err) {
-                        clearInterval(interval);
-                        reject(err);
+                    if (status.status === 'queued') {
+                        this.updateProgress(status.progress, `待機中 (${status.queuePosition}番目)`);
+                    } else if (status.status === 'paused') {
+                        this.updateProgress(status.progress, '一時停止中 (再開すると続きからレンダリングします)');
+                    } else {
+                        this.updateProgress(status.progress, this.describeServerProgress(status));
                     }
-                }, 1000); // Poll every second
+                });
+
+                // The job was deleted on the server (e.g. its files expired)
+                events.addEventListener('removed', () => {
+                    finish(() => reject(new Error('Job was removed from the server')));
+                });
+
+                // EventSource reconnects by itself (e.g. across a server restart);
+                // a closed stream means the job is gone
+                events.addEventListener('error', () => {
+                    if (events.readyState === EventSource.CLOSED) {
+                        finish(() => reject(new Error('Status check failed')));
+                    }
+                });
             });
 
         } catch (error) {
@@ -0,0 +1,329 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// How long finished (completed or failed) jobs and their files are kept
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+// Log lines kept per job for clients that connect later
+const LOG_LINES = 200;
+
+/**
+ * Disk-backed queue of server-side render jobs.
+ *
+ * Each job is stored as <id>.json (its state, rewritten on every change) next
+ * to <id>.request.json (the project and export settings, written once), so
+ * queued and interrupted jobs survive a server restart. States:
+ * queued -> running -> completed | failed | cancelled. Queued and running jobs
+ * can be paused (a running one only while it is pausable, see runJob); paused
+ * and failed jobs go back to the queue when resumed. Cancelling stops a render
+ * at once and deletes its frames.
+ *
+ * Emits 'status' (job) on every change of a job, 'log' ({ id, time, line })
+ * for each log line and 'removed' (job) when a job is forgotten, for streaming
+ * progress to clients.
+ */
+class ExportQueue extends EventEmitter {
+    /**
+     * @param {string} jobsDir - Directory for the job files
+     * @param {object} options
+     * @param {function} options.runJob - async (job, request, signal) => result; resolves
+     *     to null when the job stopped early (paused or removed), otherwise to the
+     *     fields to store on the completed job. signal aborts when the job is cancelled.
+     *     A job starts out pausable; runJob sets pausable to false (with update) once
+     *     it reaches a stage that can't stop early and keep its work, like encoding.
+     * @param {function} options.cleanupJob - async (job) => void; deletes the job's frames and output
+     * @param {number} options.concurrency - Jobs rendering at the same time
+     */
+    constructor(jobsDir, { runJob, cleanupJob, concurrency = 1 }) {
+        super();
+        this.jobsDir = jobsDir;
+        this.runJob = runJob;
+        this.cleanupJob = cleanupJob;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.writes = new Map(); // Job id -> pending state write, so writes land in order
+        this.renders = new Map(); // Job id -> { controller, done } of a running render
+        this.logs = new Map(); // Job id -> recent log entries
+    }
+
+    /**
+     * Read the stored jobs; ones that were running when the server stopped are queued again
+     * @returns {Promise<void>}
+     */
+    async load() {
+        await fs.mkdir(this.jobsDir, { recursive: true });
+        const files = await fs.readdir(this.jobsDir);
+
+        for (const file of files) {
+            if (!file.endsWith('.json') || file.endsWith('.request.json')) continue;
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+                this.jobs.set(job.id, job);
+                if (job.status === 'running') {
+                    await this.update(job.id, { status: 'queued', message: 'Resuming after server restart...' });
+                }
+                if (job.finishedAt) {
+                    this.scheduleRemoval(job);
+                }
+            } catch (error) {
+                console.error(`Unreadable export job ${file}:`, error);
+            }
+        }
+
+        console.log(`Export queue: ${this.jobs.size} stored job(s)`);
+        this.pump();
+    }
+
+    /**
+     * Queue a new job
+     * @param {object} request - Project and export settings for the renderer
+     * @param {object} info - Fields shown in the job list (format, resolution, ...)
+     * @returns {Promise<object>} The job
+     */
+    async add(request, info = {}) {
+        let id = Date.now().toString();
+        while (this.jobs.has(id)) {
+            id = (parseInt(id) + 1).toString();
+        }
+
+        await fs.writeFile(this.requestPath(id), JSON.stringify(request));
+        const job = {
+            ...info,
+            id,
+            status: 'queued',
+            progress: 0,
+            message: 'Waiting in queue...',
+            filePath: null,
+            error: null,
+            createdAt: Date.now(),
+            finishedAt: null
+        };
+        this.jobs.set(id, job);
+        await this.save(job);
+
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // All jobs, oldest first
+    list() {
+        return [...this.jobs.values()].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Position in the queue (1 = next to start), or 0 if not queued
+    queuePosition(id) {
+        const queued = this.list().filter(job => job.status === 'queued');
+        return queued.findIndex(job => job.id === id) + 1;
+    }
+
+    // Recent log entries of a job, oldest first
+    getLog(id) {
+        return this.logs.get(id) || [];
+    }
+
+    log(id, line) {
+        console.log(`[Job ${id}] ${line}`);
+
+        const entry = { id, time: Date.now(), line };
+        const entries = this.logs.get(id) || [];
+        entries.push(entry);
+        if (entries.length > LOG_LINES) entries.shift();
+        this.logs.set(id, entries);
+        this.emit('log', entry);
+    }
+
+    // Whether a job should keep rendering (renderers check this between frames)
+    isRunning(id) {
+        const job = this.jobs.get(id);
+        return !!job && job.status === 'running';
+    }
+
+    async update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        Object.assign(job, changes);
+        await this.save(job);
+        return job;
+    }
+
+    /**
+     * Hold a queued or running job; a running one stops after its current frame
+     * @returns {Promise<boolean>} Whether the job was paused
+     */
+    async pause(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['queued', 'running'].includes(job.status)) return false;
+        if (job.status === 'running' && !job.pausable) return false;
+
+        await this.update(id, { status: 'paused', message: 'Paused' });
+        return true;
+    }
+
+    /**
+     * Put a paused or failed job back in the queue; it continues from its last frame.
+     * A job paused mid-frame is queued once its previous render has stopped.
+     * @returns {Promise<boolean>} Whether the job was queued again
+     */
+    async resume(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['paused', 'failed'].includes(job.status)) return false;
+
+        const render = this.renders.get(id);
+        if (render) {
+            await render.done;
+            // Cancelled, removed or resumed by another request meanwhile
+            if (this.jobs.get(id) !== job || !['paused', 'failed'].includes(job.status)) return false;
+        }
+
+        await this.update(id, {
+            status: 'queued',
+            message: 'Waiting in queue...',
+            error: null,
+            finishedAt: null
+        });
+        this.pump();
+        return true;
+    }
+
+    /**
+     * Stop a job for good: abort its render (closing the browser and encoder),
+     * wait for it to wind down and delete its frames and output
+     * @returns {Promise<boolean>} Whether the job was cancelled
+     */
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['queued', 'running', 'paused'].includes(job.status)) return false;
+
+        await this.update(id, {
+            status: 'cancelled',
+            message: 'Cancelled',
+            finishedAt: Date.now()
+        });
+
+        const render = this.renders.get(id);
+        if (render) {
+            render.controller.abort();
+            await render.done;
+        }
+        await this.cleanupJob(job);
+        await this.update(id, { filePath: null });
+        this.scheduleRemoval(job);
+        return true;
+    }
+
+    /**
+     * Forget a job and delete its files (a running render stops after its current frame)
+     * @returns {Promise<boolean>} Whether the job existed
+     */
+    async remove(id) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        this.jobs.delete(id);
+        this.logs.delete(id);
+        this.emit('removed', job);
+        await this.writes.get(id);
+        this.writes.delete(id);
+        await Promise.all([
+            fs.unlink(this.jobPath(id)).catch(() => { }),
+            fs.unlink(this.requestPath(id)).catch(() => { })
+        ]);
+        await this.cleanupJob(job);
+        this.pump();
+        return true;
+    }
+
+    // Start queued jobs while there is room. Renders still winding down after
+    // a pause count too, since their browser is still open.
+    pump() {
+        const queued = this.list().filter(job => job.status === 'queued' && !this.renders.has(job.id));
+        queued.slice(0, Math.max(0, this.concurrency - this.renders.size)).forEach(job => this.start(job));
+    }
+
+    start(job) {
+        job.status = 'running';
+        job.pausable = true;
+        job.message = 'Starting server renderer...';
+
+        const controller = new AbortController();
+        const render = { controller };
+        render.done = this.run(job, controller.signal).finally(() => {
+            if (this.renders.get(job.id) === render) {
+                this.renders.delete(job.id);
+            }
+            this.pump();
+        });
+        this.renders.set(job.id, render);
+    }
+
+    async run(job, signal) {
+        await this.save(job);
+
+        try {
+            const request = JSON.parse(await fs.readFile(this.requestPath(job.id), 'utf8'));
+            const result = await this.runJob(job, request, signal);
+
+            // Paused while rendering keeps the frames for later (cancelled and removed jobs clean up)
+            if (result && this.isRunning(job.id)) {
+                await this.update(job.id, {
+                    ...result,
+                    status: 'completed',
+                    progress: 100,
+                    message: 'Export complete!',
+                    finishedAt: Date.now()
+                });
+                this.scheduleRemoval(job);
+            }
+        } catch (error) {
+            if (this.isRunning(job.id)) {
+                this.log(job.id, `Failed: ${error.message}`);
+                await this.update(job.id, { status: 'failed', error: error.message, finishedAt: Date.now() });
+                this.scheduleRemoval(job);
+            }
+        }
+    }
+
+    // Drop a finished job once its TTL is over (unless it was resumed meanwhile)
+    scheduleRemoval(job) {
+        const finishedAt = job.finishedAt;
+        const delay = Math.max(0, finishedAt + FINISHED_JOB_TTL - Date.now());
+        // Unref'd so a pending cleanup never keeps the process alive on its own
+        setTimeout(() => {
+            const current = this.jobs.get(job.id);
+            if (current && current.finishedAt === finishedAt) {
+                this.remove(job.id).catch(error => console.error('Job cleanup error:', error));
+            }
+        }, delay).unref();
+    }
+
+    // Announce and write a job's state (temp file + rename so a crash never leaves half a file)
+    save(job) {
+        this.emit('status', job);
+
+        const previous = this.writes.get(job.id) || Promise.resolve();
+        const write = previous.then(async () => {
+            if (!this.jobs.has(job.id)) return;
+            const tempPath = `${this.jobPath(job.id)}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(job));
+            await fs.rename(tempPath, this.jobPath(job.id));
+        }).catch(error => console.error(`Failed to save job ${job.id}:`, error));
+        this.writes.set(job.id, write);
+        return write;
+    }
+
+    jobPath(id) {
+        return path.join(this.jobsDir, `${id}.json`);
+    }
+
+    requestPath(id) {
+        return path.join(this.jobsDir, `${id}.request.json`);
+    }
+}
+
+module.exports = { ExportQueue };
@@ -1,60 +1,319 @@
 const ffmpeg = require('fluent-ffmpeg');
+const archiver = require('archiver');
 const path = require('path');
+const fs = require('fs');
+
+/**
+ * Export formats. Video formats give the encoder and its options per quality
+ * (high, medium, low); sequence formats are delivered as a ZIP of frames.
+ * alpha marks formats that keep a transparent background (alphaOptions replace
+ * options when the frames have one).
+ */
+const FORMATS = {
+    mp4: {
+        label: 'H.264 MP4',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        codec: 'libx264',
+        quality: {
+            high: ['-crf 18', '-preset slow'],
+            medium: ['-crf 23', '-preset medium'],
+            low: ['-crf 28', '-preset fast']
+        },
+        options: ['-pix_fmt yuv420p', '-movflags +faststart']
+    },
+    h265: {
+        label: 'H.265 MP4',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        codec: 'libx265',
+        quality: {
+            high: ['-crf 20', '-preset slow'],
+            medium: ['-crf 26', '-preset medium'],
+            low: ['-crf 30', '-preset fast']
+        },
+        // hvc1 tag so QuickTime/Safari play it
+        options: ['-pix_fmt yuv420p', '-tag:v hvc1', '-movflags +faststart']
+    },
+    prores422: {
+        label: 'ProRes 422 MOV',
+        extension: 'mov',
+        mimeType: 'video/quicktime',
+        codec: 'prores_ks',
+        // Profiles: 3 = 422 HQ, 2 = 422, 1 = 422 LT
+        quality: {
+            high: ['-profile:v 3'],
+            medium: ['-profile:v 2'],
+            low: ['-profile:v 1']
+        },
+        options: ['-pix_fmt yuv422p10le', '-vendor apl0']
+    },
+    prores4444: {
+        label: 'ProRes 4444 MOV',
+        extension: 'mov',
+        mimeType: 'video/quicktime',
+        codec: 'prores_ks',
+        alpha: true,
+        quality: {
+            high: ['-profile:v 4', '-qscale:v 4'],
+            medium: ['-profile:v 4', '-qscale:v 9'],
+            low: ['-profile:v 4', '-qscale:v 14']
+        },
+        options: ['-pix_fmt yuva444p10le', '-vendor apl0']
+    },
+    vp9: {
+        label: 'VP9 WebM',
+        extension: 'webm',
+        mimeType: 'video/webm',
+        codec: 'libvpx-vp9',
+        alpha: true,
+        // Constant quality mode (-b:v 0)
+        quality: {
+            high: ['-crf 24', '-deadline good', '-cpu-used 1'],
+            medium: ['-crf 32', '-deadline good', '-cpu-used 2'],
+            low: ['-crf 40', '-deadline good', '-cpu-used 4']
+        },
+        options: ['-b:v 0', '-row-mt 1', '-pix_fmt yuv420p'],
+        alphaOptions: ['-b:v 0', '-row-mt 1', '-pix_fmt yuva420p', '-auto-alt-ref 0']
+    },
+    av1: {
+        label: 'AV1 WebM',
+        extension: 'webm',
+        mimeType: 'video/webm',
+        codec: 'libaom-av1',
+        quality: {
+            high: ['-crf 24', '-cpu-used 4'],
+            medium: ['-crf 32', '-cpu-used 6'],
+            low: ['-crf 40', '-cpu-used 8']
+        },
+        options: ['-b:v 0', '-row-mt 1', '-pix_fmt yuv420p']
+    },
+    gif: {
+        label: 'アニメーション GIF',
+        extension: 'gif',
+        mimeType: 'image/gif',
+        codec: 'gif',
+        // One palette for the whole clip; fewer colors for smaller files
+        quality: {
+            high: ['-filter_complex', 'split[a][b];[a]palettegen=max_colors=256[p];[b][p]paletteuse'],
+            medium: ['-filter_complex', 'split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse=dither=bayer'],
+            low: ['-filter_complex', 'scale=iw/2:-1,split[a][b];[a]palettegen=max_colors=64[p];[b][p]paletteuse=dither=bayer']
+        },
+        options: ['-loop 0']
+    },
+    webp: {
+        label: 'アニメーション WebP',
+        extension: 'webp',
+        mimeType: 'image/webp',
+        codec: 'libwebp_anim',
+        alpha: true,
+        quality: {
+            high: ['-quality 90', '-compression_level 6'],
+            medium: ['-quality 75', '-compression_level 4'],
+            low: ['-quality 50', '-compression_level 4']
+        },
+        options: ['-loop 0', '-pix_fmt yuva420p']
+    },
+    png: {
+        label: 'PNG 連番 (ZIP)',
+        extension: 'zip',
+        mimeType: 'application/zip',
+        alpha: true,
+        sequence: 'png'
+    },
+    exr: {
+        label: 'OpenEXR 連番 (ZIP, sRGB)',
+        extension: 'zip',
+        mimeType: 'application/zip',
+        alpha: true,
+        sequence: 'exr',
+        codec: 'exr',
+        // Half-float, ZIP-compressed channels. The captured sRGB values are kept
+        // as they are (not linearized), so compositors must read them as sRGB.
+        options: ['-pix_fmt gbrapf32le', '-format 1', '-compression 3']
+    }
+};
+
+/**
+ * Look up an export format, falling back to H.264 MP4
+ * @param {string} format - Format key (see FORMATS)
+ * @returns {object}
+ */
+function getFormat(format) {
+    return FORMATS[format] || FORMATS.mp4;
+}
+
+/**
+ * FFmpeg output arguments for a format: the quality preset (none for image
+ * sequences) and the format's own options (its alphaOptions for alpha frames)
+ * @param {object} settings - Format from getFormat
+ * @param {string} quality - Quality setting (high, medium, low; unknown = medium)
+ * @param {boolean} alpha - Frames have a transparent background to keep
+ * @returns {{qualityOptions: string[], outputOptions: string[]}}
+ */
+function getOutputOptions(settings, quality, alpha) {
+    return {
+        qualityOptions: settings.quality ? settings.quality[quality] || settings.quality.medium : [],
+        outputOptions: (alpha && settings.alphaOptions) || settings.options || []
+    };
+}
 
 /**
  * Encode video from frames using FFmpeg
  * @param {string} frameDir - Directory containing frame images
- * @param {string} outputPath - Output video file path
+ * @param {string} outputPath - Output file path (extension from getFormat)
  * @param {number} fps - Frames per second
  * @param {string} quality - Quality setting (high, medium, low)
+ * @param {string} format - Export format (see FORMATS)
+ * @param {object} options
+ * @param {boolean} options.alpha - Frames have a transparent background to keep
+ * @param {AbortSignal} options.signal - Aborting kills FFmpeg (or the ZIP packing) and rejects
+ * @param {function} options.onProgress - Called with the percent done (0-100)
+ * @param {function} options.onLog - Receives log lines (console.log if not given)
  * @returns {Promise<void>}
  */
-function encodeVideo(frameDir, outputPath, fps = 30, quality = 'high') {
+async function encodeVideo(frameDir, outputPath, fps = 30, quality = 'high', format = 'mp4', options = {}) {
+    const { alpha = false, signal = null, onProgress = () => { }, onLog = console.log } = options;
+    const settings = getFormat(format);
+    if (alpha && !settings.alpha) {
+        onLog(`${settings.label} has no alpha channel; the transparent background is dropped`);
+    }
+    const { qualityOptions, outputOptions } = getOutputOptions(settings, quality, alpha);
+
+    // FFmpeg reports frames done; the frame count turns that into a percentage
+    const frameCount = (await fs.promises.readdir(frameDir)).filter(file => /^frame_\d+\.png$/.test(file)).length;
+    const run = { frameCount, signal, onProgress, onLog };
+
+    if (settings.sequence === 'png') {
+        // Captured frames are already lossless PNGs
+        await zipFrames(frameDir, 'png', outputPath, run);
+        return;
+    }
+    if (settings.sequence) {
+        // Converting takes most of the time, packing the rest
+        const sequenceDir = path.join(frameDir, settings.sequence);
+        await fs.promises.mkdir(sequenceDir, { recursive: true });
+        await runFFmpeg(frameDir, path.join(sequenceDir, `frame_%06d.${settings.sequence}`), fps, settings, qualityOptions, outputOptions,
+            { ...run, onProgress: percent => onProgress(percent * 0.8) });
+        await zipFrames(sequenceDir, settings.sequence, outputPath,
+            { ...run, onProgress: percent => onProgress(80 + percent * 0.2) });
+        return;
+    }
+
+    await runFFmpeg(frameDir, outputPath, fps, settings, qualityOptions, outputOptions, run);
+}
+
+function runFFmpeg(frameDir, outputPath, fps, settings, qualityOptions, outputOptions, run) {
+    const { frameCount, signal, onProgress, onLog } = run;
     return new Promise((resolve, reject) => {
-        // Quality settings
-        const qualitySettings = {
-            high: { crf: 18, preset: 'slow' },
-            medium: { crf: 23, preset: 'medium' },
-            low: { crf: 28, preset: 'fast' }
-        };
+        if (signal && signal.aborted) {
+            reject(new Error('Encoding cancelled'));
+            return;
+        }
 
-        const settings = qualitySettings[quality] || qualitySettings.medium;
+        // The job's signal outlives this run (sequences are zipped next), so stop
+        // listening once FFmpeg exits
+        const kill = () => command.kill('SIGKILL');
+        const stopListening = () => {
+            if (signal) signal.removeEventListener('abort', kill);
+        };
 
         // Input pattern for frames
         const inputPattern = path.join(frameDir, 'frame_%06d.png');
 
-        console.log(`Encoding video: ${inputPattern} -> ${outputPath}`);
-        console.log(`Settings: ${fps} FPS, CRF ${settings.crf}, preset ${settings.preset}`);
+        onLog(`Encoding ${settings.label}: ${inputPattern} -> ${outputPath}`);
+        onLog(`Settings: ${fps} FPS, ${qualityOptions.join(' ') || 'default quality'}`);
 
-        ffmpeg()
+        const command = ffmpeg()
             .input(inputPattern)
             .inputFPS(fps)
-            .videoCodec('libx264')
-            .outputOptions([
-                `-crf ${settings.crf}`,
-                `-preset ${settings.preset}`,
-                '-pix_fmt yuv420p',
-                '-movflags +faststart'
-            ])
+            .videoCodec(settings.codec)
+            .outputOptions([...qualityOptions, ...outputOptions])
             .output(outputPath)
             .on('start', (commandLine) => {
-                console.log('FFmpeg command:', commandLine);
+                onLog(`FFmpeg command: ${commandLine}`);
             })
             .on('progress', (progress) => {
-                if (progress.percent) {
-                    console.log(`Encoding progress: ${Math.round(progress.percent)}%`);
+                const percent = frameCount > 0 && progress.frames
+                    ? progress.frames / frameCount * 100
+                    : progress.percent;
+                if (percent) {
+                    onProgress(Math.min(100, percent));
                 }
             })
             .on('end', () => {
-                console.log('Video encoding completed');
+                stopListening();
+                onLog('Video encoding completed');
+                onProgress(100);
                 resolve();
             })
             .on('error', (error) => {
-                console.error('FFmpeg error:', error);
+                stopListening();
+                if (signal && signal.aborted) {
+                    onLog('Video encoding cancelled');
+                    reject(new Error('Encoding cancelled'));
+                    return;
+                }
+                onLog(`FFmpeg error: ${error.message}`);
                 reject(error);
-            })
-            .run();
+            });
+
+        if (signal) {
+            signal.addEventListener('abort', kill, { once: true });
+        }
+        command.run();
+    });
+}
+
+/**
+ * Pack the frame_*.<extension> files of a directory into a ZIP
+ * @param {string} dir - Directory containing the frames
+ * @param {string} extension - Frame file extension
+ * @param {string} outputPath - Output ZIP path
+ * @param {object} run - { frameCount, signal, onProgress, onLog } (see encodeVideo)
+ * @returns {Promise<void>}
+ */
+function zipFrames(dir, extension, outputPath, run) {
+    const { frameCount, signal, onProgress, onLog } = run;
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Packing cancelled'));
+            return;
+        }
+
+        const output = fs.createWriteStream(outputPath);
+        const archive = archiver('zip', { store: true }); // Frames are compressed already
+
+        const abort = () => {
+            archive.abort();
+            output.destroy();
+            reject(new Error('Packing cancelled'));
+        };
+        const stopListening = () => {
+            if (signal) signal.removeEventListener('abort', abort);
+        };
+
+        output.on('close', () => {
+            stopListening();
+            onLog(`Image sequence packed: ${archive.pointer()} bytes`);
+            onProgress(100);
+            resolve();
+        });
+        archive.on('progress', ({ entries }) => {
+            onProgress(Math.min(100, entries.processed / Math.max(1, frameCount) * 100));
+        });
+        archive.on('error', (error) => {
+            stopListening();
+            reject(error);
+        });
+        if (signal) {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        archive.pipe(output);
+        archive.glob(`frame_*.${extension}`, { cwd: dir });
+        archive.finalize();
     });
 }
 
-module.exports = { encodeVideo };
+module.exports = { encodeVideo, getFormat, getOutputOptions, FORMATS };
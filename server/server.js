@@ -2,8 +2,11 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const { encodeVideo } = require('./ffmpeg-encoder');
+const fsSync = require('fs');
+const { encodeVideo, getFormat } = require('./ffmpeg-encoder');
+const { ExportQueue } = require('./export-queue');
 const puppeteer = require('puppeteer');
+const multer = require('multer');
 
 const app = express();
 const PORT = 3000;
@@ -16,10 +19,21 @@ app.use(express.static(path.join(__dirname, '..')));
 // Temporary directory for frames
 const TEMP_DIR = path.join(__dirname, 'temp');
 
-// Ensure temp directory exists
+// Uploaded glTF models, served back to the editor and the render browser
+const MODELS_DIR = path.join(__dirname, 'models');
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+
+// Local map tiles for offline rendering: imagery/<name>/{z}/{x}/{y}.<ext> and
+// terrain/<name>/ (quantized-mesh with layer.json)
+const TILES_DIR = path.join(__dirname, 'tiles');
+
+// Ensure temp, model and tile directories exist
 async function ensureTempDir() {
     try {
         await fs.mkdir(TEMP_DIR, { recursive: true });
+        await fs.mkdir(MODELS_DIR, { recursive: true });
+        await fs.mkdir(path.join(TILES_DIR, 'imagery'), { recursive: true });
+        await fs.mkdir(path.join(TILES_DIR, 'terrain'), { recursive: true });
     } catch (error) {
         console.error('Failed to create temp directory:', error);
     }
@@ -93,25 +107,26 @@ app.post('/export/frame', express.raw({ type: 'application/octet-stream', limit:
 // Export Finish Endpoint
 app.post('/export/finish', async (req, res) => {
     try {
-        const { sessionId, fps, quality } = req.body;
+        const { sessionId, fps, quality, format, alpha } = req.body;
         if (!sessionId || !fps) {
             return res.status(400).json({ error: 'Missing parameters' });
         }
 
+        const { extension, mimeType } = getFormat(format);
         const frameDir = path.join(TEMP_DIR, sessionId);
-        const outputPath = path.join(TEMP_DIR, `${sessionId}_output.mp4`);
+        const outputPath = path.join(TEMP_DIR, `${sessionId}_output.${extension}`);
 
-        console.log(`Finishing export for session ${sessionId}, FPS: ${fps}`);
+        console.log(`Finishing export for session ${sessionId}, FPS: ${fps}, format: ${format || 'mp4'}`);
 
         // Encode video
-        await encodeVideo(frameDir, outputPath, fps, quality);
+        await encodeVideo(frameDir, outputPath, fps, quality, format, { alpha: !!alpha });
 
         // Read video file
         const videoBuffer = await fs.readFile(outputPath);
 
         // Send video
-        res.setHeader('Content-Type', 'video/mp4');
-        res.setHeader('Content-Disposition', `attachment; filename="animation.mp4"`);
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="animation.${extension}"`);
         res.send(videoBuffer);
 
         // Cleanup after delay
@@ -138,174 +153,404 @@ app.post('/export/finish', async (req, res) => {
     }
 });
 
-// Job Store
-const exportJobs = new Map();
+// Job Queue: server renders are stored on disk and run a few at a time
+const JOBS_DIR = path.join(__dirname, 'jobs');
+const EXPORT_CONCURRENCY = parseInt(process.env.EXPORT_CONCURRENCY) || 1;
+
+const exportQueue = new ExportQueue(JOBS_DIR, {
+    runJob: renderJob,
+    cleanupJob: async (job) => {
+        // Frames first, then the (possibly half-written) output named after the job
+        await fs.rm(path.join(TEMP_DIR, job.id), { recursive: true, force: true });
+        await cleanupTempFiles(job.id);
+    },
+    concurrency: EXPORT_CONCURRENCY
+});
 
-// Export Server Start Endpoint
-app.post('/export/server/start', async (req, res) => {
-    try {
-        const { keyframes, duration, fps, resolution, quality } = req.body;
-        const sessionId = Date.now().toString();
-
-        // Initialize Job
-        exportJobs.set(sessionId, {
-            status: 'initiating',
-            progress: 0,
-            message: 'Initializing server renderer...',
-            filePath: null,
-            error: null,
-            startTime: Date.now()
-        });
+// Number of frames already captured in a row from frame 0 (where a render resumes)
+async function countCapturedFrames(frameDir, totalFrames) {
+    const files = new Set(await fs.readdir(frameDir).catch(() => []));
+    let count = 0;
+    while (count < totalFrames && files.has(`frame_${String(count).padStart(6, '0')}.png`)) {
+        count++;
+    }
+    return count;
+}
 
-        res.json({ sessionId });
+// Render a queued job in headless Chromium and encode it. Resolves to null if the
+// job was paused or removed before finishing; cancelling aborts signal, which
+// closes the browser and kills FFmpeg.
+async function renderJob(job, request, signal) {
+    const sessionId = job.id;
+    const { keyframes, settings, pois, layers, models, duration, fps, resolution, quality, format, alpha } = request;
+    const log = (line) => exportQueue.log(sessionId, line);
+    log('Starting job');
+
+    // 1. Setup
+    const frameDir = path.join(TEMP_DIR, sessionId);
+    await fs.mkdir(frameDir, { recursive: true });
+
+    const totalFrames = Math.ceil(duration * fps);
+    const firstFrame = await countCapturedFrames(frameDir, totalFrames);
+    if (firstFrame > 0) {
+        log(`Resuming at frame ${firstFrame + 1}/${totalFrames}`);
+    }
 
-        // Start Process Async
-        (async () => {
-            const job = exportJobs.get(sessionId);
-            try {
-                console.log(`Starting Job: ${sessionId}`);
-
-                // 1. Setup
-                const frameDir = path.join(TEMP_DIR, sessionId);
-                await fs.mkdir(frameDir, { recursive: true });
-
-                const browser = await puppeteer.launch({
-                    headless: 'new',
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--enable-webgl',
-                        '--enable-unsafe-swiftshader',
-                        '--ignore-gpu-blacklist',
-                        '--use-gl=swiftshader'
-                    ]
-                });
-                const page = await browser.newPage();
-
-                // Log Relay
-                page.on('console', msg => console.log(`[Browser ${sessionId}]`, msg.text()));
-                page.on('pageerror', err => console.error(`[Browser ${sessionId} ERROR]`, err.toString()));
-
-                const width = resolution ? parseInt(resolution.split('x')[0]) : 1920;
-                const height = resolution ? parseInt(resolution.split('x')[1]) : 1080;
-                await page.setViewport({ width, height });
-
-                // 2. Load
-                job.status = 'loading';
-                job.message = 'Loading Earth Studio...';
-                await page.goto(`http://localhost:${PORT}?mode=render`, { waitUntil: 'domcontentloaded', timeout: 60000 });
-
-                await page.waitForFunction(() => window.app && window.app.cesiumManager && window.app.cesiumManager.viewer, { timeout: 30000 });
-                await new Promise(r => setTimeout(r, 2000));
-
-                exportJobs.set(sessionId, { ...job, status: 'rendering', message: 'Starting capture...' });
-
-                // 3. Inject and Setup
-                await page.evaluate((data) => {
-                    if (!window.app) throw new Error('App not ready');
-                    window.app.keyframeManager.importFromJSON({ keyframes: data.keyframes });
-                    window.app.timelineEditor.setDuration(data.duration);
-                    window.app.animationController.setFPS(data.fps);
-
-                    // Hide all UI elements
-                    const uiElements = document.querySelectorAll('#property-panel, #timeline-panel, #top-bar, .dialog, #btn-toggle-mask');
-                    uiElements.forEach(el => { if (el) el.style.display = 'none'; });
-
-                    // Expand Cesium viewer to full window
-                    const cesiumContainer = document.getElementById('cesium-container');
-                    if (cesiumContainer) {
-                        cesiumContainer.style.position = 'fixed';
-                        cesiumContainer.style.top = '0';
-                        cesiumContainer.style.left = '0';
-                        cesiumContainer.style.width = '100vw';
-                        cesiumContainer.style.height = '100vh';
-                    }
-
-                    window.app.cesiumManager.resize();
-                }, { keyframes, duration, fps });
-
-                // 4. Capture Loop
-                const totalFrames = Math.ceil(duration * fps);
-                for (let i = 0; i < totalFrames; i++) {
-                    // Check cancellation (optional, implies removing job)
-                    if (!exportJobs.has(sessionId)) {
-                        await browser.close();
-                        return;
-                    }
-
-                    const time = i / fps;
-                    await page.evaluate(async (t) => {
-                        window.app.animationController.seekTo(t);
-                        await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
-                        window.app.cesiumManager.viewer.scene.render();
-                    }, time);
-
-                    const framePath = path.join(frameDir, `frame_${String(i).padStart(6, '0')}.png`);
-                    await page.screenshot({ path: framePath, type: 'png' });
-
-                    // Update Progress
-                    const progress = Math.round((i / totalFrames) * 80); // 80% for capture
-                    exportJobs.set(sessionId, {
-                        ...job,
-                        progress: progress,
-                        message: `Capturing frame ${i + 1}/${totalFrames}`
-                    });
+    if (firstFrame < totalFrames) {
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--enable-webgl',
+                '--enable-unsafe-swiftshader',
+                '--ignore-gpu-blacklist',
+                '--use-gl=swiftshader'
+            ]
+        });
+        const closeBrowser = () => browser.close().catch(() => { });
+        signal.addEventListener('abort', closeBrowser, { once: true });
+
+        try {
+            const page = await browser.newPage();
+
+            // Log Relay
+            page.on('console', msg => log(`[Browser] ${msg.text()}`));
+            page.on('pageerror', err => log(`[Browser ERROR] ${err.toString()}`));
+
+            const width = resolution ? parseInt(resolution.split('x')[0]) : 1920;
+            const height = resolution ? parseInt(resolution.split('x')[1]) : 1080;
+            await page.setViewport({ width, height });
+
+            // 2. Load
+            await exportQueue.update(sessionId, { message: 'Loading Earth Studio...', eta: null });
+            await page.goto(`http://localhost:${PORT}?mode=render`, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+            await page.waitForFunction(() => window.app && window.app.cesiumManager && window.app.cesiumManager.viewer, { timeout: 30000 });
+            await new Promise(r => setTimeout(r, 2000));
+
+            await exportQueue.update(sessionId, { message: 'Starting capture...' });
+
+            // 3. Inject and Setup
+            await page.evaluate(async (data) => {
+                if (!window.app) throw new Error('App not ready');
+                window.app.keyframeManager.importFromJSON({ keyframes: data.keyframes, settings: data.settings });
+                window.app.poiManager.importFromJSON(data.pois);
+                window.app.layerManager.importFromJSON(data.layers);
+                await window.app.layerRenderer.whenReady();
+                window.app.modelManager.importFromJSON(data.models);
+                await window.app.modelRenderer.whenReady();
+                await window.app.cesiumManager.whenMapSourcesReady();
+                await window.app.terrainSampler.whenReady();
+                window.app.timelineEditor.setDuration(data.duration);
+                window.app.animationController.setFPS(data.fps);
+
+                // Hide all UI elements
+                const uiElements = document.querySelectorAll('#property-panel, #timeline-panel, #top-bar, .dialog, #btn-toggle-mask');
+                uiElements.forEach(el => { if (el) el.style.display = 'none'; });
+
+                // Expand Cesium viewer to full window
+                const cesiumContainer = document.getElementById('cesium-container');
+                if (cesiumContainer) {
+                    cesiumContainer.style.position = 'fixed';
+                    cesiumContainer.style.top = '0';
+                    cesiumContainer.style.left = '0';
+                    cesiumContainer.style.width = '100vw';
+                    cesiumContainer.style.height = '100vh';
                 }
 
-                await browser.close();
+                // Alpha render mode: nothing behind the globe may paint the page
+                if (data.alpha) {
+                    window.app.cesiumManager.setTransparentBackground(true);
+                    document.documentElement.style.background = 'transparent';
+                    document.body.style.background = 'transparent';
+                }
 
-                // 5. Encode
-                exportJobs.set(sessionId, { ...job, status: 'encoding', progress: 85, message: 'Encoding video...' });
-                const outputPath = path.join(TEMP_DIR, `${sessionId}_output.mp4`);
-                await encodeVideo(frameDir, outputPath, fps, quality || 'high');
+                window.app.cesiumManager.resize();
+            }, { keyframes, settings, pois: pois || [], layers: layers || [], models: models || [], duration, fps, alpha: !!alpha });
+
+            // 4. Capture Loop (from the first missing frame); the ETA comes from
+            // this run's average frame time
+            const captureStart = Date.now();
+            for (let i = firstFrame; i < totalFrames; i++) {
+                const frameStart = Date.now();
+                // Paused or removed: stop here, the captured frames stay for resuming
+                if (!exportQueue.isRunning(sessionId)) {
+                    return null;
+                }
 
-                // 6. Complete
-                exportJobs.set(sessionId, {
-                    ...job,
-                    status: 'completed',
-                    progress: 100,
-                    message: 'Export complete!',
-                    filePath: outputPath
+                const time = i / fps;
+                await page.evaluate(async (t) => {
+                    window.app.animationController.seekTo(t);
+                    await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+                    window.app.cesiumManager.viewer.scene.render();
+                }, time);
+
+                // Written under a temporary name so an interrupted write never counts as captured
+                const framePath = path.join(frameDir, `frame_${String(i).padStart(6, '0')}.png`);
+                const image = await page.screenshot({ type: 'png', omitBackground: !!alpha });
+                await fs.writeFile(`${framePath}.tmp`, image);
+                await fs.rename(`${framePath}.tmp`, framePath);
+
+                // Update Progress
+                const now = Date.now();
+                const averageFrameTime = (now - captureStart) / (i + 1 - firstFrame);
+                await exportQueue.update(sessionId, {
+                    progress: Math.round(((i + 1) / totalFrames) * 80), // 80% for capture
+                    message: `Capturing frame ${i + 1}/${totalFrames}`,
+                    frameTime: now - frameStart,
+                    eta: Math.round((totalFrames - i - 1) * averageFrameTime / 1000)
                 });
+            }
+        } finally {
+            signal.removeEventListener('abort', closeBrowser);
+            await closeBrowser();
+        }
+    }
 
-                // Schedule cleanup
-                setTimeout(async () => {
-                    try {
-                        exportJobs.delete(sessionId); // Remove from memory
-                        await fs.unlink(outputPath);
-                        await fs.rmdir(frameDir, { recursive: true });
-                    } catch (e) { }
-                }, 300000); // Keep for 5 mins
+    if (!exportQueue.isRunning(sessionId)) {
+        return null;
+    }
 
-            } catch (error) {
-                console.error(`Job ${sessionId} Failed:`, error);
-                exportJobs.set(sessionId, { ...job, status: 'failed', error: error.message });
-            }
-        })();
+    // 5. Encode (85-99%; the ETA follows from the encoding speed so far). The frames
+    // are deleted afterwards, so the job can no longer be paused from here on.
+    await exportQueue.update(sessionId, { pausable: false, progress: 85, message: 'Encoding video...', frameTime: null, eta: null });
+    const outputPath = path.join(TEMP_DIR, `${sessionId}_output.${getFormat(format).extension}`);
+    const encodeStart = Date.now();
+    let lastProgress = 85;
+    await encodeVideo(frameDir, outputPath, fps, quality || 'high', format, {
+        alpha: !!alpha,
+        signal: signal,
+        onLog: log,
+        onProgress: (percent) => {
+            const progress = Math.min(99, Math.round(85 + percent * 0.14));
+            if (progress === lastProgress || percent <= 0) return;
+            lastProgress = progress;
+
+            const elapsed = (Date.now() - encodeStart) / 1000;
+            exportQueue.update(sessionId, {
+                progress: progress,
+                message: `Encoding video... ${Math.round(percent)}%`,
+                eta: Math.round(elapsed * (100 - percent) / percent)
+            });
+        }
+    });
+
+    // 6. Complete (the output is all that's needed from here on)
+    await fs.rm(frameDir, { recursive: true, force: true });
+    return { filePath: outputPath };
+}
+
+// Export Server Start Endpoint (queues the render)
+app.post('/export/server/start', async (req, res) => {
+    try {
+        const { duration, fps, resolution, format } = req.body;
+        if (!duration || !fps) {
+            return res.status(400).json({ error: 'Missing parameters' });
+        }
 
+        const job = await exportQueue.add(req.body, {
+            format: format || 'mp4',
+            resolution: resolution || '1920x1080',
+            fps: fps,
+            totalFrames: Math.ceil(duration * fps)
+        });
+        res.json({ sessionId: job.id });
     } catch (error) {
         console.error('Server Start Error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Export Cancel Endpoint: stops the render or encode and deletes the frames
+app.delete('/export/server/:sessionId', async (req, res) => {
+    if (!exportQueue.get(req.params.sessionId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!await exportQueue.cancel(req.params.sessionId)) {
+        return res.status(409).json({ error: 'Job already finished' });
+    }
+    res.json(exportQueue.get(req.params.sessionId));
+});
+
+// Export Job List Endpoint
+app.get('/export/server/jobs', (req, res) => {
+    res.json(exportQueue.list());
+});
+
+// Export Events Endpoint: streams the job's state ('status') and log lines ('log')
+// as Server-Sent Events until it finishes or is removed ('removed')
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+app.get('/export/server/events/:sessionId', (req, res) => {
+    const sessionId = req.params.sessionId;
+    if (!exportQueue.get(sessionId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Queued jobs move up whenever another job changes, so any change re-sends ours
+    const onStatus = (changed) => {
+        const job = exportQueue.get(sessionId);
+        if (!job || (changed.id !== sessionId && job.status !== 'queued')) return;
+
+        send('status', { ...job, queuePosition: exportQueue.queuePosition(sessionId) });
+        if (FINISHED_STATUSES.includes(job.status)) {
+            close();
+            res.end();
+        }
+    };
+    const onLog = (entry) => {
+        if (entry.id === sessionId) send('log', entry);
+    };
+    const onRemoved = (job) => {
+        if (job.id !== sessionId) return;
+        send('removed', { id: sessionId });
+        close();
+        res.end();
+    };
+
+    // Comment lines keep proxies from dropping an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        exportQueue.off('status', onStatus);
+        exportQueue.off('log', onLog);
+        exportQueue.off('removed', onRemoved);
+    };
+    req.on('close', close);
+
+    // Catch up a client that connects (or reconnects) mid-render
+    exportQueue.getLog(sessionId).forEach(entry => send('log', entry));
+    exportQueue.on('status', onStatus);
+    exportQueue.on('log', onLog);
+    exportQueue.on('removed', onRemoved);
+    onStatus(exportQueue.get(sessionId));
+});
+
 // Export Status Endpoint
 app.get('/export/server/status/:sessionId', (req, res) => {
-    const job = exportJobs.get(req.params.sessionId);
+    const job = exportQueue.get(req.params.sessionId);
     if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+    res.json({ ...job, queuePosition: exportQueue.queuePosition(job.id) });
+});
+
+// Export Pause / Resume Endpoints
+app.post('/export/server/pause/:sessionId', async (req, res) => {
+    if (!await exportQueue.pause(req.params.sessionId)) {
+        return res.status(409).json({ error: 'Job cannot be paused' });
+    }
+    res.json(exportQueue.get(req.params.sessionId));
+});
+
+app.post('/export/server/resume/:sessionId', async (req, res) => {
+    if (!await exportQueue.resume(req.params.sessionId)) {
+        return res.status(409).json({ error: 'Job cannot be resumed' });
+    }
+    res.json(exportQueue.get(req.params.sessionId));
 });
 
 // Export Download Endpoint
 app.get('/export/server/download/:sessionId', async (req, res) => {
-    const job = exportJobs.get(req.params.sessionId);
+    const job = exportQueue.get(req.params.sessionId);
     if (!job || job.status !== 'completed' || !job.filePath) {
         return res.status(404).send('File not ready or job not found');
     }
-    res.download(job.filePath, `server_export_${req.params.sessionId}.mp4`);
+    res.download(job.filePath, `server_export_${req.params.sessionId}${path.extname(job.filePath)}`);
+});
+
+// Model Upload Endpoint (.glb, or .gltf with embedded buffers)
+const modelUpload = multer({
+    storage: multer.diskStorage({
+        destination: MODELS_DIR,
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            cb(null, `${Date.now()}_${Math.round(Math.random() * 1e6)}${extension}`);
+        }
+    }),
+    fileFilter: (req, file, cb) => {
+        cb(null, MODEL_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+    },
+    limits: { fileSize: 200 * 1024 * 1024 }
+});
+
+app.use('/models', express.static(MODELS_DIR));
+
+app.post('/models/upload', modelUpload.single('model'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'A .glb or .gltf file is required' });
+    }
+    res.json({
+        url: `/models/${req.file.filename}`,
+        name: path.parse(req.file.originalname).name
+    });
+});
+
+// Tile folders available as local map sources
+app.get('/tiles', async (req, res) => {
+    try {
+        const [imagery, terrain] = await Promise.all([
+            listTileFolders('imagery'),
+            listTileFolders('terrain')
+        ]);
+        res.json({ imagery, terrain });
+    } catch (error) {
+        console.error('Tile listing error:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
+app.use('/tiles', express.static(TILES_DIR, { setHeaders: setTileHeaders }));
+
+async function listTileFolders(kind) {
+    const dir = path.join(TILES_DIR, kind);
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const folders = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        folders.push(kind === 'imagery'
+            ? { name: entry.name, format: await findTileFormat(path.join(dir, entry.name)) }
+            : { name: entry.name });
+    }
+    return folders;
+}
+
+// Extension of the first tile in a {z}/{x}/{y} folder ('png' if none is found)
+async function findTileFormat(dir) {
+    let current = dir;
+    for (let depth = 0; depth < 3; depth++) {
+        const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+        const entry = depth < 2 ? entries.find(e => e.isDirectory()) : entries.find(e => e.isFile());
+        if (!entry) return 'png';
+        current = path.join(current, entry.name);
+    }
+    return path.extname(current).slice(1) || 'png';
+}
+
+// Quantized-mesh tiles are usually stored gzipped; let the browser inflate them
+function setTileHeaders(res, filePath) {
+    if (path.extname(filePath) !== '.terrain') return;
+
+    res.setHeader('Content-Type', 'application/vnd.quantized-mesh');
+    const header = Buffer.alloc(2);
+    const fd = fsSync.openSync(filePath, 'r');
+    try {
+        fsSync.readSync(fd, header, 0, 2, 0);
+    } finally {
+        fsSync.closeSync(fd);
+    }
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+        res.setHeader('Content-Encoding', 'gzip');
+    }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', message: 'Server is running' });
@@ -318,7 +563,15 @@ async function startServer() {
     app.listen(PORT, "0.0.0.0", () => {
         console.log(`Server running on http://localhost:${PORT}`);
         console.log(`Temp directory: ${TEMP_DIR}`);
+
+        // Renders load the app from this server, so stored jobs resume once it listens
+        exportQueue.load().catch(error => console.error('Failed to load export jobs:', error));
     });
 }
 
-startServer();
+// Tests load the app without listening
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, exportQueue };
@@ -0,0 +1,213 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { ExportQueue } = require('../server/export-queue');
+
+const FRAMES = 5;
+
+let jobsDir;
+let renders; // Render runs started, in order: { id, frames, cleaned }
+let active;
+let maxActive;
+
+beforeEach(async () => {
+    jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'export-queue-'));
+    renders = [];
+    active = 0;
+    maxActive = 0;
+});
+
+afterEach(async () => {
+    await fs.rm(jobsDir, { recursive: true, force: true });
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Resolves once a job reaches a status
+const waitFor = async (queue, id, status) => {
+    for (let i = 0; i < 400; i++) {
+        const job = queue.get(id);
+        if (job && job.status === status) return job;
+        await tick();
+    }
+    throw new Error(`Job ${id} never became ${status} (is ${queue.get(id) && queue.get(id).status})`);
+};
+
+// Resolves once every render has wound down
+const settle = (queue) => Promise.all([...queue.renders.values()].map(render => render.done));
+
+// A queue whose renders capture FRAMES frames a tick apart, like the server's
+// capture loop, then "encode" (not pausable) for a few ticks
+const createQueue = (options = {}) => {
+    const queue = new ExportQueue(jobsDir, {
+        concurrency: 1,
+        cleanupJob: async (job) => {
+            renders.filter(render => render.id === job.id).forEach(render => { render.cleaned = true; });
+        },
+        runJob: async (job, request, signal) => {
+            const render = { id: job.id, frames: 0, cleaned: false };
+            renders.push(render);
+            active++;
+            maxActive = Math.max(maxActive, active);
+            try {
+                if (request.fail) throw new Error('Renderer crashed');
+                for (let i = 0; i < FRAMES; i++) {
+                    if (!queue.isRunning(job.id) || signal.aborted) return null;
+                    await tick();
+                    render.frames++;
+                    queue.log(job.id, `Frame ${i + 1}`);
+                }
+                await queue.update(job.id, { pausable: false });
+                for (let i = 0; i < 3; i++) {
+                    if (signal.aborted) throw new Error('Encoding cancelled');
+                    await tick();
+                }
+                return { filePath: `${job.id}.mp4` };
+            } finally {
+                active--;
+            }
+        },
+        ...options
+    });
+    return queue;
+};
+
+test('jobs run to completion and are stored on disk', async () => {
+    const queue = createQueue();
+    await queue.load();
+    const job = await queue.add({ duration: 1 }, { format: 'mp4' });
+
+    const done = await waitFor(queue, job.id, 'completed');
+    assert.equal(done.filePath, `${job.id}.mp4`);
+    assert.equal(done.progress, 100);
+    assert.equal(done.format, 'mp4');
+
+    await tick();
+    const stored = JSON.parse(await fs.readFile(path.join(jobsDir, `${job.id}.json`), 'utf8'));
+    assert.equal(stored.status, 'completed');
+});
+
+test('jobs wait for a free slot', async () => {
+    const queue = createQueue();
+    const first = await queue.add({});
+    const second = await queue.add({});
+
+    assert.equal(queue.get(first.id).status, 'running');
+    assert.equal(queue.queuePosition(second.id), 1);
+
+    await waitFor(queue, second.id, 'completed');
+    assert.equal(maxActive, 1);
+});
+
+test('resuming right after a pause waits for the paused render to stop', async () => {
+    const queue = createQueue();
+    const job = await queue.add({});
+    await tick();
+
+    assert.equal(await queue.pause(job.id), true);
+    const resumed = queue.resume(job.id);
+    const other = await queue.add({});
+    assert.equal(await resumed, true);
+
+    await waitFor(queue, job.id, 'completed');
+    await waitFor(queue, other.id, 'completed');
+    await settle(queue);
+    assert.equal(maxActive, 1);
+    assert.equal(queue.renders.size, 0);
+    assert.equal(renders.filter(render => render.id === job.id).length, 2);
+});
+
+test('a paused job stays paused until resumed', async () => {
+    const queue = createQueue();
+    const job = await queue.add({});
+    await tick();
+    await queue.pause(job.id);
+    await settle(queue);
+
+    assert.equal(queue.get(job.id).status, 'paused');
+    assert.equal(queue.renders.size, 0);
+    assert.equal(await queue.pause(job.id), false);
+});
+
+test('a job cannot be paused once it stops being pausable', async () => {
+    const queue = createQueue();
+    const job = await queue.add({});
+    await waitFor(queue, job.id, 'running');
+    while (queue.get(job.id).pausable) await tick();
+
+    assert.equal(await queue.pause(job.id), false);
+    await waitFor(queue, job.id, 'completed');
+});
+
+test('cancelling aborts the render and cleans up', async () => {
+    const queue = createQueue();
+    const job = await queue.add({});
+    const waiting = await queue.add({});
+    await tick();
+
+    assert.equal(await queue.cancel(job.id), true);
+    assert.equal(queue.get(job.id).status, 'cancelled');
+    assert.equal(queue.get(job.id).filePath, null);
+    assert.equal(renders[0].cleaned, true);
+    assert.equal(await queue.cancel(job.id), false);
+
+    // The next job takes the freed slot
+    await waitFor(queue, waiting.id, 'completed');
+});
+
+test('failed jobs can be retried', async () => {
+    const queue = createQueue();
+    const job = await queue.add({ fail: true });
+
+    const failed = await waitFor(queue, job.id, 'failed');
+    assert.equal(failed.error, 'Renderer crashed');
+    assert.ok(queue.getLog(job.id).some(entry => entry.line.includes('Renderer crashed')));
+
+    await fs.writeFile(queue.requestPath(job.id), JSON.stringify({}));
+    assert.equal(await queue.resume(job.id), true);
+    await waitFor(queue, job.id, 'completed');
+});
+
+test('jobs running when the server stopped are queued again on load', async () => {
+    const id = '1700000000000';
+    await fs.writeFile(path.join(jobsDir, `${id}.request.json`), JSON.stringify({}));
+    await fs.writeFile(path.join(jobsDir, `${id}.json`), JSON.stringify({
+        id, status: 'running', progress: 40, createdAt: 1, finishedAt: null
+    }));
+
+    const queue = createQueue();
+    await queue.load();
+    await waitFor(queue, id, 'completed');
+});
+
+test('status and log events follow the job', async () => {
+    const queue = createQueue();
+    const statuses = [];
+    const lines = [];
+    queue.on('status', job => statuses.push(job.status));
+    queue.on('log', entry => lines.push(entry.line));
+
+    const job = await queue.add({});
+    await waitFor(queue, job.id, 'completed');
+
+    assert.equal(statuses[0], 'queued');
+    assert.ok(statuses.includes('running'));
+    assert.equal(statuses[statuses.length - 1], 'completed');
+    assert.equal(lines.length, FRAMES);
+});
+
+test('removing a job announces it and deletes its files', async () => {
+    const queue = createQueue();
+    const job = await queue.add({});
+    await waitFor(queue, job.id, 'completed');
+
+    const removed = [];
+    queue.on('removed', removedJob => removed.push(removedJob.id));
+    assert.equal(await queue.remove(job.id), true);
+
+    assert.deepEqual(removed, [job.id]);
+    assert.equal(queue.get(job.id), null);
+    await assert.rejects(fs.access(path.join(jobsDir, `${job.id}.json`)));
+});
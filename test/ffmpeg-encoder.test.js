@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { encodeVideo, getFormat, getOutputOptions, FORMATS } = require('../server/ffmpeg-encoder');
+
+test('unknown formats fall back to H.264 MP4', () => {
+    assert.equal(getFormat('mpeg1'), FORMATS.mp4);
+    assert.equal(getFormat('h265'), FORMATS.h265);
+});
+
+test('every video format has a preset per quality', () => {
+    Object.entries(FORMATS).filter(([, format]) => !format.sequence).forEach(([key, format]) => {
+        assert.ok(format.codec, `${key} has no codec`);
+        ['high', 'medium', 'low'].forEach(quality => {
+            assert.ok(Array.isArray(format.quality[quality]), `${key} has no ${quality} preset`);
+        });
+    });
+});
+
+test('image sequences are delivered as ZIPs', () => {
+    Object.values(FORMATS).filter(format => format.sequence).forEach(format => {
+        assert.equal(format.extension, 'zip');
+        assert.equal(format.mimeType, 'application/zip');
+    });
+});
+
+test('output arguments combine the quality preset and the format options', () => {
+    assert.deepEqual(getOutputOptions(FORMATS.mp4, 'low', false), {
+        qualityOptions: ['-crf 28', '-preset fast'],
+        outputOptions: ['-pix_fmt yuv420p', '-movflags +faststart']
+    });
+    assert.deepEqual(getOutputOptions(FORMATS.h265, 'extreme', false).qualityOptions, FORMATS.h265.quality.medium);
+});
+
+test('EXR frames are written as half-float without a quality preset', () => {
+    const { qualityOptions, outputOptions } = getOutputOptions(FORMATS.exr, 'high', true);
+    assert.deepEqual(qualityOptions, []);
+    assert.ok(outputOptions.includes('-format 1'));
+    assert.match(FORMATS.exr.label, /sRGB/);
+});
+
+test('encoding stops listening to the job signal once done', async () => {
+    const frameDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ffmpeg-encoder-'));
+    try {
+        await fs.writeFile(path.join(frameDir, 'frame_000000.png'), 'png');
+        const controller = new AbortController();
+        await encodeVideo(frameDir, path.join(frameDir, 'frames.zip'), 30, 'high', 'png', {
+            signal: controller.signal,
+            onLog: () => { }
+        });
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    } finally {
+        await fs.rm(frameDir, { recursive: true, force: true });
+    }
+});
+
+test('alpha formats keep an alpha channel in their pixel format', () => {
+    const pixelFormat = (options) => options.find(option => option.startsWith('-pix_fmt'));
+    Object.entries(FORMATS).filter(([, format]) => format.alpha && !format.sequence).forEach(([key, format]) => {
+        const { outputOptions } = getOutputOptions(format, 'high', true);
+        assert.match(pixelFormat(outputOptions), /yuva|gbrap/, `${key} drops alpha`);
+    });
+    assert.match(pixelFormat(getOutputOptions(FORMATS.exr, 'high', true).outputOptions), /gbrap/);
+});
+
+test('alpha options only replace the usual ones for frames with alpha', () => {
+    assert.deepEqual(getOutputOptions(FORMATS.vp9, 'high', false).outputOptions, FORMATS.vp9.options);
+    assert.deepEqual(getOutputOptions(FORMATS.vp9, 'high', true).outputOptions, FORMATS.vp9.alphaOptions);
+    assert.deepEqual(getOutputOptions(FORMATS.mp4, 'high', true).outputOptions, FORMATS.mp4.options);
+});
+
+test('encoding alpha frames to a format without alpha says so', async () => {
+    const frameDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ffmpeg-encoder-'));
+    try {
+        const lines = [];
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(encodeVideo(frameDir, path.join(frameDir, 'out.mp4'), 30, 'high', 'mp4', {
+            alpha: true,
+            signal: controller.signal,
+            onLog: line => lines.push(line)
+        }), /cancelled/);
+        assert.match(lines[0], /no alpha channel/);
+    } finally {
+        await fs.rm(frameDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Geodesy from '../js/geodesy.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+test('one degree of longitude on the equator', () => {
+    close(Geodesy.distance(0, 0, 0, 1), Geodesy.EARTH_RADIUS * Math.PI / 180, 1e-3);
+});
+
+test('great circles cross the antimeridian the short way', () => {
+    const midpoint = Geodesy.greatCircle(0, 179, 0, -179, 0.5);
+    close(midpoint.latitude, 0);
+    close(Math.abs(midpoint.longitude), 180);
+});
+
+test('great circles between the same point stay put', () => {
+    assert.deepEqual(Geodesy.greatCircle(35, 139, 35, 139, 0.5), { latitude: 35, longitude: 139 });
+});
+
+test('destination walks the given distance and bearing', () => {
+    const point = Geodesy.destination(35, 139, 90, 10000);
+    close(Geodesy.distance(35, 139, point.latitude, point.longitude), 10000, 1e-3);
+    assert.ok(point.longitude > 139);
+});
+
+test('ENU offsets point east, north and up', () => {
+    const east = Geodesy.enuOffset(0, 0, 0, 0, 0.001, 0);
+    assert.ok(east.east > 100 && Math.abs(east.north) < 1e-6);
+
+    const up = Geodesy.enuOffset(35, 139, 0, 35, 139, 500);
+    close(up.up, 500, 1e-6);
+    close(Math.hypot(up.east, up.north), 0, 1e-6);
+});
+
+test('fly-to arcs end at the keyed heights', () => {
+    close(Geodesy.flyToHeight(100, 1000, 1e6, 0), 100);
+    close(Geodesy.flyToHeight(100, 1000, 1e6, 1), 1000);
+});
+
+test('long fly-to arcs climb in proportion to the distance', () => {
+    close(Geodesy.flyToHeight(100, 100, 1e6, 0.5), 400000);
+});
+
+test('short hops do not bulge towards the higher end', () => {
+    // A straight blend would pass 550 m halfway; the lift stays within 0.4 m per meter travelled
+    assert.ok(Geodesy.flyToHeight(100, 1000, 50, 0.5) <= 550 + 50 * 0.4);
+    close(Geodesy.flyToHeight(100, 1000, 0, 0.5), 550);
+});
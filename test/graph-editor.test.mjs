@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GraphEditor from '../js/graph-editor.js';
+import { KeyframeManager, Keyframe } from '../js/keyframe-manager.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+const camera = (values) => ({
+    latitude: 35, longitude: 139, height: 1000, heading: 0, pitch: -30, roll: 0, fov: 60, ...values
+});
+
+// A graph 400 px wide over the first 10 s, without a canvas to draw on
+const graph = (keyframeManager) => Object.assign(Object.create(GraphEditor.prototype), {
+    canvas: { width: 500, height: 246 },
+    keyframeManager,
+    timelineEditor: { getTrackLeft: () => 80, viewStart: 0, viewDuration: 10, duration: 10 },
+    property: 'all',
+    sampleSpacing: 2
+});
+
+test('only keyed tracks are plotted, with speed alongside position', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera(), 'linear', ['position', 'fov']));
+
+    assert.deepEqual(graph(manager).getPlottedProperties(), ['latitude', 'longitude', 'height', 'fov', 'speed']);
+});
+
+test('sampled curves span the view and mark the keyframes on them', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ fov: 30 }), 'linear', ['fov']));
+    manager.addKeyframe(new Keyframe(10, camera({ fov: 90 }), 'linear', ['fov']));
+    const editor = graph(manager);
+
+    const [curve] = editor.sampleCurves();
+    assert.equal(curve.prop, 'fov');
+    assert.equal(curve.points[0].value, 30);
+    assert.equal(curve.points[curve.points.length - 1].value, 90);
+    close(curve.points[100].value, 60);
+    assert.deepEqual(curve.keyframes.map(point => point.value), [30, 90]);
+    assert.ok(curve.range.min < 30 && curve.range.max > 90);
+});
+
+test('angle curves are unwrapped instead of jumping at ±180°', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ heading: 170 }), 'linear', ['heading']));
+    manager.addKeyframe(new Keyframe(10, camera({ heading: -170 }), 'linear', ['heading']));
+
+    const values = graph(manager).sampleCurves()[0].points.map(point => point.value);
+    close(values[values.length - 1], 190);
+    values.slice(1).forEach((value, i) => assert.ok(value >= values[i]));
+});
+
+test('the camera speed follows the sampled positions', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ height: 1000 }), 'linear', ['position']));
+    manager.addKeyframe(new Keyframe(10, camera({ height: 2000 }), 'linear', ['position']));
+
+    const speed = graph(manager).sampleCurves().find(curve => curve.prop === 'speed');
+    close(speed.points[100].value, 100, 1e-3);
+});
+
+test('values and heights convert both ways', () => {
+    const editor = graph(new KeyframeManager());
+    const range = { min: -10, max: 30 };
+    assert.equal(editor.valueToY(-10, range), editor.getPlotBottom());
+    assert.equal(editor.valueToY(30, range), editor.getPlotTop());
+    close(editor.yToValue(editor.valueToY(12.5, range), range), 12.5);
+});
+
+test('flat curves still get a readable range', () => {
+    const editor = graph(new KeyframeManager());
+    const range = editor.getRange('fov', [{ value: 60 }, { value: 60 }], []);
+    assert.ok(range.min < 59 && range.max > 61);
+    assert.deepEqual(editor.getRange('fov', [{ value: undefined }], []), { min: 0, max: 1 });
+});
+
+test('dragged values stay within each property\'s limits', () => {
+    const editor = graph(new KeyframeManager());
+    assert.equal(editor.clampValue('latitude', 95), 90);
+    assert.equal(editor.clampValue('heading', 190), -170);
+    assert.equal(editor.clampValue('fov', 200), 120);
+    assert.equal(editor.clampValue('shadows', 0.7), 1);
+    assert.equal(editor.clampValue('height', -50), -50);
+});
+
+test('axis steps are 1, 2 or 5 times a power of ten', () => {
+    const editor = graph(new KeyframeManager());
+    assert.equal(editor.getNiceStep(0.13), 0.1);
+    assert.equal(editor.getNiceStep(27), 20);
+    assert.equal(editor.getNiceStep(460), 500);
+    assert.equal(editor.getNiceStep(8), 10);
+});
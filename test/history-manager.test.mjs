@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager from '../js/history-manager.js';
+
+// A counter whose changes are recorded like the managers record theirs
+const counter = (history) => {
+    const state = { value: 0 };
+    state.add = (amount) => {
+        state.value += amount;
+        history.record({
+            label: `add ${amount}`,
+            undo: () => state.add(-amount),
+            redo: () => state.add(amount)
+        });
+    };
+    return state;
+};
+
+test('undo and redo replay recorded commands', () => {
+    const history = new HistoryManager();
+    const state = counter(history);
+    state.add(1);
+    state.add(2);
+
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 1);
+    assert.equal(history.redo(), true);
+    assert.equal(state.value, 3);
+    assert.equal(history.redo(), false);
+});
+
+test('commands applied while undoing are not recorded again', () => {
+    const history = new HistoryManager();
+    const state = counter(history);
+    state.add(1);
+
+    history.undo();
+    assert.deepEqual(history.getState(), { canUndo: false, canRedo: true, undoLabel: null, redoLabel: 'add 1' });
+});
+
+test('a new command clears the redo stack', () => {
+    const history = new HistoryManager();
+    const state = counter(history);
+    state.add(1);
+    history.undo();
+    state.add(5);
+
+    assert.equal(history.canRedo(), false);
+    assert.equal(state.value, 5);
+});
+
+test('a transaction is undone as one step, in reverse order', () => {
+    const history = new HistoryManager();
+    const order = [];
+    history.beginTransaction('drag');
+    history.beginTransaction('nested');
+    history.record({ label: 'a', undo: () => order.push('a'), redo: () => { } });
+    history.endTransaction();
+    history.record({ label: 'b', undo: () => order.push('b'), redo: () => { } });
+    history.endTransaction();
+
+    assert.equal(history.getState().undoLabel, 'drag');
+    history.undo();
+    assert.deepEqual(order, ['b', 'a']);
+    assert.equal(history.canUndo(), false);
+});
+
+test('empty transactions leave no undo step', () => {
+    const history = new HistoryManager();
+    history.beginTransaction('nothing');
+    history.endTransaction();
+    assert.equal(history.canUndo(), false);
+});
+
+test('the oldest steps are dropped past the limit', () => {
+    const history = new HistoryManager(2);
+    const state = counter(history);
+    state.add(1);
+    state.add(2);
+    state.add(3);
+
+    history.undo();
+    history.undo();
+    assert.equal(history.undo(), false);
+    assert.equal(state.value, 1);
+});
+
+test('listeners hear about every change', () => {
+    const history = new HistoryManager();
+    const states = [];
+    history.on('historyChanged', (state) => states.push(state.canUndo));
+    counter(history).add(1);
+    history.undo();
+    history.clear();
+
+    assert.deepEqual(states, [true, false, false]);
+});
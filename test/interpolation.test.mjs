@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Interpolation from '../js/interpolation.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+test('easings start at 0 and end at 1', () => {
+    ['linear', 'easeIn', 'easeOut', 'easeInOut', 'splineEaseIn', 'splineEaseOut'].forEach(type => {
+        close(Interpolation.ease(0, type), 0);
+        close(Interpolation.ease(1, type), 1);
+    });
+    close(Interpolation.ease(0.5, 'easeInOut'), 0.5);
+});
+
+test('unknown easings fall back to linear', () => {
+    assert.equal(Interpolation.ease(0.3, 'wobble'), 0.3);
+});
+
+test('bezier handles shape the curve', () => {
+    close(Interpolation.ease(0.5, 'bezier', [0, 0, 1, 1]), 0.5, 1e-3);
+    assert.ok(Interpolation.ease(0.25, 'bezier', [0.42, 0, 1, 1]) < 0.25);
+    assert.ok(Interpolation.ease(0.25, 'bezier', [0, 0, 0.58, 1]) > 0.25);
+});
+
+test('spline end easings match a linear blend where they join it', () => {
+    const slope = (f, t) => (f.call(Interpolation, t + 1e-4) - f.call(Interpolation, t - 1e-4)) / 2e-4;
+    close(slope(Interpolation.splineEaseIn, 1e-4), 0, 1e-3);
+    close(slope(Interpolation.splineEaseIn, 1 - 1e-4), 1, 1e-3);
+    close(slope(Interpolation.splineEaseOut, 1e-4), 1, 1e-3);
+    close(slope(Interpolation.splineEaseOut, 1 - 1e-4), 0, 1e-3);
+});
+
+test('angles interpolate the short way round', () => {
+    close(Interpolation.interpolateAngle(170, -170, 0.5), 180);
+    close(Interpolation.interpolateAngle(-10, 10, 0.5), 0);
+    close(Interpolation.angleDifference(350, 10), 20);
+    close(Interpolation.normalizeAngle(190), -170);
+});
+
+test('Kochanek-Bartels passes through its keys', () => {
+    const key = { tension: 0, continuity: 0, bias: 0 };
+    const spans = [1, 1, 1];
+    close(Interpolation.kochanekBartels(0, 1, 2, 3, 0, key, key, spans), 1);
+    close(Interpolation.kochanekBartels(0, 1, 2, 3, 1, key, key, spans), 2);
+    // Evenly spaced points on a line stay on it
+    close(Interpolation.kochanekBartels(0, 1, 2, 3, 0.5, key, key, spans), 1.5);
+});
+
+test('full tension stops the spline at its keys', () => {
+    const key = { tension: 1, continuity: 0, bias: 0 };
+    const value = (t) => Interpolation.kochanekBartels(0, 1, 2, 3, t, key, key, [1, 1, 1]);
+    close((value(1e-4) - value(0)) / 1e-4, 0, 1e-3);
+});
+
+test('quaternions survive a round trip through heading, pitch and roll', () => {
+    const hpr = Interpolation.quaternionToHpr(Interpolation.hprToQuaternion(30, -20, 10));
+    close(hpr.heading, 30);
+    close(hpr.pitch, -20);
+    close(hpr.roll, 10);
+});
+
+test('slerp halfway between two headings', () => {
+    const start = Interpolation.hprToQuaternion(0, 0, 0);
+    const end = Interpolation.hprToQuaternion(90, 0, 0);
+    close(Interpolation.quaternionToHpr(Interpolation.slerp(start, end, 0.5)).heading, 45);
+});
@@ -0,0 +1,368 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyframeManager, Keyframe, CAMERA_TRACKS, DEFAULT_SETTINGS, DEFAULT_ENVIRONMENT } from '../js/keyframe-manager.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+const camera = (values) => ({
+    latitude: 35,
+    longitude: 139,
+    height: 1000,
+    heading: 0,
+    pitch: -30,
+    roll: 0,
+    fov: 60,
+    ...values
+});
+
+test('a track past its last key does not overwrite other tracks', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ latitude: 35, heading: 10, fov: 40 }), 'linear'));
+    manager.addKeyframe(new Keyframe(5, camera({ latitude: 36 }), 'linear', ['position']));
+
+    const data = manager.interpolateAt(2.5);
+    assert.equal(data.latitude, 35.5);
+    assert.equal(data.heading, 10);
+    assert.equal(data.fov, 40);
+});
+
+test('a track before its first key holds only its own values', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ latitude: 35 }), 'linear', ['position']));
+    manager.addKeyframe(new Keyframe(4, camera({ latitude: 36 }), 'linear', ['position']));
+    manager.addKeyframe(new Keyframe(8, camera({ latitude: 50, heading: 90 }), 'linear', ['heading']));
+
+    const data = manager.interpolateAt(2);
+    assert.equal(data.latitude, 35.5);
+    assert.equal(data.heading, 90);
+});
+
+test('tracks without keys keep the default camera values', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ fov: 30 }), 'linear', ['fov']));
+
+    const data = manager.interpolateAt(1);
+    assert.equal(data.fov, 30);
+    assert.equal(data.height, 10000);
+    assert.equal(data.pitch, -45);
+});
+
+test('every camera track is keyed by default', () => {
+    assert.deepEqual(new Keyframe(0, camera()).tracks, CAMERA_TRACKS);
+});
+
+test('spline mode keeps velocity continuous across keys', () => {
+    const manager = new KeyframeManager();
+    manager.setSettings({ curveMode: 'spline' });
+    [0, 5, 10, 15].forEach((time, i) => manager.addKeyframe(new Keyframe(time, camera({ latitude: i }))));
+
+    const velocity = (time) => (manager.interpolateAt(time + 0.01).latitude - manager.interpolateAt(time - 0.01).latitude) / 0.02;
+    assert.ok(Math.abs(velocity(5) - 0.2) < 1e-3);
+    assert.ok(Math.abs(velocity(10) - 0.2) < 1e-3);
+    assert.ok(velocity(0.01) < 0.01);
+});
+
+test('linear travel crosses the antimeridian the short way', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ longitude: 179 }), 'linear'));
+    manager.addKeyframe(new Keyframe(10, camera({ longitude: -179 }), 'linear'));
+
+    assert.equal(Math.abs(manager.interpolateAt(5).longitude), 180);
+    assert.equal(manager.interpolateAt(2.5).longitude, 179.5);
+});
+
+test('the look-at target applies only within its keyed range', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ heading: 10 }), 'linear'));
+    manager.addKeyframe(new Keyframe(20, camera({ heading: 10 }), 'linear'));
+    manager.generateOrbit({ targetLatitude: 35.05, targetLongitude: 139.05, radius: 500, height: 800, startTime: 5, duration: 10 });
+
+    assert.equal(manager.interpolateAt(2).targetLatitude, undefined);
+    assert.equal(manager.interpolateAt(18).heading, 10);
+    assert.equal(manager.interpolateAt(10).targetLatitude, 35.05);
+});
+
+test('generated orbits end by the project duration', () => {
+    const manager = new KeyframeManager();
+    const keyframes = manager.generateOrbit({ targetLatitude: 35, targetLongitude: 139, radius: 500, height: 800, startTime: 8, duration: 10, maxTime: 10 });
+
+    assert.equal(keyframes[keyframes.length - 1].time, 10);
+    assert.deepEqual(manager.generateOrbit({ targetLatitude: 35, targetLongitude: 139, radius: 500, height: 800, startTime: 10, maxTime: 10 }), []);
+});
+
+test('keyframe edits can be undone and redone', () => {
+    const manager = new KeyframeManager();
+    const keyframe = manager.addKeyframe(new Keyframe(0, camera()));
+
+    manager.undo();
+    assert.equal(manager.getAllKeyframes().length, 0);
+    manager.redo();
+    assert.deepEqual(manager.getAllKeyframes(), [keyframe]);
+});
+
+test('pasting keeps the copied spacing and is undone as one step', () => {
+    const manager = new KeyframeManager();
+    const first = manager.addKeyframe(new Keyframe(1, camera({ latitude: 1 })));
+    const second = manager.addKeyframe(new Keyframe(3, camera({ latitude: 3 })));
+    manager.setSelection([first, second]);
+    assert.equal(manager.copySelection(), 2);
+
+    const pasted = manager.pasteAt(10);
+    assert.deepEqual(pasted.map(kf => kf.time), [10, 12]);
+    assert.deepEqual(pasted.map(kf => kf.latitude), [1, 3]);
+    assert.notEqual(pasted[0], first);
+    assert.deepEqual(manager.getSelectedKeyframes(), pasted);
+
+    manager.undo();
+    assert.deepEqual(manager.getAllKeyframes(), [first, second]);
+});
+
+test('group retiming scales around a pivot without going below 0', () => {
+    const manager = new KeyframeManager();
+    const keyframes = [2, 4, 6].map(time => manager.addKeyframe(new Keyframe(time, camera())));
+
+    manager.scaleKeyframes(keyframes, 2, 4);
+    assert.deepEqual(manager.getAllKeyframes().map(kf => kf.time), [0, 4, 8]);
+
+    manager.undo();
+    assert.deepEqual(manager.getAllKeyframes().map(kf => kf.time), [2, 4, 6]);
+});
+
+test('deleting a selection is undone as one step', () => {
+    const manager = new KeyframeManager();
+    const keyframes = [0, 1, 2].map(time => manager.addKeyframe(new Keyframe(time, camera())));
+    manager.setSelection(keyframes.slice(1));
+
+    manager.deleteSelection();
+    assert.deepEqual(manager.getAllKeyframes(), [keyframes[0]]);
+    assert.deepEqual(manager.getSelectedKeyframes(), []);
+
+    manager.undo();
+    assert.deepEqual(manager.getAllKeyframes(), keyframes);
+});
+
+// Straight climb: 1 km in the first 5 s, 8 km in the next 5 s
+const climb = (manager) => [[0, 1000], [5, 2000], [10, 10000]].forEach(([time, height]) => {
+    manager.addKeyframe(new Keyframe(time, camera({ height }), 'linear', ['position']));
+});
+
+test('segment speeds follow the keyed timing', () => {
+    const manager = new KeyframeManager();
+    climb(manager);
+
+    const speeds = manager.getSegmentSpeeds();
+    assert.deepEqual(speeds.map(({ start, end }) => [start, end]), [[0, 5], [5, 10]]);
+    close(speeds[0].speed, 200, 1e-3);
+    close(speeds[1].speed, 1600, 1e-3);
+});
+
+test('constant speed spreads the path evenly over the keyed time', () => {
+    const manager = new KeyframeManager();
+    climb(manager);
+    manager.setSettings({ speedMode: 'constant' });
+
+    // 9 km at a cruise of 1 km/s after easing in over the first second
+    close(manager.interpolateAt(0).height, 1000, 1e-6);
+    close(manager.interpolateAt(5).height, 5500, 1e-3);
+    close(manager.interpolateAt(7).height - manager.interpolateAt(3).height, 4000, 1e-3);
+    close(manager.interpolateAt(10).height, 10000, 1e-6);
+
+    const speeds = manager.getSegmentSpeeds();
+    close(speeds[0].speed, speeds[1].speed, 1e-3);
+});
+
+test('a constant speed segment eases the distance, not the curve parameter', () => {
+    const manager = new KeyframeManager();
+    manager.setSettings({ curveMode: 'spline' });
+    // Steep neighbours make the spline rush through the ends of the middle segment
+    [[0, 1000], [1, 5000], [9, 5100], [10, 9000]].forEach(([time, height]) => {
+        const keyframe = new Keyframe(time, camera({ height }), 'linear', ['position']);
+        keyframe.setOptions({ constantSpeed: true });
+        manager.addKeyframe(keyframe);
+    });
+
+    // Within the middle segment, equal times cover equal distances
+    const step = (time) => Math.abs(manager.interpolateAt(time + 1).height - manager.interpolateAt(time).height);
+    close(step(1), step(4.5), 2);
+    close(step(7), step(4.5), 2);
+});
+
+test('segment speeds are measured again after an edit', () => {
+    const manager = new KeyframeManager();
+    climb(manager);
+    close(manager.getSegmentSpeeds()[0].speed, 200, 1e-3);
+
+    manager.updateKeyframe(manager.getAllKeyframes()[1], { height: 3000 });
+    close(manager.getSegmentSpeeds()[0].speed, 400, 1e-3);
+});
+
+// Level flight at 1000 m over a 1500 m ridge halfway along
+const ridge = () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ height: 1000 }), 'linear', ['position']));
+    manager.addKeyframe(new Keyframe(10, camera({ height: 1000 }), 'linear', ['position']));
+    manager.setTerrainProfile({ start: 0, end: 10, heights: [0, 0, 1500, 0, 0] });
+    return manager;
+};
+
+test('ground heights blend between terrain samples', () => {
+    const manager = ridge();
+    assert.equal(manager.getGroundHeight(5), 1500);
+    assert.equal(manager.getGroundHeight(3.75), 750);
+    assert.equal(manager.getGroundHeight(20), 0);
+
+    manager.setTerrainProfile(null);
+    assert.equal(manager.getGroundHeight(5), 0);
+});
+
+test('terrain avoidance lifts the camera only where it would hit the ground', () => {
+    const manager = ridge();
+    assert.equal(manager.interpolateAt(5).height, 1000);
+
+    manager.setSettings({ terrainAvoidance: true, terrainClearance: 100 });
+    assert.equal(manager.getMinimumHeight(5), 1600);
+    assert.equal(manager.interpolateAt(5).height, 1600);
+    assert.equal(manager.interpolateAt(0).height, 1000);
+});
+
+test('lifted time ranges are reported for the timeline', () => {
+    const manager = ridge();
+    assert.deepEqual(manager.getTerrainCorrections(), []);
+
+    manager.setSettings({ terrainAvoidance: true, terrainClearance: 100 });
+    assert.deepEqual(manager.getTerrainCorrections(), [{ start: 5, end: 5 }]);
+
+    // A new profile is picked up without an edit
+    manager.setTerrainProfile({ start: 0, end: 10, heights: [0, 1500, 1500, 0, 0] });
+    assert.deepEqual(manager.getTerrainCorrections(), [{ start: 2.5, end: 5 }]);
+});
+
+test('ground heights are only needed for avoidance or terrain-relative keys', () => {
+    const manager = ridge();
+    assert.equal(manager.needsTerrain(), false);
+    manager.setSettings({ terrainAvoidance: true });
+    assert.equal(manager.needsTerrain(), true);
+});
+
+// A flight between two keys, optionally terrain-relative, over ground at 200 m
+const groundFlight = (startMode, endMode) => {
+    const manager = new KeyframeManager();
+    [[0, 500, startMode], [10, 500, endMode]].forEach(([time, height, altitudeMode]) => {
+        const keyframe = new Keyframe(time, camera({ height }), 'linear', ['position']);
+        keyframe.setOptions({ altitudeMode });
+        manager.addKeyframe(keyframe);
+    });
+    manager.setTerrainProfile({ start: 0, end: 10, heights: [200, 200] });
+    return manager;
+};
+
+test('terrain-relative keys are heights above the ground', () => {
+    const manager = groundFlight('relativeToGround', 'relativeToGround');
+    assert.equal(manager.interpolateAt(0).height, 700);
+    assert.equal(manager.interpolateAt(5).height, 700);
+    assert.equal(manager.needsTerrain(), true);
+
+    assert.equal(groundFlight('absolute', 'absolute').interpolateAt(5).height, 500);
+});
+
+test('a segment between altitude references eases from one to the other', () => {
+    const manager = groundFlight('absolute', 'relativeToGround');
+    assert.equal(manager.interpolateAt(0).height, 500);
+    assert.equal(manager.interpolateAt(5).height, 600);
+    assert.equal(manager.interpolateAt(10).height, 700);
+});
+
+test('the altitude reference is saved with the keyframe', () => {
+    const keyframe = new Keyframe(0, camera());
+    keyframe.setOptions({ altitudeMode: 'relativeToGround' });
+
+    assert.equal(Keyframe.fromJSON(keyframe.toJSON()).altitudeMode, 'relativeToGround');
+    assert.equal(Keyframe.fromJSON({ time: 0, ...camera() }).altitudeMode, 'absolute');
+});
+
+test('the scene clock runs in real time from the project date without clock keys', () => {
+    const manager = new KeyframeManager();
+    manager.setSettings({ dateTime: '2024-01-01T00:00:00Z' });
+
+    const data = manager.interpolateAt(90);
+    assert.equal(data.clockHours, 90 / 3600);
+    assert.equal(data.sceneTime, Date.parse('2024-01-01T00:01:30Z'));
+});
+
+test('clock keys move the scene time in hours from the project date', () => {
+    const manager = new KeyframeManager();
+    manager.setSettings({ dateTime: '2024-01-01T06:00:00Z' });
+    manager.addKeyframe(new Keyframe(0, camera({ clockHours: 0 }), 'linear', ['clock']));
+    manager.addKeyframe(new Keyframe(10, camera({ clockHours: 12 }), 'linear', ['clock']));
+
+    assert.equal(manager.interpolateAt(5).sceneTime, Date.parse('2024-01-01T12:00:00Z'));
+    assert.equal(manager.interpolateAt(20).sceneTime, Date.parse('2024-01-01T18:00:00Z'));
+});
+
+test('an unreadable project date falls back to the default', () => {
+    const manager = new KeyframeManager();
+    manager.setSettings({ dateTime: 'someday' });
+    assert.equal(manager.getSceneTime(1), Date.parse(DEFAULT_SETTINGS.dateTime) + 3600000);
+});
+
+test('environment tracks keep their defaults until keyed', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ fogDensity: 9 })));
+
+    const data = manager.interpolateAt(0);
+    Object.entries(DEFAULT_ENVIRONMENT).forEach(([prop, value]) => assert.equal(data[prop], value));
+});
+
+test('environment tracks blend between their keys', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ fogDensity: 0, atmosphereHue: -1, bloom: 0 }), 'linear', ['fog', 'atmosphere', 'bloom']));
+    manager.addKeyframe(new Keyframe(4, camera({ fogDensity: 8, atmosphereHue: 1, bloom: 1 }), 'linear', ['fog', 'atmosphere', 'bloom']));
+
+    const data = manager.interpolateAt(1);
+    assert.equal(data.fogDensity, 2);
+    assert.equal(data.atmosphereHue, -0.5);
+    assert.equal(data.bloom, 0.25);
+    assert.equal(data.brightness, DEFAULT_ENVIRONMENT.brightness);
+});
+
+test('shadows switch at the next key instead of fading', () => {
+    const manager = new KeyframeManager();
+    manager.addKeyframe(new Keyframe(0, camera({ shadows: 1 }), 'linear', ['shadows']));
+    manager.addKeyframe(new Keyframe(4, camera({ shadows: 0 }), 'linear', ['shadows']));
+
+    assert.equal(manager.interpolateAt(3.9).shadows, 1);
+    assert.equal(manager.interpolateAt(4).shadows, 0);
+    assert.equal(manager.interpolateAt(8).shadows, 0);
+});
+
+test('environment values survive a save and load', () => {
+    const keyframe = new Keyframe(2, camera({ fogDensity: 5, shadows: 0 }), 'linear', ['fog', 'shadows']);
+    const loaded = Keyframe.fromJSON(keyframe.toJSON());
+    assert.deepEqual(loaded.tracks, ['fog', 'shadows']);
+    assert.equal(loaded.fogDensity, 5);
+    assert.equal(loaded.shadows, 0);
+});
+
+test('projects saved before map sources load with the default ones', () => {
+    const manager = new KeyframeManager();
+    manager.importFromJSON({ settings: { curveMode: 'spline' }, keyframes: [] });
+
+    assert.deepEqual(manager.getSettings().imagery, { type: 'osm' });
+    assert.deepEqual(manager.getSettings().terrain, { type: 'world' });
+});
+
+test('map sources are saved with the project and can be undone', () => {
+    const manager = new KeyframeManager();
+    const imagery = { type: 'local', url: 'tokyo', format: 'jpg' };
+    manager.setSettings({ imagery, terrain: { type: 'ellipsoid' } });
+
+    const loaded = new KeyframeManager();
+    loaded.importFromJSON(JSON.parse(JSON.stringify(manager.exportToJSON())));
+    assert.deepEqual(loaded.getSettings().imagery, imagery);
+    assert.deepEqual(loaded.getSettings().terrain, { type: 'ellipsoid' });
+
+    manager.undo();
+    assert.deepEqual(manager.getSettings().imagery, DEFAULT_SETTINGS.imagery);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager from '../js/history-manager.js';
+import LayerManager, { routeFromGeoJSON } from '../js/layer-manager.js';
+import { KeyframeManager } from '../js/keyframe-manager.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+const ids = (manager) => manager.getAllLayers().map(layer => layer.id);
+
+test('adding, changing and removing layers can be undone', () => {
+    const history = new HistoryManager();
+    const manager = new LayerManager(history);
+    const layer = manager.addLayer({ name: 'Roads' });
+    manager.updateLayer(layer, { name: 'Rivers', stroke: '#00f' });
+    manager.removeLayer(layer);
+
+    history.undo();
+    assert.deepEqual(ids(manager), [layer.id]);
+    history.undo();
+    assert.equal(layer.name, 'Roads');
+    assert.equal(layer.stroke, '#ffd166');
+    history.undo();
+    assert.deepEqual(ids(manager), []);
+
+    history.redo();
+    assert.equal(manager.getLayer(layer.id), layer);
+});
+
+test('a load is undone as one step', () => {
+    const history = new HistoryManager();
+    const manager = new LayerManager(history);
+    manager.addLayer({ name: 'Before' });
+    manager.importFromJSON([{ id: 4, name: 'Loaded' }, { id: 7, name: 'Also loaded' }]);
+
+    assert.deepEqual(ids(manager), [4, 7]);
+    history.undo();
+    assert.deepEqual(manager.getAllLayers().map(layer => layer.name), ['Before']);
+    history.redo();
+    assert.deepEqual(ids(manager), [4, 7]);
+});
+
+test('layer ids stay unique after undoing and redoing a load', () => {
+    const history = new HistoryManager();
+    const manager = new LayerManager(history);
+    manager.addLayer({});
+    manager.addLayer({});
+    manager.importFromJSON([{ id: 1 }]);
+
+    history.undo();
+    manager.addLayer({});
+    assert.deepEqual(ids(manager), [1, 2, 3]);
+
+    manager.importFromJSON([{ id: 5 }]);
+    history.undo();
+    history.redo();
+    assert.equal(manager.addLayer({}).id, 6);
+});
+
+test('opacity follows the visibility keys', () => {
+    const manager = new LayerManager(new HistoryManager());
+    const layer = manager.addLayer({});
+    assert.equal(manager.opacityAt(layer, 3), 1);
+
+    manager.setVisibilityKey(layer, 2, 1);
+    manager.setVisibilityKey(layer, 0, 0);
+    manager.setVisibilityKey(layer, 4, 1.5);
+    assert.deepEqual(layer.visibilityKeys, [
+        { time: 0, opacity: 0 },
+        { time: 2, opacity: 1 },
+        { time: 4, opacity: 1 }
+    ]);
+    assert.equal(manager.opacityAt(layer, -1), 0);
+    assert.equal(manager.opacityAt(layer, 1), 0.5);
+    assert.equal(manager.opacityAt(layer, 9), 1);
+
+    // Keying the same time again replaces the key
+    manager.setVisibilityKey(layer, 2, 0.2);
+    assert.equal(layer.visibilityKeys.length, 3);
+    assert.equal(manager.opacityAt(layer, 2), 0.2);
+});
+
+test('hidden layers are fully transparent whatever their keys', () => {
+    const manager = new LayerManager(new HistoryManager());
+    const layer = manager.addLayer({ visible: false, visibilityKeys: [{ time: 0, opacity: 1 }] });
+    assert.equal(manager.opacityAt(layer, 0), 0);
+});
+
+// Two equal legs along the equator, drawn from 2 s to 6 s
+const route = (manager) => manager.addLayer({
+    type: 'route',
+    startTime: 2,
+    endTime: 6,
+    points: [
+        { latitude: 0, longitude: 0, height: 0 },
+        { latitude: 0, longitude: 1, height: 100 },
+        { latitude: 0, longitude: 2, height: 100 }
+    ]
+});
+
+test('routes come from the first line in GeoJSON', () => {
+    const points = routeFromGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } },
+            { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [[[139, 35, 10], [140, 36]], [[0, 0], [1, 1]]] } }
+        ]
+    });
+    assert.deepEqual(points, [
+        { latitude: 35, longitude: 139, height: 10 },
+        { latitude: 36, longitude: 140, height: 0 }
+    ]);
+});
+
+test('GeoJSON without a line of two points has no route', () => {
+    assert.equal(routeFromGeoJSON({ type: 'Point', coordinates: [0, 0] }), null);
+    assert.equal(routeFromGeoJSON({ type: 'LineString', coordinates: [[0, 0]] }), null);
+    assert.equal(routeFromGeoJSON(null), null);
+});
+
+test('the route head moves along the route by distance over its time range', () => {
+    const manager = new LayerManager(new HistoryManager());
+    const layer = route(manager);
+
+    assert.deepEqual(manager.routeHeadAt(layer, 0), { latitude: 0, longitude: 0, height: 0, index: 0 });
+    const quarter = manager.routeHeadAt(layer, 3);
+    close(quarter.longitude, 0.5);
+    close(quarter.height, 50);
+    assert.equal(quarter.index, 0);
+
+    const threeQuarters = manager.routeHeadAt(layer, 5);
+    close(threeQuarters.longitude, 1.5);
+    assert.equal(threeQuarters.index, 1);
+    close(manager.routeHeadAt(layer, 9).longitude, 2);
+});
+
+test('the camera can follow a route head as its target', () => {
+    const layers = new LayerManager(new HistoryManager());
+    const layer = route(layers);
+    const keyframes = new KeyframeManager();
+    keyframes.setRouteTargetResolver((id, time) => layers.routeTargetAt(id, time));
+    keyframes.setSettings({ targetRoute: layer.id });
+
+    const data = keyframes.interpolateAt(4);
+    close(data.targetLongitude, 1);
+    close(data.targetHeight, 100);
+    assert.equal(layers.routeTargetAt(layers.addLayer({}).id, 4), null);
+});
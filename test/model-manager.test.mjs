@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager from '../js/history-manager.js';
+import ModelManager from '../js/model-manager.js';
+import { KeyframeManager, Keyframe } from '../js/keyframe-manager.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+const ids = (manager) => manager.getAllModels().map(model => model.id);
+
+const pose = (time, values = {}) => ({
+    time, latitude: 35, longitude: 139, height: 100, heading: 0, pitch: 0, roll: 0, ...values
+});
+
+test('adding, keying and removing models can be undone', () => {
+    const history = new HistoryManager();
+    const manager = new ModelManager(history);
+    const model = manager.addModel({ name: 'Plane', url: '/models/plane.glb' });
+    manager.setKey(model, pose(0));
+    manager.setKey(model, pose(2));
+    manager.removeModel(model);
+
+    history.undo();
+    assert.deepEqual(ids(manager), [model.id]);
+    history.undo();
+    assert.deepEqual(model.keys.map(key => key.time), [0]);
+    history.undo();
+    history.undo();
+    assert.deepEqual(ids(manager), []);
+});
+
+test('model ids stay unique after undoing and redoing a load', () => {
+    const history = new HistoryManager();
+    const manager = new ModelManager(history);
+    manager.addModel({});
+    manager.addModel({});
+    manager.importFromJSON([{ id: 1 }]);
+
+    history.undo();
+    manager.addModel({});
+    assert.deepEqual(ids(manager), [1, 2, 3]);
+
+    manager.importFromJSON([{ id: 5 }]);
+    history.undo();
+    history.redo();
+    assert.equal(manager.addModel({}).id, 6);
+});
+
+test('keying the same time replaces the key', () => {
+    const manager = new ModelManager(new HistoryManager());
+    const model = manager.addModel({});
+    manager.setKey(model, pose(1));
+    manager.setKey(model, pose(1, { height: 500 }));
+
+    assert.equal(model.keys.length, 1);
+    assert.equal(model.keys[0].height, 500);
+    assert.equal(manager.removeKeyAt(model, 2), false);
+    assert.equal(manager.removeKeyAt(model, 1), true);
+    assert.equal(manager.poseAt(model, 1), null);
+});
+
+test('poses pass through the keys and hold outside them', () => {
+    const manager = new ModelManager(new HistoryManager());
+    const model = manager.addModel({
+        keys: [pose(2, { height: 300, heading: 90 }), pose(0, { heading: 10, roll: 20 })]
+    });
+
+    assert.deepEqual(manager.poseAt(model, -1), manager.poseAt(model, 0));
+    close(manager.poseAt(model, 2).height, 300);
+    close(manager.poseAt(model, 1).heading, 50);
+    close(manager.poseAt(model, 1).roll, 10);
+    close(manager.poseAt(model, 5).height, 300);
+});
+
+test('followPath points the nose along the direction of travel', () => {
+    const manager = new ModelManager(new HistoryManager());
+    const model = manager.addModel({
+        orientationMode: 'followPath',
+        keys: [pose(0, { heading: 180, roll: 15 }), pose(4, { longitude: 139.1, heading: 180, roll: 15 })]
+    });
+
+    const middle = manager.poseAt(model, 2);
+    close(middle.heading, 90, 0.1);
+    close(middle.pitch, 0, 0.1);
+    close(middle.roll, 15);
+});
+
+test('a lone key keeps its keyed heading in followPath mode', () => {
+    const manager = new ModelManager(new HistoryManager());
+    const model = manager.addModel({ orientationMode: 'followPath', keys: [pose(0, { heading: 45 })] });
+    close(manager.poseAt(model, 3).heading, 45);
+});
+
+test('an attached camera rides along with the model between its keys', () => {
+    const models = new ModelManager(new HistoryManager());
+    const model = models.addModel({ keys: [pose(0, { height: 100 }), pose(10, { height: 1100 })] });
+    const keyframes = new KeyframeManager();
+    keyframes.setModelPositionResolver((id, time) => models.modelPositionAt(id, time));
+    keyframes.addKeyframe(new Keyframe(0, { ...pose(0), height: 500 }, 'linear', ['position']));
+    keyframes.setSettings({ attachedModel: model.id });
+
+    // A single camera key holds its place relative to the model
+    close(keyframes.interpolateAt(0).height, 500);
+    close(keyframes.interpolateAt(10).height, 1500);
+});
+
+test('the terrain floor applies after the attachment offset', () => {
+    const models = new ModelManager(new HistoryManager());
+    const model = models.addModel({ keys: [pose(0, { height: 1000 }), pose(10, { height: 0 })] });
+    const keyframes = new KeyframeManager();
+    keyframes.setModelPositionResolver((id, time) => models.modelPositionAt(id, time));
+    keyframes.addKeyframe(new Keyframe(0, { ...pose(0), height: 1050 }, 'linear', ['position']));
+    keyframes.setSettings({ attachedModel: model.id, terrainAvoidance: true, terrainClearance: 100 });
+    keyframes.setTerrainProfile({ start: 0, end: 10, heights: [0, 0] });
+
+    close(keyframes.interpolateAt(10).height, 100);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager from '../js/history-manager.js';
+import PoiManager from '../js/poi-manager.js';
+
+const ids = (manager) => manager.getAllPois().map(poi => poi.id);
+
+test('adding, changing and removing points of interest can be undone', () => {
+    const history = new HistoryManager();
+    const manager = new PoiManager(history);
+    const poi = manager.addPoi({ label: 'Tower', latitude: 35.66, longitude: 139.75 });
+    manager.updatePoi(poi, { label: 'Tokyo Tower' });
+    manager.removePoi(poi);
+
+    history.undo();
+    assert.deepEqual(ids(manager), [poi.id]);
+    history.undo();
+    assert.equal(poi.label, 'Tower');
+    history.undo();
+    assert.deepEqual(ids(manager), []);
+
+    history.redo();
+    assert.equal(manager.getPoi(poi.id), poi);
+});
+
+test('point of interest ids stay unique after undoing and redoing a load', () => {
+    const history = new HistoryManager();
+    const manager = new PoiManager(history);
+    manager.addPoi({});
+    manager.addPoi({});
+    manager.importFromJSON([{ id: 1 }]);
+
+    history.undo();
+    manager.addPoi({});
+    assert.deepEqual(ids(manager), [1, 2, 3]);
+
+    manager.importFromJSON([{ id: 5 }]);
+    history.undo();
+    history.redo();
+    assert.equal(manager.addPoi({}).id, 6);
+});
+
+test('points of interest fade in and out over their time range', () => {
+    const manager = new PoiManager(new HistoryManager());
+    const poi = manager.addPoi({ startTime: 1, endTime: 3, fadeIn: 0.5, fadeOut: 1 });
+
+    assert.equal(manager.opacityAt(poi, 0.5), 0);
+    assert.equal(manager.opacityAt(poi, 1.25), 0.5);
+    assert.equal(manager.opacityAt(poi, 2), 1);
+    assert.equal(manager.opacityAt(poi, 2.5), 0.5);
+    assert.equal(manager.opacityAt(poi, 3.5), 0);
+});
+
+test('points of interest without an end stay visible', () => {
+    const manager = new PoiManager(new HistoryManager());
+    const poi = manager.addPoi({ fadeIn: 0 });
+    assert.equal(manager.opacityAt(poi, 0), 1);
+    assert.equal(manager.opacityAt(poi, 1e6), 1);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PropertyPanel from '../js/property-panel.js';
+
+// The height conversions of a panel over ground at 120 m (null = tiles not loaded)
+const panel = (ground = 120) => Object.assign(Object.create(PropertyPanel.prototype), {
+    cesiumManager: { getGroundHeight: () => ground }
+});
+
+test('terrain-relative height inputs convert to and from the ellipsoid', () => {
+    const properties = panel();
+    assert.equal(properties.toInputHeight(500, 35, 139, 'relativeToGround'), 380);
+    assert.equal(properties.fromInputHeight(380, 35, 139, 'relativeToGround'), 500);
+    assert.equal(properties.toInputHeight(500, 35, 139, 'absolute'), 500);
+});
+
+test('switching the altitude reference keeps the camera where it is', () => {
+    const properties = panel();
+    const height = properties.fromInputHeight(80, 35, 139, 'relativeToGround');
+    assert.equal(properties.toInputHeight(height, 35, 139, 'absolute'), 200);
+});
+
+test('heights convert as if the ground were at 0 m until terrain loads', () => {
+    assert.equal(panel(null).toInputHeight(500, 35, 139, 'relativeToGround'), 500);
+});
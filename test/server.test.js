@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, exportQueue } = require('../server/server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const cancel = (id) => fetch(`${baseUrl}/export/server/${id}`, { method: 'DELETE' });
+
+test('cancelling an unknown job is a 404', async (t) => {
+    t.mock.method(exportQueue, 'get', () => null);
+    const cancelled = t.mock.method(exportQueue, 'cancel', async () => true);
+
+    const response = await cancel('missing');
+    assert.equal(response.status, 404);
+    assert.equal(cancelled.mock.callCount(), 0);
+});
+
+test('cancelling a finished job is a conflict', async (t) => {
+    t.mock.method(exportQueue, 'get', () => ({ id: '1', status: 'completed' }));
+    t.mock.method(exportQueue, 'cancel', async () => false);
+
+    const response = await cancel('1');
+    assert.equal(response.status, 409);
+});
+
+test('cancelling a running job returns it cancelled', async (t) => {
+    const job = { id: '2', status: 'running' };
+    t.mock.method(exportQueue, 'get', () => job);
+    const cancelled = t.mock.method(exportQueue, 'cancel', async (id) => {
+        job.status = 'cancelled';
+        return id === '2';
+    });
+
+    const response = await cancel('2');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { id: '2', status: 'cancelled' });
+    assert.deepEqual(cancelled.mock.calls[0].arguments, ['2']);
+});
+
+test('local tile folders are listed by kind', async () => {
+    const response = await fetch(`${baseUrl}/tiles`);
+    assert.equal(response.status, 200);
+    const folders = await response.json();
+    assert.ok(Array.isArray(folders.imagery));
+    assert.ok(Array.isArray(folders.terrain));
+});
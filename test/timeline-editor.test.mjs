@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TimelineEditor from '../js/timeline-editor.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not close to ${expected}`);
+};
+
+// The view math of a timeline 1000 px wide (plus labels and margin) showing
+// a minute at 30 fps, without a canvas to draw on
+const timeline = () => Object.assign(Object.create(TimelineEditor.prototype), {
+    canvas: { width: 1100 },
+    duration: 60,
+    fps: 30,
+    labelWidth: 60,
+    viewStart: 0,
+    viewDuration: 60,
+    minViewFrames: 10,
+    listeners: { 'viewChanged': [], 'playheadChanged': [] },
+    render: () => { }
+});
+
+test('times and positions convert both ways', () => {
+    const editor = timeline();
+    editor.setView(10, 20);
+    assert.equal(editor.timeToX(10), editor.getTrackLeft());
+    close(editor.xToTime(editor.timeToX(23.4)), 23.4);
+    assert.equal(editor.overviewTimeToX(60), editor.getTrackLeft() + editor.getTrackWidth());
+});
+
+test('zooming keeps the time under the mouse in place', () => {
+    const editor = timeline();
+    const x = editor.timeToX(30);
+    editor.zoomAt(x, 0.5);
+
+    assert.equal(editor.viewDuration, 30);
+    close(editor.xToTime(x), 30);
+});
+
+test('the view stays within the duration and ten frames', () => {
+    const editor = timeline();
+    const changes = [];
+    editor.on('viewChanged', () => changes.push(editor.viewStart));
+
+    editor.setView(-5, 0.01);
+    assert.equal(editor.viewStart, 0);
+    close(editor.viewDuration, 10 / 30);
+
+    editor.setView(55, 10);
+    assert.equal(editor.viewStart, 50);
+
+    editor.setView(0, 600);
+    assert.equal(editor.viewDuration, 60);
+    assert.equal(changes.length, 3);
+});
+
+test('ruler ticks go from minutes down to frames as the view zooms in', () => {
+    const editor = timeline();
+    assert.equal(editor.getTickInterval(80), 5);
+
+    editor.setView(0, 1);
+    close(editor.getTickInterval(80), 5 / 30);
+});
+
+test('ticks cover the visible range only', () => {
+    const editor = timeline();
+    editor.setView(9.5, 2);
+    const ticks = [];
+    editor.forEachTick(1, time => ticks.push(time));
+    assert.deepEqual(ticks, [10, 11]);
+});
+
+test('ruler labels show frames below a second', () => {
+    const editor = timeline();
+    assert.equal(editor.formatRulerTime(65.5, 1), '1:05');
+    assert.equal(editor.formatRulerTime(65.5, 0.5), '1:05:15');
+});
+
+test('the view pages along with playback', () => {
+    const editor = timeline();
+    editor.setView(0, 10);
+    editor.updatePlayhead(12);
+    assert.equal(editor.viewStart, 12);
+    assert.equal(editor.currentTime, 12);
+});